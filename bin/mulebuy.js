@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * mulebuy — the web app's converter and backup reader, from a terminal.
+ *
+ *   mulebuy convert <url...>                       one Mulebuy link per line
+ *   mulebuy convert --file links.txt --format csv  every shop/agent link found in the file
+ *   mulebuy import backup.json --list Ordered      products of a JSON backup (validated + migrated)
+ *   mulebuy serve --host 0.0.0.0 --token secret     sync server for the app's devices
+ *
+ * Same code path as the UI (src/core.js). Exit codes: 0 ok, 1 some links or
+ * products were rejected (the rest is still printed), 2 usage or I/O error.
+ * Messages are in French when LC_ALL/LC_MESSAGES/LANG say so, English otherwise.
+ */
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { join } from "node:path";
+import {
+  DEFAULT_SETTINGS, SCHEMA_VERSION, convertLink, extractUrls, isShopOrAgentUrl, newProductFromConv,
+  normalizeBackup, productsToCSV, refError,
+} from "../src/core.js";
+import { detectLocale, setLocale, t } from "../src/i18n.js";
+import { SYNC_PROTOCOL, acceptPush, changesSince, newSyncStore, pushError } from "../src/sync.js";
+
+// Messages follow the usual locale variables, English when none is French.
+setLocale(detectLocale([process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG]));
+
+const FORMATS = ["text", "json", "csv"];
+
+class UsageError extends Error {}
+
+// --name value / --name=value, everything else is positional.
+function parseArgs(argv) {
+  const opts = {};
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--") { rest.push(...argv.slice(i + 1)); break; }
+    if (!a.startsWith("--")) { rest.push(a); continue; }
+    const [name, inline] = a.slice(2).split(/=(.*)/s);
+    const value = inline ?? argv[++i];
+    if (value == null) throw new UsageError(t("cli.needsValue", { name }));
+    opts[name] = value;
+  }
+  return { opts, rest };
+}
+
+function readInput(path) {
+  try { return readFileSync(path === "-" ? 0 : path, "utf8"); }
+  catch (e) { throw new UsageError(t("cli.readFailed", { path, error: e.message })); }
+}
+
+function readBackup(path) {
+  let data;
+  try { data = JSON.parse(readInput(path)); }
+  catch (e) { throw e instanceof UsageError ? e : new UsageError(t("cli.badJson", { path, error: e.message })); }
+  try { return normalizeBackup(data); }
+  catch (e) { throw new UsageError(t("cli.backupRejected", { error: e.message })); }
+}
+
+function checkFormat(format) {
+  if (!FORMATS.includes(format)) throw new UsageError(t("cli.unknownFormat", { format, formats: FORMATS.join(", ") }));
+  return format;
+}
+
+function write(products, format) {
+  if (format === "csv") return productsToCSV(products) + "\r\n";
+  if (format === "json") return JSON.stringify(products, null, 2) + "\n";
+  return products.map(p => p.mulebuy_url + "\n").join("");
+}
+
+// Links as the bulk converter sees them: every shop/agent URL in the text, or each
+// argument as typed (so a malformed one is reported instead of skipped).
+function collectLinks(opts, rest) {
+  if (opts.file) return extractUrls(readInput(opts.file)).filter(isShopOrAgentUrl);
+  if (rest.length) return rest;
+  if (!process.stdin.isTTY) return extractUrls(readInput("-")).filter(isShopOrAgentUrl);
+  throw new UsageError(t("cli.noInput"));
+}
+
+function convert(argv) {
+  const { opts, rest } = parseArgs(argv);
+  const format = checkFormat(opts.format || "text");
+  const settings = opts.settings ? { ...DEFAULT_SETTINGS, ...readBackup(opts.settings).settings } : DEFAULT_SETTINGS;
+  const override = opts.ref ?? "";
+  const badRef = override && refError(override);
+  if (badRef) throw new UsageError(`--ref : ${badRef}`);
+
+  const links = collectLinks(opts, rest);
+  const seen = new Set();
+  const products = [];
+  let failed = 0;
+  for (const input of links) {
+    try {
+      const c = convertLink(input, settings, override);
+      const key = `${c.shop_type}:${c.id}`;
+      if (seen.has(key)) { console.error(t("cli.duplicate", { input })); continue; }
+      seen.add(key);
+      products.push(newProductFromConv(c, opts.list || settings.defaultList));
+    } catch (e) {
+      failed++;
+      console.error(t("cli.rejected", { input, error: e.message }));
+    }
+  }
+  if (!links.length) console.error(t("cli.noLinks"));
+  process.stdout.write(write(products, format));
+  return failed || !links.length ? 1 : 0;
+}
+
+function importBackup(argv) {
+  const { opts, rest } = parseArgs(argv);
+  const format = checkFormat(opts.format || "json");
+  if (rest.length !== 1) throw new UsageError(t("cli.importArgs"));
+  const { products, settings, errors } = readBackup(rest[0]);
+  errors.forEach(e => console.error(e));
+
+  let out = products;
+  if (opts.list) {
+    // by name, or by the built-in id ("ordered") so renamed lists still match
+    const lists = settings?.lists || DEFAULT_SETTINGS.lists;
+    const name = lists.find(l => l.id === opts.list)?.name || opts.list;
+    const known = [...new Set([...lists.map(l => l.name), ...products.map(p => p.list)])];
+    if (!known.includes(name)) throw new UsageError(t("cli.unknownList", { list: opts.list, lists: known.join(", ") }));
+    out = products.filter(p => p.list === name);
+  }
+  process.stdout.write(write(out, format));
+  console.error(t(opts.list ? "cli.importedIn" : "cli.imported", { count: out.length, list: opts.list, version: SCHEMA_VERSION }));
+  return errors.length ? 1 : 0;
+}
+
+// Sync server for the app (Settings → Synchronisation, protocol in src/sync.js).
+// Every record lives in one JSON file, rewritten after each push; photos are files in
+// the "<file>.photos" folder next to it.
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  // lets a page served from the internet reach a server on the local network
+  "Access-Control-Allow-Private-Network": "true",
+};
+const MAX_PUSH = 50 * 1024 * 1024;
+
+function loadStore(path) {
+  if (!existsSync(path)) return newSyncStore();
+  try {
+    const store = JSON.parse(readFileSync(path, "utf8"));
+    if (store?.protocol === SYNC_PROTOCOL && store.records) return { photos: {}, ...store };
+  } catch (e) {
+    throw new UsageError(t("cli.badJson", { path, error: e.message }));
+  }
+  throw new UsageError(t("cli.badStore", { path }));
+}
+
+function saveStore(path, store) {
+  writeFileSync(`${path}.tmp`, JSON.stringify(store));
+  renameSync(`${path}.tmp`, path);
+}
+
+// Photo keys as the app makes them ("<uuid>", "sha-<hex>", "<key>@thumb"): safe file names.
+const PHOTO_PATH = /^\/v1\/photos\/([\w-]+(?:@thumb)?)$/;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_PUSH) { reject(new Error(t("cli.pushTooLarge"))); req.destroy(); }
+      else chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function handleSync(req, res, store, path, token) {
+  const send = (status, body) => {
+    res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); res.end(); return; }
+  if (token && req.headers.authorization !== `Bearer ${token}`) { send(401, { error: t("cli.unauthorized") }); return; }
+  const { pathname, searchParams } = new URL(req.url, "http://localhost");
+  if (req.method === "GET" && pathname === "/v1/changes") {
+    const since = Number(searchParams.get("since")) || 0;
+    send(200, { protocol: SYNC_PROTOCOL, seq: store.seq, records: changesSince(store, since) });
+    return;
+  }
+  if (req.method === "POST" && pathname === "/v1/push") {
+    let body;
+    try { body = JSON.parse((await readBody(req)).toString("utf8")); }
+    catch (e) { send(400, { error: e.message }); return; }
+    const error = pushError(body);
+    if (error) { send(400, { error }); return; }
+    const results = acceptPush(store, body.device, body.changes);
+    saveStore(path, store);
+    send(200, { seq: store.seq, results });
+    return;
+  }
+  const photo = pathname.match(PHOTO_PATH)?.[1];
+  const photoFile = photo && join(`${path}.photos`, photo);
+  if (req.method === "GET" && photo) {
+    if (!store.photos[photo] || !existsSync(photoFile)) { send(404, { error: t("cli.noPhoto", { key: photo }) }); return; }
+    res.writeHead(200, { ...CORS, "Content-Type": store.photos[photo] });
+    res.end(readFileSync(photoFile));
+    return;
+  }
+  if (req.method === "PUT" && photo) {
+    let body;
+    try { body = await readBody(req); }
+    catch (e) { send(400, { error: e.message }); return; }
+    mkdirSync(`${path}.photos`, { recursive: true });
+    writeFileSync(`${photoFile}.tmp`, body);
+    renameSync(`${photoFile}.tmp`, photoFile);
+    store.photos[photo] = req.headers["content-type"] || "application/octet-stream";
+    saveStore(path, store);
+    send(200, { ok: true });
+    return;
+  }
+  send(404, { error: t("cli.notFound", { path: pathname }) });
+}
+
+// Runs until stopped: returns no exit code.
+function serve(argv) {
+  const { opts, rest } = parseArgs(argv);
+  if (rest.length) throw new UsageError(t("cli.serveArgs"));
+  const port = Number(opts.port ?? 8787);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(t("cli.badPort", { port: opts.port }));
+  const host = opts.host || "127.0.0.1";
+  const path = opts.data || "mulebuy-sync.json";
+  const store = loadStore(path);
+
+  const server = createServer((req, res) => {
+    handleSync(req, res, store, path, opts.token).catch(e => {
+      console.error(e);
+      if (!res.headersSent) res.writeHead(500, CORS);
+      res.end();
+    });
+  });
+  server.on("error", e => {
+    console.error(t("cli.failed", { error: e.message }));
+    process.exitCode = 2;
+  });
+  server.listen(port, host, () => {
+    console.error(t("cli.serving", { url: `http://${host.includes(":") ? `[${host}]` : host}:${server.address().port}`, path, count: Object.keys(store.records).length }));
+    if (!opts.token && host !== "127.0.0.1" && host !== "localhost") console.error(t("cli.noToken"));
+  });
+}
+
+const COMMANDS = { convert, import: importBackup, serve };
+
+function main([command, ...argv]) {
+  if (!command || command === "help" || command === "--help" || command === "-h") {
+    console.log(t("cli.usage"));
+    return command ? 0 : 2;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(t("cli.unknownCommand", { command }));
+  return run(argv);
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  if (!(e instanceof UsageError)) throw e;
+  console.error(t("cli.failed", { error: e.message }));
+  process.exitCode = 2;
+}
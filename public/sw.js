@@ -0,0 +1,52 @@
+// Offline support for the installed app. The shell is cached on install; pages
+// go network-first (so a deploy shows up on next launch) and fall back to the
+// cached shell, which also serves ?url= share-target launches while offline.
+// Other same-origin files are served from cache and refreshed in the background;
+// Vite's built assets are content-hashed, so a stale hit is never wrong.
+const CACHE = "mulebuy-v1";
+const SHELL = ["./", "./manifest.webmanifest", "./icon-192.png", "./icon-512.png"];
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put("./", copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match("./"))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE).then(async cache => {
+      const hit = await cache.match(request);
+      const fresh = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => hit || Response.error());
+      return hit || fresh;
+    })
+  );
+});
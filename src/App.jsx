@@ -1,209 +1,680 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  CSV_FIELDS, CURRENCIES, DEFAULT_LISTS, DEFAULT_SETTINGS, DEFAULT_SORT, IMPORT_STRATEGIES,
+  IN_LIST_FILTERS, MERGE_SCALARS, QC_VERDICTS, SHARE_VERSION, SORTS, activeRef, agentLinks,
+  agentName, applyImport, bySort, convertAmount, convertLink, csvRowToProduct, currency,
+  daysInList, decodeShare, duplicateGroups, encodeShare, extractUrls, findDuplicate,
+  firstEnteredAt, guessCsvMapping, isShopOrAgentUrl, itemKey, leadTimes, legacyProduct,
+  looksLikeImageUrl, mergeParcels, mergeProducts, moveQcPhoto, newBlankProduct,
+  newProductFromConv, newQcSet, newVariant, normShopType, normalizeBackup,
+  normalizeSettings, parseCSV, parseShopUrl, planImport, priceIn, productQty, productTotal,
+  productsToCSV, profileName, qcGroups, qcPhotos, qcStatus, refError, refFor, refProfile,
+  shopUrl, stampUpdated, sumPrices, toMulebuy, uid, upgradeProduct, upgradeProducts,
+  upgradeSettings, variantsSummary, withList,
+} from "./core.js";
+import { LOCALES, detectLocale, formatDate, formatDateTime, formatMonth, formatNumber, setLocale, t } from "./i18n.js";
+import {
+  DEVICE_SETTINGS, SYNC_PROTOCOL, applyRecords, localRecords, newSyncState, queueChanges,
+  receiveRecords, resetSyncState, settlePush,
+} from "./sync.js";
 
 /**
  * Mulebuy Manager – Pro
- * Single-file React app — production-ready structure in one file for easy drop-in.
+ * React app (UI, storage, routing); link conversion, product model, CSV and
+ * backup import live in core.js, shared with the command-line tool.
  *
  * Highlights:
- * - Converter Weidian/Taobao → Mulebuy (ref configurable) with validation
- * - Product Lists (Wishlist, To Buy, Ordered, Received, Archived) + custom tags
+ * - Converter Weidian/Taobao/Tmall/1688 → Mulebuy with validation
+ * - Referral profiles (named refs), rules per shop/tag, ref format check, bulk ref rewrite
+ * - Bulk mode: extract every link from pasted text, convert, dedupe, save to a list
+ * - Duplicate detection (same shop_type + id) at save time + merge tool
+ * - Reverse conversion of agent links (CNFans, Kakobuy, ACBuy...) + equivalent links per agent
+ * - Product Lists (Wishlist, To Buy, Ordered, Received, Archived by default; editable in Settings) + custom tags
+ * - Kanban board of the lists with drag-and-drop and a manual order per column
  * - Sorting (date, title, shop_type, price), filtering (search + tags + list + status)
- * - Bulk select (delete, move list, add tag), keyboard shortcuts
+ * - Search query language (tag:, -tag:, shop:, price<, rating>=, seller:"…", list:any) + saved views
+ * - Bulk select (delete, move list, add tag)
+ * - Ctrl+K command palette (fuzzy search over every action), grid keys (j/k/arrows, x, Enter, e/m/t), "?" help
+ * - Hash routes for tabs, lists, filters and the product drawer (#/lists/Ordered?sort=price_asc, #/product/<uid>)
+ * - Undo/redo of every product change (Ctrl+Z / Ctrl+Shift+Z) with undo toasts
  * - Quick QC: add links, inline previews for direct image URLs, local image paste/drag
- * - Detail drawer to edit fields (title, size, price, seller, notes, rating, tags)
- * - Settings modal: default ref, default list, compact mode, data export/import
- * - LocalStorage persistence with schema version + migration (from v1)
+ * - QC review: lightbox with keyboard navigation, photo sets (per variant / batch) with GL/RL verdicts,
+ *   side-by-side comparison with the listing photo, annotations (circle, arrow, text), card badges
+ * - Detail drawer to edit fields (title, variants, currency, seller, notes, rating, tags)
+ * - Variants: several lines per product (label, quantity, unit price, buyer)
+ * - Status timeline: dated list transitions with notes, time-in-list sort/filter, lead times
+ * - Prices stored with their currency (CNY by default), shown in a display currency
+ * - Stats dashboard: spend and counts per list, tag, shop, seller and month
+ * - Deep links (?url=…&save=1&list=…), bookmarklets, installable PWA (offline, share target)
+ * - Share links: a compressed read-only snapshot in the URL fragment, opened in a viewer with import
+ * - Haul planner: parcels of Ordered items, weights, shipping lines, landed cost estimate
+ * - Settings modal: referral profiles, default list, compact mode, data export/import (JSON, CSV)
+ * - JSON import: validated + migrated like local data, replace or merge (by uid or by item) with a field-level conflict preview
+ * - LocalStorage persistence with schema version + migration (from v1), write errors surfaced
+ * - Local photos stored as blobs in IndexedDB (refs in products), storage usage meter
+ * - Photo pipeline on import/paste/drop: EXIF stripped, auto-rotated, downsized, WebP/JPEG re-encoded, thumbnails
+ * - Headless core (core.js) + `mulebuy` CLI: convert links and read backups from a terminal
+ * - Sync between devices through `mulebuy serve` (sync.js): per-record revisions, offline queue,
+ *   newest change wins on conflicts, status in the header
+ * - French/English UI (i18n.js, language in Settings or the browser's), plurals, locale-aware dates and numbers
  * - Clean, dark UI (Tailwind). Vite + Tailwind v4 friendly.
  */
 
 // ---------------------------- Types & Constants ----------------------------
-const SCHEMA_VERSION = 2;
 const LS = {
   products: "mulebuy.products.v2",
   settings: "mulebuy.settings.v2",
   history: "mulebuy.history.v2",
+  parcels: "mulebuy.parcels.v2",
+  sync: "mulebuy.sync.v1", // this device's sync server, queue and revisions
   // older keys we migrate from
   legacySaved: "mulebuy.saved.v1",
   legacyHistory: "mulebuy.history.v1",
 };
 
-const LISTS = ["Wishlist", "To Buy", "Ordered", "Received", "Archived"];
-
-const SORTS = [
-  { id: "created_at_desc", label: "Plus récent" },
-  { id: "created_at_asc", label: "Plus ancien" },
-  { id: "title_asc", label: "Titre A→Z" },
-  { id: "title_desc", label: "Titre Z→A" },
-  { id: "price_asc", label: "Prix ↑" },
-  { id: "price_desc", label: "Prix ↓" },
-  { id: "shop_type", label: "Shop type" },
+const MOD = /Mac|iPhone|iPad/.test(navigator.userAgent) ? "⌘" : "Ctrl";
+
+// The "?" overlay. Labels, and keys starting with "keys.", are message keys.
+const SHORTCUTS = [
+  { group: "keys.general", items: [
+    { keys: [[MOD, "K"]], label: "keys.palette" },
+    { keys: [["?"]], label: "keys.help" },
+    { keys: [[MOD, "F"]], label: "keys.search" },
+    { keys: [[MOD, "Z"]], label: "keys.undo" },
+    { keys: [[MOD, "⇧", "Z"], [MOD, "Y"]], label: "keys.redo" },
+    { keys: [["keys.esc"]], label: "keys.close" },
+  ] },
+  { group: "keys.grid", items: [
+    { keys: [["j"], ["→"]], label: "keys.next" },
+    { keys: [["k"], ["←"]], label: "keys.previous" },
+    { keys: [["↓"], ["↑"]], label: "keys.rows" },
+    { keys: [["x"]], label: "keys.select" },
+    { keys: [["keys.enter"]], label: "keys.open" },
+    { keys: [["e"]], label: "keys.edit" },
+    { keys: [["m"]], label: "keys.move" },
+    { keys: [["t"]], label: "keys.tag" },
+    { keys: [["keys.delete"]], label: "keys.deleteSelection" },
+  ] },
 ];
 
-const DEFAULT_SETTINGS = {
-  defaultRef: "200084174",
-  defaultList: "Wishlist",
-  compactCards: false,
+// Full class names so Tailwind picks them up.
+const LIST_COLORS = {
+  neutral: "bg-neutral-500",
+  sky: "bg-sky-500",
+  indigo: "bg-indigo-500",
+  violet: "bg-violet-500",
+  rose: "bg-rose-500",
+  amber: "bg-amber-500",
+  emerald: "bg-emerald-500",
+  teal: "bg-teal-500",
 };
 
 // ---------------------------- Utils ---------------------------------------
-function uid() {
-  return crypto.randomUUID?.() || Math.random().toString(36).slice(2);
+function classNames(...xs) { return xs.filter(Boolean).join(" "); }
+
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
 }
 
-function parseShopUrl(raw) {
-  const s = raw?.trim();
-  if (!s) throw new Error("URL manquante.");
-  let url;
-  try { url = new URL(s); } catch { throw new Error("URL invalide."); }
-  const host = url.hostname;
-  const q = new URLSearchParams(url.search);
-  if (host.includes("weidian.com")) {
-    const itemID = q.get("itemID");
-    if (!itemID) throw new Error("itemID manquant pour Weidian.");
-    return { shop_type: "weidian", id: itemID };
+// Keys typed into a field belong to the field (native text undo, Delete...).
+function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.tagName === "INPUT") return !["checkbox", "radio", "button", "range", "file"].includes(el.type);
+  return el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT";
+}
+
+// Subsequence match, ignoring case and accents: every query character, in order.
+// The query as one piece beats scattered characters; runs of consecutive
+// characters and word starts score higher. null = no match.
+function fuzzyScore(query, text) {
+  const fold = s => s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  const q = fold(query).replace(/\s+/g, "");
+  const s = fold(text);
+  const wordStart = i => i === 0 || /[\s:·/'-]/.test(s[i - 1]);
+  const at = s.indexOf(q);
+  if (at >= 0) return q.length * (q.length + 1) / 2 + q.length + (wordStart(at) ? 2 : 0) - s.length / 100;
+  let score = 0, run = 0, from = 0;
+  for (const ch of q) {
+    const i = s.indexOf(ch, from);
+    if (i < 0) return null;
+    run = i === from ? run + 1 : 1;
+    score += run + (wordStart(i) ? 2 : 0);
+    from = i + 1;
+  }
+  return score - s.length / 100; // equal matches: the shorter title first
+}
+
+function today() { return new Date().toISOString().slice(0,10); }
+
+// ---------------------------- Storage & Migration -------------------------
+function loadJSON(key, fallback) {
+  try { const v = JSON.parse(localStorage.getItem(key)); return v ?? fallback; } catch { return fallback; }
+}
+// Returns the write error (quota exceeded, storage disabled...) instead of
+// swallowing it, so the UI can tell the user their change was not kept.
+function saveJSON(key, val) {
+  try { localStorage.setItem(key, JSON.stringify(val)); return null; }
+  catch (e) { console.error(`saveJSON(${key})`, e); return e; }
+}
+
+function describeStorageError(e) {
+  if (e?.name === "QuotaExceededError" || e?.code === 22) return t("storage.full");
+  return t("storage.failed", { error: e?.message || e });
+}
+
+function localStorageBytes() {
+  return Object.values(LS).reduce((a, k) => a + ((localStorage.getItem(k) || "").length + k.length) * 2, 0);
+}
+
+// ---------------------------- Image store (IndexedDB) ---------------------
+// Photo blobs live in IndexedDB; products only keep "idb:<key>" refs, which keeps
+// the localStorage payload small. Remote URLs are left as they are.
+const IDB = { name: "mulebuy", version: 1, images: "images" };
+const IMAGE_REF = "idb:";
+
+let dbPromise = null;
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((res, rej) => {
+      const req = indexedDB.open(IDB.name, IDB.version);
+      req.onupgradeneeded = () => req.result.createObjectStore(IDB.images);
+      req.onsuccess = () => res(req.result);
+      req.onerror = () => rej(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+async function idbRequest(mode, fn) {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(IDB.images, mode);
+    const req = fn(tx.objectStore(IDB.images));
+    tx.oncomplete = () => res(req.result);
+    tx.onerror = tx.onabort = () => rej(tx.error || new Error("IndexedDB transaction failed"));
+  });
+}
+
+const imageStore = {
+  put: (key, blob) => idbRequest("readwrite", st => st.put(blob, key)),
+  get: key => idbRequest("readonly", st => st.get(key)),
+  delete: key => idbRequest("readwrite", st => st.delete(key)),
+  keys: () => idbRequest("readonly", st => st.getAllKeys()),
+  all: () => idbRequest("readonly", st => st.getAll()),
+};
+
+function isStoredImage(src) { return typeof src === "string" && src.startsWith(IMAGE_REF); }
+function isInlineImage(src) { return typeof src === "string" && src.startsWith("data:"); }
+function hasInlineImages(p) { return (p.images || []).some(isInlineImage); }
+
+async function storeImage(blob, key = uid()) {
+  await imageStore.put(key, blob);
+  return IMAGE_REF + key;
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((res, rej) => { const r = new FileReader(); r.onload = () => res(r.result); r.onerror = () => rej(r.error); r.readAsDataURL(blob); });
+}
+
+// Content-derived key, so re-running a migration overwrites instead of duplicating.
+async function inlineImageKey(dataUrl) {
+  if (!crypto.subtle) return uid();
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(dataUrl));
+  return "sha-" + Array.from(new Uint8Array(digest).slice(0, 16), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Moves every data: URL found in `products` to the image store.
+// Returns a Map dataUrl → ref for withExternalizedImages().
+async function externalizeImages(products) {
+  const moved = new Map();
+  for (const src of new Set(products.flatMap(p => (p.images || []).filter(isInlineImage)))) {
+    const blob = await (await fetch(src)).blob();
+    moved.set(src, await storeImage(blob, await inlineImageKey(src)));
+  }
+  return moved;
+}
+
+function withExternalizedImages(p, moved) {
+  if (!hasInlineImages(p)) return p;
+  const images = p.images.map(src => moved.get(src) || src);
+  return { ...p, images };
+}
+
+// Backups carry the photos themselves: refs are turned back into data: URLs.
+async function inlineStoredImages(products) {
+  const out = [];
+  for (const p of products) {
+    if (!(p.images || []).some(isStoredImage)) { out.push(p); continue; }
+    const images = [];
+    for (const src of p.images) {
+      const blob = isStoredImage(src) ? await imageStore.get(src.slice(IMAGE_REF.length)) : null;
+      images.push(blob ? await blobToDataUrl(blob) : src);
+    }
+    out.push({ ...p, images });
   }
-  if (host.includes("taobao.com")) {
-    const id = q.get("id");
-    if (!id) throw new Error("id manquant pour Taobao.");
-    return { shop_type: "taobao", id };
+  return out;
+}
+
+// Photos stored on another device come from the sync server (useSync sets it) the
+// first time they are shown, then stay here like local ones.
+let photoServer = null; // { url, token } while sync is on
+const fetchedPhotos = new Set(); // keys that came from the server: no need to send them back
+
+async function fetchStoredImage(key) {
+  if (!photoServer) return null;
+  try {
+    const blob = await (await syncFetch(photoServer, `v1/photos/${key}`)).blob();
+    await imageStore.put(key, blob);
+    fetchedPhotos.add(key);
+    return blob;
+  } catch {
+    return null; // offline, or not sent yet by the device that has it
   }
-  throw new Error("Domaine non supporté (weidian.com ou taobao.com).");
 }
 
-function toMulebuy({ shop_type, id, ref }) {
-  const r = (ref || DEFAULT_SETTINGS.defaultRef).trim();
-  return `https://mulebuy.com/product/?shop_type=${shop_type}&id=${id}&ref=${r}`;
+const objectUrls = new Map(); // ref → object URL, for the session
+async function loadImageUrl(ref) {
+  if (objectUrls.has(ref)) return objectUrls.get(ref);
+  const key = ref.slice(IMAGE_REF.length);
+  const blob = await imageStore.get(key) || await fetchStoredImage(key);
+  // `missing`: the ref points at a photo kept on another device
+  if (!blob) throw Object.assign(new Error(t("photos.notFound")), { missing: true });
+  const url = URL.createObjectURL(blob);
+  objectUrls.set(ref, url);
+  return url;
+}
+
+// Each stored photo has a small copy under "<key>@thumb" for cards and strips.
+// Photos stored before the pipeline have none; useImageUrl falls back to the full image.
+const THUMB_SUFFIX = "@thumb";
+function thumbRef(src) { return src + THUMB_SUFFIX; }
+function imageKeyOf(key) { return key.endsWith(THUMB_SUFFIX) ? key.slice(0, -THUMB_SUFFIX.length) : key; }
+
+// Keys of the stored photos products point at: their photos and their QC reference photo.
+function storedImageKeys(products) {
+  return products.flatMap(p => [...(p.images || []), p.ref_photo]).filter(isStoredImage).map(src => src.slice(IMAGE_REF.length));
 }
 
-function looksLikeImageUrl(u) {
+// Redrawing the decoded bitmap on a canvas is what strips EXIF (GPS, camera, date):
+// only pixels reach the encoder. createImageBitmap applies the EXIF orientation first.
+async function processImage(blob, opts) {
+  let bitmap;
+  try { bitmap = await createImageBitmap(blob, { imageOrientation: "from-image" }); }
+  catch { throw new Error(t("photos.unsupported", { type: blob.type || "?" })); }
   try {
-    const url = new URL(u);
-    const ext = url.pathname.toLowerCase();
-    const okExt = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp", ".avif"].some(e => ext.endsWith(e));
-    const hosts = ["i.imgur.com", "imgur.com", "catbox.moe", "files.catbox.moe", "postimg.cc", "i.ibb.co", "cdn.discordapp.com", "images.weserv.nl"];
-    return okExt || hosts.some(h => url.hostname.endsWith(h));
-  } catch { return false; }
+    return {
+      full: await encodeBitmap(bitmap, opts.maxSize, opts.format, opts.quality),
+      thumb: await encodeBitmap(bitmap, opts.thumbSize, opts.format, Math.min(opts.quality, 0.7)),
+    };
+  } finally {
+    bitmap.close();
+  }
 }
 
-function currency(n) {
-  if (n == null || n === "") return "—";
-  const num = Number(n);
-  if (Number.isNaN(num)) return String(n);
-  return new Intl.NumberFormat(undefined, { style: "currency", currency: "EUR" }).format(num);
+async function encodeBitmap(bitmap, maxSize, type, quality) {
+  const k = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * k));
+  canvas.height = Math.max(1, Math.round(bitmap.height * k));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  const encode = t => {
+    // JPEG has no alpha: transparent screenshots would turn black
+    if (t === "image/jpeg") { ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, canvas.width, canvas.height); }
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return new Promise(res => canvas.toBlob(res, t, quality));
+  };
+  const blob = await encode(type);
+  // browsers without a WebP encoder hand back a PNG instead
+  if (blob && blob.type === type) return blob;
+  return (await encode("image/jpeg")) || Promise.reject(new Error(t("photos.encodeFailed")));
 }
 
-function classNames(...xs) { return xs.filter(Boolean).join(" "); }
+// Imported, pasted and dropped photos: processed, then stored with their thumbnail.
+async function storePhoto(file, opts, key = uid()) {
+  const { full, thumb } = await processImage(file, opts);
+  await imageStore.put(thumbRef(key), thumb);
+  return storeImage(full, key);
+}
 
-// ---------------------------- Storage & Migration -------------------------
-function loadJSON(key, fallback) {
-  try { const v = JSON.parse(localStorage.getItem(key)); return v ?? fallback; } catch { return fallback; }
+// Runs already stored photos through the pipeline again (same keys, so products
+// keep their refs): photos added before it existed lose their metadata, shrink and
+// get a thumbnail. Returns the bytes saved.
+async function reprocessStoredImages(keys, opts, onProgress) {
+  let saved = 0;
+  for (const [i, key] of keys.entries()) {
+    const blob = await imageStore.get(key);
+    if (blob) {
+      const { full, thumb } = await processImage(blob, opts);
+      await imageStore.put(key, full);
+      saved += blob.size - full.size;
+      await imageStore.put(thumbRef(key), thumb);
+      for (const ref of [IMAGE_REF + key, IMAGE_REF + thumbRef(key)]) {
+        if (objectUrls.has(ref)) { URL.revokeObjectURL(objectUrls.get(ref)); objectUrls.delete(ref); }
+      }
+    }
+    onProgress?.(i + 1);
+  }
+  return saved;
 }
-function saveJSON(key, val) { try { localStorage.setItem(key, JSON.stringify(val)); } catch {} }
 
 function migrateIfNeeded() {
   const products = loadJSON(LS.products, null);
-  const settings = loadJSON(LS.settings, null) ?? DEFAULT_SETTINGS;
+  const settings = { ...DEFAULT_SETTINGS, ...upgradeSettings(loadJSON(LS.settings, null)) };
   const history = loadJSON(LS.history, null) ?? [];
-  if (products) return { products, settings, history };
+  const parcels = loadJSON(LS.parcels, null) ?? [];
+  if (products) return { products: upgradeProducts(products), settings, history, parcels };
 
   // Try migrate v1 saved structure -> products v2
   const legacy = loadJSON(LS.legacySaved, null);
   const legacyHistory = loadJSON(LS.legacyHistory, []) || [];
   if (Array.isArray(legacy)) {
-    const migrated = legacy.map(x => ({
-      uid: x.uid || uid(),
-      created_at: x.created_at || new Date().toISOString(),
-      list: DEFAULT_SETTINGS.defaultList,
-      shop_type: x.shop_type,
-      id: x.id,
-      ref: x.ref || DEFAULT_SETTINGS.defaultRef,
-      mulebuy_url: x.mulebuy_url || toMulebuy({ shop_type: x.shop_type, id: x.id, ref: x.ref }),
-      title: x.title || "",
-      seller: "",
-      size: "",
-      price: "",
-      rating: 0,
-      notes: x.notes || "",
-      tags: x.tags || [],
-      qc_links: x.qc_links || [],
-      images: x.images || [],
-      _v: SCHEMA_VERSION,
-    }));
+    const migrated = legacy.map(legacyProduct).map(upgradeProduct);
     saveJSON(LS.products, migrated);
     saveJSON(LS.history, legacyHistory);
-    return { products: migrated, settings: DEFAULT_SETTINGS, history: legacyHistory };
+    return { products: migrated, settings: DEFAULT_SETTINGS, history: legacyHistory, parcels };
   }
   // Fresh start
   const fresh = [];
   saveJSON(LS.products, fresh);
   saveJSON(LS.settings, DEFAULT_SETTINGS);
   saveJSON(LS.history, []);
-  return { products: fresh, settings: DEFAULT_SETTINGS, history: [] };
+  return { products: fresh, settings: DEFAULT_SETTINGS, history: [], parcels };
 }
 
 // ---------------------------- App ----------------------------------------
 export default function App() {
   const boot = useMemo(() => migrateIfNeeded(), []);
-  const [products, setProducts] = useState(boot.products);
+  const [products, setTrackedProducts, productHistory] = useUndoable(boot.products);
+  // tracked changes stamp `updated_at` on what they touched (see stampUpdated)
+  const setProducts = useCallback((next, label) => setTrackedProducts(
+    label === false ? next : prev => stampUpdated(prev, typeof next === "function" ? next(prev) : next),
+    label,
+  ), [setTrackedProducts]);
   const [settings, setSettings] = useState(boot.settings);
+  // Set before anything renders so t() and the formatters follow a language switch
+  // in the same pass ("" = the browser's language).
+  const locale = setLocale(settings.language || detectLocale(navigator.languages));
+  useEffect(() => { document.documentElement.lang = locale; }, [locale]);
   const [history, setHistory] = useState(boot.history);
-
-  const [tab, setTab] = useState("manage"); // manage | lists | settings
-  const [search, setSearch] = useState("");
-  const [activeList, setActiveList] = useState(settings.defaultList || "Wishlist");
-  const [sortId, setSortId] = useState("created_at_desc");
-  const [showDrawer, setShowDrawer] = useState(false);
-  const [editing, setEditing] = useState(null); // product
+  const [parcels, setParcels] = useState(boot.parcels);
+  const [qcReview, setQcReview] = useState(null); // { uid, src } of the product under QC review
+  const qcProduct = qcReview && products.find(p => p.uid === qcReview.uid);
+
+  // the URL hash the app was opened on (see parseRoute)
+  const bootRoute = useMemo(() => parseRoute(location.hash) || parseRoute("#/convert"), []);
+  const bootProduct = bootRoute.productUid ? boot.products.find(p => p.uid === bootRoute.productUid) || null : null;
+
+  const [tab, setTab] = useState(bootRoute.tab || "lists"); // manage | lists | haul | stats | settings
+  const [search, setSearch] = useState(bootRoute.search);
+  const [tagFilter, setTagFilter] = useState(bootRoute.tagFilter);
+  const [activeList, setActiveList] = useState(bootRoute.list || settings.defaultList || "Wishlist");
+  const [listLayout, setListLayout] = useState(bootRoute.listLayout); // grid | board
+  const [sortId, setSortId] = useState(bootRoute.sortId);
+  const [minDaysInList, setMinDaysInList] = useState(bootRoute.minDaysInList);
+  const [showDrawer, setShowDrawer] = useState(!!bootProduct);
+  const [editing, setEditing] = useState(bootProduct); // product
   const [selection, setSelection] = useState(new Set());
+  const [sharing, setSharing] = useState(null); // { products, title } being shared
+  const [shared, setShared] = useState(null); // { snapshot } | { error } opened from a #share= link
+
+  const sync = useSync({ products, settings, history, rebaseProducts: productHistory.rebase, setSettings, setHistory });
+
+  const storageErrors = [
+    usePersistedJSON(LS.products, products),
+    usePersistedJSON(LS.settings, settings),
+    usePersistedJSON(LS.history, history),
+    usePersistedJSON(LS.parcels, parcels),
+    sync.storageError,
+  ].filter(Boolean);
+
+  // Photos still inline as data: URLs (schema v3, old backups) go to IndexedDB.
+  const [imageStoreError, setImageStoreError] = useState(null);
+  useEffect(() => {
+    if (!products.some(hasInlineImages)) return;
+    let alive = true;
+    externalizeImages(products)
+      .then(moved => { if (alive) { setImageStoreError(null); setProducts(prev => prev.map(p => withExternalizedImages(p, moved)), false); } })
+      .catch(e => { if (alive) setImageStoreError(t("photos.externalizeFailed", { error: e.message })); });
+    return () => { alive = false; };
+  }, [products, setProducts]);
+
+  // #share=… links open the viewer instead of the app
+  useEffect(() => {
+    function readShare() {
+      if (!location.hash.startsWith(SHARE_PREFIX)) { setShared(null); return; }
+      decodeShare(location.hash.slice(SHARE_PREFIX.length))
+        .then(snapshot => setShared({ snapshot }))
+        .catch(e => setShared({ error: e.message }));
+    }
+    readShare();
+    window.addEventListener("hashchange", readShare);
+    return () => window.removeEventListener("hashchange", readShare);
+  }, []);
+
+  function closeShared() {
+    window.history.replaceState(null, "", location.pathname + location.search);
+    setShared(null);
+  }
 
-  useEffect(() => saveJSON(LS.products, products), [products]);
-  useEffect(() => saveJSON(LS.settings, settings), [settings]);
-  useEffect(() => saveJSON(LS.history, history), [history]);
+  function importShared(created, list) {
+    const label = t("products.importedInto", { count: created.length, list });
+    setProducts(prev => [...created, ...prev], label);
+    notify(label);
+  }
 
   // ---------------- Converter state
   const [inputUrl, setInputUrl] = useState("");
-  const [ref, setRef] = useState(settings.defaultRef || DEFAULT_SETTINGS.defaultRef);
+  const [refOverride, setRefOverride] = useState(""); // one-off ref, beats profiles and rules
   const [conv, setConv] = useState(null);
   const [convErr, setConvErr] = useState("");
 
-  function handleConvert() {
-    setConv(null); setConvErr("");
+  const [convMode, setConvMode] = useState("single"); // single | bulk
+
+  function recordHistory(entries) {
+    setHistory(prev => [...historyRows(entries), ...prev].slice(0, 400));
+  }
+
+  const [dupWarn, setDupWarn] = useState(null); // existing product matching conv
+
+  function convertInput(input) {
+    setConv(null); setConvErr(""); setDupWarn(null);
     try {
-      const parsed = parseShopUrl(inputUrl);
-      const url = toMulebuy({ ...parsed, ref });
-      const now = new Date().toISOString();
-      setConv({ url, ...parsed, ref });
-      const h = { id: uid(), ts: now, input: inputUrl, ...parsed, ref, out: url };
-      setHistory(prev => [h, ...prev].slice(0, 400));
+      const c = convertLink(input, settings, refOverride);
+      setConv(c);
+      recordHistory([historyEntry(input, c)]);
     } catch (e) {
       setConvErr(e.message);
     }
   }
+  function handleConvert() { convertInput(inputUrl); }
+
+  // the first shop/agent link on the clipboard, else its text as is
+  async function convertClipboard() {
+    let text;
+    try { text = await navigator.clipboard.readText(); }
+    catch (e) { notify(t("palette.clipboardFailed", { error: e.message }), false); return; }
+    const input = extractUrls(text).find(isShopOrAgentUrl) || text.trim();
+    setTab("manage"); setConvMode("single"); setInputUrl(input);
+    convertInput(input);
+  }
+
+  const refPicker = <RefPicker settings={settings} setSettings={setSettings} override={refOverride} setOverride={setRefOverride} />;
+
+  function handleSaveBulk(convs, list) {
+    const created = convs.map(c => newProductFromConv(c, list));
+    setProducts(prev => [...created, ...prev], t("products.added", { count: created.length }));
+  }
 
-  function handleSaveConverted() {
+  function handleSaveConverted(force = false) {
     if (!conv) return;
+    const existing = findDuplicate(products, conv);
+    if (existing && !force) { setDupWarn(existing); return; }
     const p = newProductFromConv(conv, settings.defaultList);
-    setProducts(prev => [p, ...prev]);
+    setProducts(prev => [p, ...prev], t("products.added", { count: 1 }));
+    setDupWarn(null);
     setEditing(p); setShowDrawer(true);
   }
 
+  const [focusTitle, setFocusTitle] = useState(false); // the drawer opens on its title field
+  function openProduct(p) { setEditing(p); setShowDrawer(true); setFocusTitle(false); }
+  function editProduct(p) { setEditing(p); setShowDrawer(true); setFocusTitle(true); }
+  function closeDrawer() { setShowDrawer(false); setEditing(null); setFocusTitle(false); }
+
+  function newProduct() {
+    const p = newBlankProduct(activeRef(settings), tab === "lists" && listLayout === "grid" ? currentList : settings.defaultList);
+    setProducts(prev => [p, ...prev]);
+    editProduct(p);
+  }
+
+  function exportCsv() {
+    downloadText(`mulebuy-${currentList.toLowerCase().replace(/\s+/g, "-")}-${today()}.csv`, productsToCSV(filtered), "text/csv");
+  }
+
+  const [exporting, setExporting] = useState(false);
+
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const dupGroups = useMemo(() => duplicateGroups(products), [products]);
+
+  function applyMerge(group, merged) {
+    const drop = new Set(group.map(p => p.uid));
+    const label = t("duplicates.merged", { count: group.length });
+    setProducts(prev => prev.flatMap(p => p.uid === merged.uid ? [merged] : drop.has(p.uid) ? [] : [p]), label);
+    notify(label);
+  }
+
   // ---------------- Derived data
   const allTags = useMemo(() => Array.from(new Set(products.flatMap(p => p.tags || []))).sort(), [products]);
 
-  const [tagFilter, setTagFilter] = useState("");
+  const lists = useMemo(() => knownLists(settings.lists, products), [settings.lists, products]);
+  const listNames = useMemo(() => lists.map(l => l.name), [lists]);
+  // the selected list may have been renamed or deleted in Settings
+  const currentList = listNames.includes(activeList) ? activeList : (listNames.includes(settings.defaultList) ? settings.defaultList : listNames[0]);
 
-  const filtered = useMemo(() => {
+  // ?url=… (bookmarklet) or a Web Share Target launch: convert right away, and
+  // with save=1 store it too. The query is dropped so a reload doesn't redo it.
+  const [deepLink, setDeepLink] = useState(() => readDeepLink(location.search));
+  useEffect(() => {
+    if (!deepLink) return;
+    setDeepLink(null);
+    const params = new URLSearchParams(location.search);
+    DEEP_LINK_PARAMS.forEach(k => params.delete(k));
+    window.history.replaceState(null, "", location.pathname + (params.size ? `?${params}` : "") + location.hash);
+
+    setTab("manage"); setConvMode("single"); setInputUrl(deepLink.input); setDupWarn(null);
+    try {
+      const c = convertLink(deepLink.input, settings);
+      setConv(c); setConvErr("");
+      setHistory(prev => [...historyRows([historyEntry(deepLink.input, c)]), ...prev].slice(0, 400));
+      if (!deepLink.save) return;
+      const existing = findDuplicate(products, c);
+      if (existing) { setDupWarn(existing); return; }
+      const list = listNames.find(l => l.toLowerCase() === deepLink.list.toLowerCase()) || settings.defaultList;
+      setProducts(prev => [newProductFromConv(c, list), ...prev], t("products.addedTo", { list }));
+      setToast({ id: uid(), message: t("products.savedIn", { list }), undoable: true });
+    } catch (e) {
+      setConv(null); setConvErr(e.message);
+    }
+  }, [deepLink, settings, products, listNames, setProducts]);
+
+  // ---------------- Routing: state → hash. Moving to another tab, list or product
+  // adds a history entry; filter and sort tweaks only replace the current one.
+  const route = routeHash({ tab, list: currentList, search, tagFilter, sortId, minDaysInList, listLayout, productUid: showDrawer && editing ? editing.uid : "" });
+  useEffect(() => {
+    if (shared || location.hash.startsWith(SHARE_PREFIX) || location.hash === route) return;
+    const path = h => h.split("?")[0];
+    const push = location.hash.startsWith("#/") && path(location.hash) !== path(route);
+    window.history[push ? "pushState" : "replaceState"](null, "", route);
+  }, [route, shared]);
+
+  // hash → state (back/forward, edited URL, pasted product link)
+  useEffect(() => {
+    function onRoute() {
+      const r = parseRoute(location.hash);
+      if (!r) return;
+      if (r.productUid) {
+        const p = products.find(x => x.uid === r.productUid);
+        if (p) { setEditing(p); setShowDrawer(true); }
+        return;
+      }
+      setShowDrawer(false); setEditing(null);
+      setTab(r.tab);
+      if (r.list) setActiveList(r.list);
+      setSearch(r.search); setTagFilter(r.tagFilter); setSortId(r.sortId);
+      setMinDaysInList(r.minDaysInList); setListLayout(r.listLayout);
+    }
+    window.addEventListener("popstate", onRoute);
+    window.addEventListener("hashchange", onRoute);
+    return () => {
+      window.removeEventListener("popstate", onRoute);
+      window.removeEventListener("hashchange", onRoute);
+    };
+  }, [products]);
+
+  const allSellers = useMemo(() => Array.from(new Set(products.map(p => p.seller?.trim()).filter(Boolean))).sort(), [products]);
+  const money = useMemo(() => ({ display: settings.displayCurrency, rates: settings.rates }), [settings.displayCurrency, settings.rates]);
+
+  // search query + tag filter, shared by the Lists view and the stats
+  const query = useMemo(() => parseQuery(search), [search]);
+  const searched = useMemo(() => {
+    const ctx = { ...money, now: Date.now() };
     return products
-      .filter(p => (activeList ? p.list === activeList : true))
       .filter(p => (tagFilter ? (p.tags || []).includes(tagFilter) : true))
-      .filter(p => {
-        const q = search.trim().toLowerCase();
-        if (!q) return true;
-        const hay = [p.title, p.notes, p.shop_type, p.id, p.seller, p.size, p.ref, p.mulebuy_url, ...(p.tags||[])].join(" ").toLowerCase();
-        return hay.includes(q);
-      })
-      .sort(bySort(sortId));
-  }, [products, activeList, search, sortId, tagFilter]);
+      .filter(p => matchQuery(p, query, ctx));
+  }, [products, query, tagFilter, money]);
+
+  // a list: term in the query takes over the list selector
+  const filtered = useMemo(() => {
+    const now = Date.now();
+    return searched
+      .filter(p => (query.list || !currentList ? true : p.list === currentList))
+      .filter(p => (minDaysInList ? daysInList(p, now) >= minDaysInList : true))
+      .sort(bySort(sortId, settings.rates));
+  }, [searched, query.list, currentList, minDaysInList, sortId, settings.rates]);
+
+  // Kanban: every list as a column, manual order first, then the current sort.
+  const board = useMemo(() => {
+    const now = Date.now();
+    const items = searched
+      .filter(p => (minDaysInList ? daysInList(p, now) >= minDaysInList : true))
+      .sort(bySort(sortId, settings.rates));
+    return lists.map(list => ({ list, items: boardColumn(items.filter(p => p.list === list.name), settings.boardOrder?.[list.id]) }));
+  }, [searched, lists, minDaysInList, sortId, settings.rates, settings.boardOrder]);
+
+  function moveOnBoard(uid, list, beforeUid) {
+    const moved = products.find(p => p.uid === uid);
+    if (!moved) return;
+    // order the whole column, not just what the search shows, so hidden cards keep their place
+    const column = boardColumn(products.filter(p => p.list === list.name), settings.boardOrder?.[list.id]).map(p => p.uid);
+    setSettings(v => ({ ...v, boardOrder: { ...v.boardOrder, [list.id]: placeInColumn(column, uid, beforeUid) } }));
+    if (moved.list !== list.name) {
+      const label = t("products.movedTo", { count: 1, list: list.name });
+      setProducts(prev => prev.map(p => p.uid === uid ? withList(p, list.name) : p), label);
+      notify(label);
+    }
+  }
+
+  const querySuggestions = useMemo(() => ({
+    tag: allTags, seller: allSellers, shop: ["taobao", "weidian", "ali_1688"], list: ["any", ...listNames],
+  }), [allTags, allSellers, listNames]);
+
+  function saveView() {
+    const name = prompt(t("views.namePrompt"), search.trim() || t("views.defaultName"));
+    if (!name?.trim()) return;
+    setSettings(v => ({ ...v, savedViews: [...(v.savedViews || []), { id: uid(), name: name.trim(), query: search, sortId }] }));
+  }
+  function applyView(view) { setSearch(view.query); setSortId(view.sortId); }
+  function deleteView(id) { setSettings(v => ({ ...v, savedViews: (v.savedViews || []).filter(x => x.id !== id) })); }
+  // what the Lists tab shows, and what "Partager" shares when nothing is selected
+  const shownProducts = useMemo(() => (listLayout === "board" ? board.flatMap(c => c.items) : filtered), [listLayout, board, filtered]);
+  const viewTitle = (settings.savedViews || []).find(v => v.query === search && v.sortId === sortId)?.name
+    || (listLayout === "board" || query.list === "any" ? t("lists.allProducts") : query.list || currentList);
+  const fmtTotal = list => currency(sumPrices(list, money.display, money.rates), money.display);
 
   // ---------------- Bulk actions
   function toggleSelect(uid) {
@@ -215,34 +686,173 @@ export default function App() {
   }
   function clearSelection() { setSelection(new Set()); }
 
+  // No confirm() on deletes: they can be undone from the toast or with Ctrl+Z.
+  function removeProducts(uids) {
+    const label = t("products.deleted", { count: uids.size });
+    setProducts(prev => prev.filter(p => !uids.has(p.uid)), label);
+    notify(label);
+  }
+
   function bulkDelete() {
     if (selection.size === 0) return;
-    if (!confirm(`Supprimer ${selection.size} élément(s) ?`)) return;
-    setProducts(prev => prev.filter(p => !selection.has(p.uid)));
+    removeProducts(selection);
     clearSelection();
   }
 
+  function moveToList(uids, listName) {
+    if (uids.size === 0) return;
+    const label = t("products.movedTo", { count: uids.size, list: listName });
+    setProducts(prev => prev.map(p => uids.has(p.uid) ? withList(p, listName) : p), label);
+    notify(label);
+  }
+
   function bulkMove(listName) {
-    if (selection.size === 0) return;
-    setProducts(prev => prev.map(p => selection.has(p.uid) ? { ...p, list: listName } : p));
+    moveToList(selection, listName);
     clearSelection();
   }
 
-  function bulkAddTag(tag) {
-    if (!tag) return;
-    setProducts(prev => prev.map(p => selection.has(p.uid) ? { ...p, tags: Array.from(new Set([...(p.tags||[]), tag])) } : p));
+  // profileId "" → each product through the rules
+  function bulkRewriteRef(profileId) {
+    if (selection.size === 0) return;
+    const profile = profileId ? refProfile(settings, profileId) : null;
+    const label = profile
+      ? t("ref.rewrittenProfile", { count: selection.size, profile: profileName(profile) })
+      : t("ref.rewrittenRules", { count: selection.size });
+    setProducts(prev => prev.map(p => {
+      if (!selection.has(p.uid)) return p;
+      const ref = profile ? profile.ref : refFor(settings, p);
+      return { ...p, ref, mulebuy_url: toMulebuy({ ...p, ref }) };
+    }), label);
+    notify(label);
+  }
+
+  function tagProducts(uids, tag) {
+    if (!tag || uids.size === 0) return;
+    setProducts(prev => prev.map(p => uids.has(p.uid) ? { ...p, tags: Array.from(new Set([...(p.tags||[]), tag])) } : p), t("tags.added", { tag }));
+  }
+
+  function bulkAddTag(tag) { tagProducts(selection, tag); }
+
+  // ---------------- Undo / toasts
+  const [toast, setToast] = useState(null); // { id, message, undoable }
+  function notify(message, undoable = true) { setToast({ id: uid(), message, undoable }); }
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  const { undo, redo } = productHistory;
+  const undoWithToast = useCallback(() => {
+    const label = productHistory.undoLabel;
+    if (!productHistory.canUndo) return;
+    undo();
+    setToast({ id: uid(), message: t("undo.undone", { label: label || t("undo.change") }), undoable: false });
+  }, [productHistory.canUndo, productHistory.undoLabel, undo]);
+  const redoWithToast = useCallback(() => {
+    const label = productHistory.redoLabel;
+    if (!productHistory.canRedo) return;
+    redo();
+    setToast({ id: uid(), message: t("undo.redone", { label: label || t("undo.change") }), undoable: false });
+  }, [productHistory.canRedo, productHistory.redoLabel, redo]);
+
+  // ---------------- Keyboard: command palette, grid cursor, shortcuts
+  const [palette, setPalette] = useState(null); // { scope: "all" | "move" | "tag", uids } while open
+  const [showKeys, setShowKeys] = useState(false); // the "?" overlay
+  const [cursor, setCursor] = useState(null); // uid of the card the grid keys act on
+  const gridRef = useRef(null);
+  const gridActive = !shared && tab === "lists" && listLayout === "grid";
+
+  function moveCursor(delta) {
+    if (!filtered.length) return;
+    const i = filtered.findIndex(p => p.uid === cursor);
+    const next = i < 0 ? 0 : Math.min(filtered.length - 1, Math.max(0, i + delta));
+    setCursor(filtered[next].uid);
+    gridRef.current?.children[next]?.scrollIntoView({ block: "nearest" });
+  }
+
+  // cards per row as laid out right now (the grid is responsive)
+  function gridColumns() {
+    const cards = Array.from(gridRef.current?.children || []);
+    return Math.max(1, cards.filter(c => c.offsetTop === cards[0].offsetTop).length);
+  }
+
+  // what m, t and the palette's selection commands act on: the selection, else the card under the cursor
+  function keyTargets() {
+    if (selection.size) return new Set(selection);
+    return gridActive && filtered.some(p => p.uid === cursor) ? new Set([cursor]) : new Set();
+  }
+
+  function paletteCommands({ scope, uids }) {
+    const count = uids.size;
+    const sel = t("palette.groupSelection");
+    const move = lists.map(l => ({ id: `move:${l.id}`, group: sel, title: t("palette.moveTo", { count, list: l.name }), run: () => moveToList(uids, l.name) }));
+    const tag = [
+      ...allTags.map(tag => ({ id: `tag:${tag}`, group: sel, title: t("palette.addTag", { count, tag }), run: () => tagProducts(uids, tag) })),
+      { id: "tag:new", group: sel, title: t("palette.newTag", { count }), run: () => { const tag = prompt(t("palette.tagPrompt"))?.trim(); if (tag) tagProducts(uids, tag); } },
+    ];
+    if (scope === "move") return move;
+    if (scope === "tag") return tag;
+
+    const actions = t("palette.groupActions");
+    const tabs = [["manage", "tabs.convert"], ["lists", "tabs.lists"], ["haul", "tabs.haul"], ["stats", "tabs.stats"], ["settings", "tabs.settings"]];
+    return [
+      { id: "convert-clipboard", group: actions, title: t("palette.convertClipboard"), run: convertClipboard },
+      { id: "new-product", group: actions, title: t("palette.newProduct"), run: newProduct },
+      filtered.length > 0 && { id: "export-csv", group: actions, title: t("palette.exportCsv", { list: currentList }), run: exportCsv },
+      { id: "export-json", group: actions, title: t("palette.exportBackup"), run: () => setExporting(true) },
+      { id: "duplicates", group: actions, title: t("palette.duplicates"), run: () => setShowDuplicates(true) },
+      productHistory.canUndo && { id: "undo", group: actions, title: t("palette.undo", { label: productHistory.undoLabel }), keys: [MOD, "Z"], run: undoWithToast },
+      productHistory.canRedo && { id: "redo", group: actions, title: t("palette.redo", { label: productHistory.redoLabel }), keys: [MOD, "⇧", "Z"], run: redoWithToast },
+      sync.state.enabled && { id: "sync", group: actions, title: t("sync.now"), run: sync.syncNow },
+      { id: "shortcuts", group: actions, title: t("palette.shortcuts"), keys: ["?"], run: () => setShowKeys(true) },
+      ...tabs.map(([id, label]) => ({ id: `tab:${id}`, group: t("palette.groupGo"), title: t("palette.goTo", { tab: t(label) }), run: () => setTab(id) })),
+      ...listNames.map(list => ({ id: `list:${list}`, group: t("tabs.lists"), title: t("palette.openList", { list }), run: () => { setTab("lists"); setListLayout("grid"); setActiveList(list); } })),
+      { id: "board", group: t("tabs.lists"), title: t("palette.showBoard"), run: () => { setTab("lists"); setListLayout("board"); } },
+      ...SORTS.map(s => ({ id: `sort:${s.id}`, group: t("palette.groupSort"), title: t("palette.sortBy", { sort: t(s.label) }), run: () => { setTab("lists"); setSortId(s.id); } })),
+      ...(count ? [...move, ...tag, { id: "delete", group: sel, title: t("palette.delete", { count }), run: () => { removeProducts(uids); clearSelection(); } }] : []),
+    ].filter(Boolean);
   }
 
-  // keyboard shortcuts
+  // Re-bound on every render: the keys act on the current grid, selection and cursor.
   useEffect(() => {
     function onKey(e) {
-      if (e.key === "Escape") { setShowDrawer(false); setEditing(null); }
-      if (e.key === "Delete") { bulkDelete(); }
-      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "f") { const el = document.getElementById("search"); el?.focus(); e.preventDefault(); }
+      if (qcProduct) return; // the QC review has its own keys
+      const mod = e.ctrlKey || e.metaKey;
+      const key = e.key.toLowerCase();
+      if (mod && key === "k") { setPalette(v => v ? null : { scope: "all", uids: keyTargets() }); e.preventDefault(); return; }
+      if (palette) return; // and so does the palette
+      if (e.key === "Escape") { closeDrawer(); setShowKeys(false); return; }
+      if (mod && key === "f") { document.getElementById("search")?.focus(); e.preventDefault(); return; }
+      // the rest belongs to the field while typing (native undo, Delete, letters)
+      if (isTypingTarget(e.target)) return;
+      if (mod) {
+        if (key === "z" && !e.shiftKey) { undoWithToast(); e.preventDefault(); }
+        if ((key === "z" && e.shiftKey) || key === "y") { redoWithToast(); e.preventDefault(); }
+        return;
+      }
+      if (e.altKey || showDrawer || sharing || showDuplicates) return;
+      if (e.key === "?") { setShowKeys(v => !v); return; }
+      if (showKeys) return;
+      if (e.key === "Delete") { bulkDelete(); return; }
+      if (!gridActive) return;
+      const focused = filtered.find(p => p.uid === cursor);
+      if (key === "j" || key === "arrowright") moveCursor(1);
+      else if (key === "k" || key === "arrowleft") moveCursor(-1);
+      else if (key === "arrowdown") moveCursor(gridColumns());
+      else if (key === "arrowup") moveCursor(-gridColumns());
+      else if ((key === "m" || key === "t") && keyTargets().size) setPalette({ scope: key === "m" ? "move" : "tag", uids: keyTargets() });
+      else if (!focused) return;
+      else if (key === "x") toggleSelect(focused.uid);
+      // Enter on a focused button or link keeps its own meaning
+      else if (key === "enter" && e.target === document.body) openProduct(focused);
+      else if (key === "e") editProduct(focused);
+      else return;
+      e.preventDefault();
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [selection]);
+  });
 
   return (
     <div className="min-h-screen bg-neutral-950 text-neutral-100">
@@ -250,68 +860,124 @@ export default function App() {
       <header className="sticky top-0 z-30 backdrop-blur border-b border-neutral-800 bg-neutral-900/60">
         <div className="max-w-6xl mx-auto px-4 py-3 flex items-center gap-4">
           <h1 className="text-xl sm:text-2xl font-semibold">Mulebuy Manager</h1>
-          <nav className="ml-auto flex items-center gap-1 text-sm">
-            <TabButton active={tab==="manage"} onClick={()=>setTab("manage")}>Convertir</TabButton>
-            <TabButton active={tab==="lists"} onClick={()=>setTab("lists")}>Listes</TabButton>
-            <TabButton active={tab==="settings"} onClick={()=>setTab("settings")}>Paramètres</TabButton>
+          <div className="ml-auto flex items-center gap-1 text-sm">
+            <SyncBadge sync={sync} onClick={()=>setTab("settings")} />
+            <button title={t("undo.undoTitle")} disabled={!productHistory.canUndo} onClick={undoWithToast} className="rounded-xl px-2 py-2 hover:bg-neutral-800/60 disabled:opacity-30">↶</button>
+            <button title={t("undo.redoTitle")} disabled={!productHistory.canRedo} onClick={redoWithToast} className="rounded-xl px-2 py-2 hover:bg-neutral-800/60 disabled:opacity-30">↷</button>
+          </div>
+          <nav className="flex items-center gap-1 text-sm">
+            <TabButton active={tab==="manage"} onClick={()=>setTab("manage")}>{t("tabs.convert")}</TabButton>
+            <TabButton active={tab==="lists"} onClick={()=>setTab("lists")}>{t("tabs.lists")}</TabButton>
+            <TabButton active={tab==="haul"} onClick={()=>setTab("haul")}>{t("tabs.haul")}</TabButton>
+            <TabButton active={tab==="stats"} onClick={()=>setTab("stats")}>{t("tabs.stats")}</TabButton>
+            <TabButton active={tab==="settings"} onClick={()=>setTab("settings")}>{t("tabs.settings")}</TabButton>
           </nav>
         </div>
       </header>
 
+      {(storageErrors.length > 0 || imageStoreError) && (
+        <div className="border-b border-red-700/60 bg-red-900/30 text-sm text-red-200">
+          <div className="max-w-6xl mx-auto px-4 py-2 space-y-1">
+            {storageErrors.map((e, i) => <div key={i}>⚠ {describeStorageError(e)}</div>)}
+            {imageStoreError && <div>⚠ {imageStoreError}</div>}
+          </div>
+        </div>
+      )}
+
       <main className="max-w-6xl mx-auto p-4 space-y-6">
-        {tab === "manage" && (
+        {shared && (
+          <SharedViewer shared={shared} settings={settings} products={products} lists={listNames} onImport={importShared} onClose={closeShared} />
+        )}
+
+        {!shared && tab === "manage" && (
           <section className="rounded-2xl border border-neutral-800 bg-neutral-900 p-4 sm:p-6 shadow-xl shadow-black/30">
-            <h2 className="text-lg font-semibold mb-4">Convertisseur Weidian/Taobao → Mulebuy</h2>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <h2 className="text-lg font-semibold">{t("convert.heading")}</h2>
+              <div className="flex items-center gap-1 text-sm">
+                <TabButton active={convMode==="single"} onClick={()=>setConvMode("single")}>{t("convert.single")}</TabButton>
+                <TabButton active={convMode==="bulk"} onClick={()=>setConvMode("bulk")}>{t("convert.bulk")}</TabButton>
+              </div>
+            </div>
 
-            <div className="grid gap-3 sm:grid-cols-[1fr_auto] sm:items-end">
-              <div className="space-y-3">
-                <label className="block text-sm opacity-80">URL Weidian ou Taobao</label>
-                <input value={inputUrl} onChange={e=>setInputUrl(e.target.value)} placeholder="https://weidian.com/item.html?itemID=... ou https://item.taobao.com/item.htm?id=..." className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+            {convMode === "bulk" && (
+              <BulkConverter refPicker={refPicker} refOf={item => refOverride.trim() || refFor(settings, item)} defaultList={settings.defaultList} lists={listNames} products={products} onConverted={recordHistory} onSave={handleSaveBulk} />
+            )}
 
-                <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <label className="block text-sm opacity-80">Referral (ref)</label>
-                    <input value={ref} onChange={e=>setRef(e.target.value)} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
-                    <div className="text-xs opacity-60 mt-1">Défaut : {settings.defaultRef}</div>
-                  </div>
-                  <div className="flex items-end">
-                    <button onClick={handleConvert} className="w-full rounded-xl bg-indigo-600 hover:bg-indigo-500 active:scale-[.99] transition px-3 py-2 font-medium">Convertir</button>
+            {convMode === "single" && (<>
+              <div className="grid gap-3 sm:grid-cols-[1fr_auto] sm:items-end">
+                <div className="space-y-3">
+                  <label className="block text-sm opacity-80">{t("convert.inputLabel")}</label>
+                  <input value={inputUrl} onChange={e=>setInputUrl(e.target.value)} placeholder={t("convert.inputPlaceholder")} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+
+                  <div className="grid sm:grid-cols-[2fr_1fr] gap-3">
+                    {refPicker}
+                    <div className="flex items-end">
+                      <button onClick={handleConvert} className="w-full rounded-xl bg-indigo-600 hover:bg-indigo-500 active:scale-[.99] transition px-3 py-2 font-medium">{t("convert.action")}</button>
+                    </div>
                   </div>
+                  {convErr && <div className="text-sm text-red-400">{convErr}</div>}
                 </div>
-                {convErr && <div className="text-sm text-red-400">{convErr}</div>}
               </div>
-            </div>
 
-            {conv && (
-              <div className="mt-6 grid gap-3 sm:grid-cols-[1fr_auto_auto] sm:items-center">
-                <div className="truncate">
-                  <div className="text-xs opacity-70 mb-1">URL Mulebuy</div>
-                  <a href={conv.url} target="_blank" rel="noreferrer" className="block truncate rounded-xl border border-neutral-700 bg-neutral-800 px-3 py-2 hover:border-neutral-600">{conv.url}</a>
-                  <div className="text-xs opacity-70 mt-2">shop_type: <span className="font-mono">{conv.shop_type}</span> · id: <span className="font-mono">{conv.id}</span> · ref: <span className="font-mono">{conv.ref}</span></div>
+              {conv && (
+                <div className="mt-6 grid gap-3 sm:grid-cols-[1fr_auto_auto] sm:items-center">
+                  <div className="truncate">
+                    <div className="text-xs opacity-70 mb-1">{t("field.mulebuyUrl")}</div>
+                    <a href={conv.url} target="_blank" rel="noreferrer" className="block truncate rounded-xl border border-neutral-700 bg-neutral-800 px-3 py-2 hover:border-neutral-600">{conv.url}</a>
+                    <div className="text-xs opacity-70 mt-2">shop_type: <span className="font-mono">{conv.shop_type}</span> · id: <span className="font-mono">{conv.id}</span> · ref: <span className="font-mono">{conv.ref || "—"}</span>{conv.via && <> ({conv.via})</>}{conv.agent && <> · {t("convert.from")} <span className="font-medium">{agentName(conv.agent)}</span></>}</div>
+                  </div>
+                  <button onClick={()=>navigator.clipboard.writeText(conv.url)} className="rounded-xl border border-neutral-700 px-3 py-2 hover:bg-neutral-800">{t("common.copy")}</button>
+                  <button onClick={()=>handleSaveConverted()} className="rounded-xl bg-emerald-600 hover:bg-emerald-500 px-3 py-2 font-medium">{t("common.save")}</button>
+                </div>
+              )}
+
+              {conv && dupWarn && (
+                <div className="mt-3 rounded-xl border border-amber-700/60 bg-amber-900/20 p-3 text-sm flex flex-wrap items-center gap-2">
+                  <div className="flex-1 min-w-0">{t("duplicates.exists", { list: dupWarn.list })} <span className="italic">{dupWarn.title || t("common.untitled")}</span></div>
+                  <button onClick={()=>openProduct(dupWarn)} className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800">{t("duplicates.openExisting")}</button>
+                  <button onClick={()=>handleSaveConverted(true)} className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800">{t("duplicates.saveAnyway")}</button>
                 </div>
-                <button onClick={()=>navigator.clipboard.writeText(conv.url)} className="rounded-xl border border-neutral-700 px-3 py-2 hover:bg-neutral-800">Copier</button>
-                <button onClick={handleSaveConverted} className="rounded-xl bg-emerald-600 hover:bg-emerald-500 px-3 py-2 font-medium">Enregistrer</button>
-              </div>
-            )}
+              )}
+
+              {conv && (
+                <div className="mt-4">
+                  <label className="inline-flex items-center gap-2 text-sm opacity-80">
+                    <input type="checkbox" checked={!!settings.showAgentLinks} onChange={e=>setSettings(v=>({...v, showAgentLinks: e.target.checked}))}/>
+                    {t("convert.showAgentLinks")}
+                  </label>
+                  {settings.showAgentLinks && (
+                    <div className="mt-3 grid gap-2 sm:grid-cols-2">
+                      {[{ id: "shop", name: t("convert.shopLink"), url: shopUrl(conv) }, ...agentLinks(conv)].map(l => (
+                        <div key={l.id} className="flex items-center gap-2 rounded-xl border border-neutral-800 bg-neutral-800/40 px-3 py-2 text-sm">
+                          <span className="w-28 shrink-0 text-xs opacity-70">{l.name}</span>
+                          <a href={l.url} target="_blank" rel="noreferrer" className="flex-1 truncate hover:underline">{l.url}</a>
+                          <button onClick={()=>navigator.clipboard.writeText(l.url)} className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800">{t("common.copy")}</button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </>)}
 
             {/* History */}
             <div className="mt-8">
               <div className="flex items-center justify-between mb-3">
-                <h3 className="font-medium">Historique</h3>
-                {history.length>0 && <button className="text-sm rounded-xl border border-neutral-700 px-3 py-1.5 hover:bg-neutral-800" onClick={()=>setHistory([])}>Vider</button>}
+                <h3 className="font-medium">{t("history.heading")}</h3>
+                {history.length>0 && <button className="text-sm rounded-xl border border-neutral-700 px-3 py-1.5 hover:bg-neutral-800" onClick={()=>setHistory([])}>{t("common.clear")}</button>}
               </div>
               {history.length===0? (
-                <div className="text-sm opacity-70">Aucune conversion.</div>
+                <div className="text-sm opacity-70">{t("history.empty")}</div>
               ): (
                 <div className="overflow-x-auto">
                   <table className="w-full text-sm">
                     <thead className="text-left opacity-70">
-                      <tr><th className="py-2">Date</th><th className="py-2">Input</th><th className="py-2">Sortie</th><th className="py-2">Infos</th></tr>
+                      <tr><th className="py-2">{t("history.date")}</th><th className="py-2">{t("history.input")}</th><th className="py-2">{t("history.output")}</th><th className="py-2">{t("history.info")}</th></tr>
                     </thead>
                     <tbody>
                       {history.map(h => (
                         <tr key={h.id} className="border-t border-neutral-800">
-                          <td className="py-2 align-top whitespace-nowrap">{new Date(h.ts).toLocaleString()}</td>
+                          <td className="py-2 align-top whitespace-nowrap">{formatDateTime(h.ts)}</td>
                           <td className="py-2 align-top max-w-[24rem] truncate"><a href={h.input} target="_blank" rel="noreferrer" className="hover:underline">{h.input}</a></td>
                           <td className="py-2 align-top max-w-[24rem] truncate"><a href={h.out} target="_blank" rel="noreferrer" className="hover:underline">{h.out}</a></td>
                           <td className="py-2 align-top">{h.shop_type} · <span className="font-mono">{h.id}</span> · ref <span className="font-mono">{h.ref}</span></td>
@@ -325,211 +991,858 @@ export default function App() {
           </section>
         )}
 
-        {tab === "lists" && (
+        {!shared && tab === "lists" && (
           <section className="rounded-2xl border border-neutral-800 bg-neutral-900 p-4 sm:p-6 shadow-xl shadow-black/30">
             <div className="flex flex-wrap items-center gap-3 justify-between mb-4">
-              <h2 className="text-lg font-semibold">Listes & Produits</h2>
-              <div className="flex items-center gap-2">
-                <input id="search" value={search} onChange={e=>setSearch(e.target.value)} placeholder="Rechercher (titre, tags, id, vendeur...)" className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+              <h2 className="text-lg font-semibold">{t("lists.heading")}</h2>
+              <div className="flex flex-wrap items-center gap-2">
+                <QueryInput id="search" value={search} onChange={setSearch} suggestions={querySuggestions} placeholder={t("search.placeholder")} />
                 <TagFilter tag={tagFilter} setTag={setTagFilter} allTags={allTags}/>
-                <Select value={activeList} onChange={e=>setActiveList(e.target.value)}>
-                  {LISTS.map(l => <option key={l} value={l}>{l}</option>)}
+                <div className="flex items-center gap-1">
+                  <TabButton active={listLayout==="grid"} onClick={()=>setListLayout("grid")}>{t("lists.grid")}</TabButton>
+                  <TabButton active={listLayout==="board"} onClick={()=>setListLayout("board")}>{t("lists.board")}</TabButton>
+                </div>
+                {listLayout === "grid" && (
+                  <Select value={currentList} disabled={!!query.list} title={query.list ? t("lists.fixedBySearch", { list: query.list }) : undefined} onChange={e=>setActiveList(e.target.value)}>
+                    {listNames.map(l => <option key={l} value={l}>{l}</option>)}
+                  </Select>
+                )}
+                <Select value={minDaysInList} onChange={e=>setMinDaysInList(Number(e.target.value))}>
+                  {IN_LIST_FILTERS.map(d => <option key={d} value={d}>{d ? t("lists.sinceDays", { count: d }) : t("lists.anyDuration")}</option>)}
                 </Select>
                 <Select value={sortId} onChange={e=>setSortId(e.target.value)}>
-                  {SORTS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                  {SORTS.map(s => <option key={s.id} value={s.id}>{t(s.label)}</option>)}
                 </Select>
-                <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>{
-                  const p = newBlankProduct(settings.defaultRef, activeList);
-                  setProducts(prev=>[p, ...prev]); setEditing(p); setShowDrawer(true);
-                }}>Nouveau</button>
+                <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={newProduct}>{t("lists.new")}</button>
+                <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>setShowDuplicates(true)}>{t("duplicates.button")}{dupGroups.length>0 && ` (${dupGroups.length})`}</button>
+                <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800 disabled:opacity-50" disabled={!shownProducts.length} onClick={()=>setSharing({ products: shownProducts, title: viewTitle })}>{t("share.button")}</button>
+                <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800 disabled:opacity-50" disabled={!filtered.length} onClick={exportCsv}>{t("lists.exportCsv")}</button>
               </div>
             </div>
 
-            <BulkBar selection={selection} onClear={clearSelection} onDelete={bulkDelete} onMove={bulkMove} onAddTag={bulkAddTag} />
+            <div className="mb-3 flex flex-wrap items-center gap-1 text-sm">
+              <span className="text-xs opacity-70 mr-1">{t("views.label")}</span>
+              {(settings.savedViews || []).map(v => (
+                <span key={v.id} className={classNames("inline-flex items-center rounded-full border", search === v.query && sortId === v.sortId ? "border-indigo-500 bg-indigo-500/10" : "border-neutral-700")}>
+                  <button className="pl-3 pr-1 py-1 hover:underline" title={v.query} onClick={()=>applyView(v)}>{v.name}</button>
+                  <button className="pr-2 opacity-60 hover:opacity-100" title={t("views.delete")} onClick={()=>deleteView(v.id)}>×</button>
+                </span>
+              ))}
+              <button className="rounded-full border border-dashed border-neutral-700 px-3 py-1 text-xs hover:bg-neutral-800" onClick={saveView}>{t("views.save")}</button>
+            </div>
+
+            <BulkBar selection={selection} total={fmtTotal(products.filter(p => selection.has(p.uid)))} lists={lists} onClear={clearSelection} onDelete={bulkDelete} onMove={bulkMove} onAddTag={bulkAddTag} refProfiles={settings.refProfiles} onRewriteRef={bulkRewriteRef} onShare={()=>setSharing({ products: products.filter(p => selection.has(p.uid)), title: t("count.products", { count: selection.size }) })} />
+
+            {listLayout === "board" && (
+              <KanbanBoard columns={board} money={money} fmtTotal={fmtTotal} onOpen={openProduct} onMove={moveOnBoard} />
+            )}
+
+            {listLayout === "grid" && filtered.length > 0 && (
+              <div className="mb-3 text-xs opacity-70">{t("count.products", { count: filtered.length })} · {t("lists.total")} <span className="font-medium">{fmtTotal(filtered)}</span></div>
+            )}
 
-            {filtered.length===0 ? (
-              <div className="text-sm opacity-70">Aucun produit dans cette vue.</div>
+            {listLayout === "board" ? null : filtered.length===0 ? (
+              <div className="text-sm opacity-70">{t("lists.empty")}</div>
             ) : (
-              <div className={classNames("grid gap-3", settings.compactCards? "sm:grid-cols-3 md:grid-cols-4" : "sm:grid-cols-2 md:grid-cols-3") }>
+              <div ref={gridRef} className={classNames("grid gap-3", settings.compactCards? "sm:grid-cols-3 md:grid-cols-4" : "sm:grid-cols-2 md:grid-cols-3") }>
                 {filtered.map(p => (
-                  <ProductCard key={p.uid} p={p} compact={settings.compactCards} selected={selection.has(p.uid)} onSelect={()=>toggleSelect(p.uid)} onOpen={()=>{ setEditing(p); setShowDrawer(true); }} onUpdate={patch=>setProducts(prev=>prev.map(x=>x.uid===p.uid?{...x,...patch}:x))} onDelete={()=>setProducts(prev=>prev.filter(x=>x.uid!==p.uid))}/>
+                  <ProductCard key={p.uid} p={p} money={money} compact={settings.compactCards} photoSettings={settings.photos} selected={selection.has(p.uid)} focused={p.uid === cursor} onSelect={()=>toggleSelect(p.uid)} onOpen={()=>openProduct(p)} onUpdate={patch=>setProducts(prev=>prev.map(x=>x.uid===p.uid?{...x,...patch}:x))} onDelete={()=>removeProducts(new Set([p.uid]))} onReview={src=>setQcReview({ uid: p.uid, src })}/>
                 ))}
               </div>
             )}
           </section>
         )}
 
-        {tab === "settings" && (
-          <SettingsSection settings={settings} setSettings={setSettings} products={products} setProducts={setProducts} />
+        {!shared && tab === "stats" && (
+          <StatsSection products={searched} money={money} lists={lists}>
+            <QueryInput value={search} onChange={setSearch} suggestions={querySuggestions} placeholder={t("search.short")} />
+            <TagFilter tag={tagFilter} setTag={setTagFilter} allTags={allTags}/>
+          </StatsSection>
+        )}
+
+        {!shared && tab === "haul" && (
+          <HaulSection parcels={parcels} setParcels={setParcels} products={products} settings={settings} onOpen={openProduct} />
+        )}
+
+        {!shared && tab === "settings" && (
+          <SettingsSection settings={settings} setSettings={setSettings} products={products} setProducts={setProducts} restorable={productHistory.restorable} parcels={parcels} setParcels={setParcels} sync={sync} notify={notify} />
         )}
       </main>
 
+      {palette && (
+        <CommandPalette commands={paletteCommands(palette)} placeholder={t(palette.scope === "all" ? "palette.placeholder" : palette.scope === "move" ? "palette.movePlaceholder" : "palette.tagPlaceholder")} onClose={()=>setPalette(null)} />
+      )}
+
+      {exporting && <BackupExportModal settings={settings} products={products} parcels={parcels} onClose={()=>setExporting(false)} />}
+
+      {showKeys && <ShortcutsHelp onClose={()=>setShowKeys(false)} />}
+
       {showDrawer && editing && (
-        <EditDrawer product={editing} onClose={()=>{ setShowDrawer(false); setEditing(null); }} onChange={patch=>setProducts(prev=>prev.map(x=>x.uid===editing.uid?{...x,...patch}:x))} allTags={allTags} />
+        <EditDrawer product={editing} focusTitle={focusTitle} onClose={closeDrawer} onChange={patch=>setProducts(prev=>prev.map(x=>x.uid===editing.uid?{...x,...patch}:x))} allTags={allTags} lists={listNames} products={products} onOpenOther={openProduct} />
+      )}
+
+      {qcProduct && (
+        <QcReview product={qcProduct} start={qcReview.src} onClose={()=>setQcReview(null)}
+          onChange={(patch, label)=>setProducts(prev=>prev.map(x=>x.uid===qcProduct.uid?{...x,...patch}:x), label)} />
+      )}
+
+      {sharing && (
+        <ShareModal products={sharing.products} title={sharing.title} onClose={()=>setSharing(null)} />
+      )}
+
+      {showDuplicates && (
+        <DuplicatesModal groups={dupGroups} onMerge={applyMerge} onOpen={p=>{ setShowDuplicates(false); openProduct(p); }} onClose={()=>setShowDuplicates(false)} />
+      )}
+
+      {toast && (
+        <div key={toast.id} className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[60] flex items-center gap-3 rounded-xl border border-neutral-700 bg-neutral-800 px-4 py-2 text-sm shadow-xl shadow-black/40">
+          <span>{toast.message}</span>
+          {toast.undoable && productHistory.canUndo && (
+            <button className="font-medium text-indigo-300 hover:text-indigo-200" onClick={undoWithToast}>{t("undo.undo")}</button>
+          )}
+          <button className="opacity-60 hover:opacity-100" onClick={()=>setToast(null)}>×</button>
+        </div>
       )}
     </div>
   );
 }
 
-// ---------------------------- Helpers (domain) ----------------------------
-function bySort(sortId) {
-  return (a, b) => {
-    switch (sortId) {
-      case "created_at_desc": return (b.created_at||"").localeCompare(a.created_at||"");
-      case "created_at_asc": return (a.created_at||"").localeCompare(b.created_at||"");
-      case "title_asc": return (a.title||"").localeCompare(b.title||"");
-      case "title_desc": return (b.title||"").localeCompare(a.title||"");
-      case "price_asc": return (Number(a.price||0) - Number(b.price||0));
-      case "price_desc": return (Number(b.price||0) - Number(a.price||0));
-      case "shop_type": return (a.shop_type||"").localeCompare(b.shop_type||"");
-      default: return 0;
+// ---------------------------- Hooks ----------------------------------------
+// State with an undo/redo stack. `set(next, label)` records a step described by
+// `label`; pass `false` as label for changes that must not be undoable
+// (background migrations). Steps beyond `limit` are dropped. `restorable` lists
+// the values undo/redo can bring back.
+function useUndoable(initial, limit = 100) {
+  const [state, setState] = useState({ past: [], present: initial, future: [] });
+  const set = useCallback((next, label = t("undo.defaultLabel")) => setState(s => {
+    const value = typeof next === "function" ? next(s.present) : next;
+    if (value === s.present) return s;
+    if (label === false) return { ...s, present: value };
+    return { past: [...s.past, { value: s.present, label }].slice(-limit), present: value, future: [] };
+  }), [limit]);
+  const undo = useCallback(() => setState(s => {
+    const step = s.past[s.past.length - 1];
+    if (!step) return s;
+    return { past: s.past.slice(0, -1), present: step.value, future: [{ value: s.present, label: step.label }, ...s.future] };
+  }), []);
+  const redo = useCallback(() => setState(s => {
+    const [step, ...rest] = s.future;
+    if (!step) return s;
+    return { past: [...s.past, { value: s.present, label: step.label }], present: step.value, future: rest };
+  }), []);
+  // A change made elsewhere (sync) goes into every step too: undo then takes back the
+  // local edits only, never the change itself.
+  const rebase = useCallback(fn => setState(s => {
+    const value = fn(s.present);
+    if (value === s.present) return s;
+    const step = x => ({ ...x, value: fn(x.value) });
+    return { past: s.past.map(step), present: value, future: s.future.map(step) };
+  }), []);
+  const restorable = useMemo(() => [...state.past, ...state.future].map(s => s.value), [state.past, state.future]);
+  return [state.present, set, {
+    undo, redo, rebase, restorable,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    undoLabel: state.past[state.past.length - 1]?.label,
+    redoLabel: state.future[0]?.label,
+  }];
+}
+
+// Saves `value` under `key` on every change; returns the last write error or null.
+function usePersistedJSON(key, value) {
+  const [error, setError] = useState(null);
+  useEffect(() => { setError(saveJSON(key, value)); }, [key, value]);
+  return error;
+}
+
+// One call to the sync server; HTTP errors carry the server's message.
+async function syncFetch(sync, path, init = {}) {
+  let url;
+  try { url = new URL(path, sync.url.replace(/\/*$/, "/")); } catch { throw new Error(t("sync.badUrl")); }
+  const res = await fetch(url, { ...init, headers: { ...init.headers, ...(sync.token && { Authorization: `Bearer ${sync.token}` }) } });
+  if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || t("sync.httpError", { status: res.status }));
+  return res;
+}
+
+async function syncRequest(sync, path, body) {
+  const res = await syncFetch(sync, path, body && { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  return res.json().catch(() => null);
+}
+
+const SYNC_INTERVAL = 30_000;
+
+// Keeps products, settings and history in step with a sync server (protocol in
+// sync.js). Local changes are queued as they happen, so they survive reloads and
+// offline periods; a sync pulls, sends the photos the server lacks, then pushes the
+// queue. Runs every 30 s, when the tab comes back or the network returns, and
+// shortly after a change.
+function useSync({ products, settings, history, rebaseProducts, setSettings, setHistory }) {
+  const [state, setState] = useState(() => newSyncState(loadJSON(LS.sync, null)));
+  const [status, setStatus] = useState({ phase: "idle", error: "" }); // idle | syncing | offline | error
+  const storageError = usePersistedJSON(LS.sync, state);
+  // the async sync reads and writes the latest state, not the one it started with
+  const ref = useRef(state);
+  const local = useRef(null);
+  const update = useCallback(next => { if (next !== ref.current) { ref.current = next; setState(next); } }, []);
+
+  useEffect(() => {
+    photoServer = state.enabled && state.url ? { url: state.url, token: state.token } : null;
+  }, [state.enabled, state.url, state.token]);
+
+  useEffect(() => {
+    local.current = { products, settings, history };
+    if (ref.current.enabled) update(queueChanges(ref.current, localRecords(local.current)));
+  }, [products, settings, history, state.enabled, state.base, update]);
+
+  // remote changes are neither undo steps nor stamped as local edits, and undo can't revert them
+  const applyRemote = useCallback(records => {
+    const of = collection => records.filter(r => r.collection === collection);
+    const remoteProducts = of("products").map(r => ({ ...r, data: r.data && upgradeProduct(r.data) }));
+    if (remoteProducts.length) rebaseProducts(prev => applyRecords(prev, remoteProducts, p => p.uid));
+    const remoteSettings = of("settings").filter(r => r.data && Object.hasOwn(DEFAULT_SETTINGS, r.id) && !DEVICE_SETTINGS.includes(r.id));
+    if (remoteSettings.length) setSettings(prev => normalizeSettings({ ...prev, ...Object.fromEntries(remoteSettings.map(r => [r.id, r.data.value])) }));
+    const remoteHistory = of("history");
+    if (remoteHistory.length) setHistory(prev => applyRecords(prev, remoteHistory, h => h.id).sort((a, b) => String(b.ts).localeCompare(String(a.ts))).slice(0, 400));
+  }, [rebaseProducts, setSettings, setHistory]);
+
+  const running = useRef(false);
+  const syncNow = useCallback(async () => {
+    const start = ref.current;
+    if (running.current || !start.enabled || !start.url) return;
+    if (!navigator.onLine) { setStatus({ phase: "offline", error: "" }); return; }
+    running.current = true;
+    setStatus({ phase: "syncing", error: "" });
+    const moved = () => ref.current.url !== start.url; // reconfigured meanwhile
+    try {
+      let pull = await syncRequest(start, `v1/changes?since=${start.since}`);
+      if (pull?.protocol !== SYNC_PROTOCOL || !Array.isArray(pull.records)) throw new Error(t("sync.badServer"));
+      if (moved()) return;
+      if (pull.seq < start.since) {
+        // the server lost its data (or another one answers there): start over
+        update(queueChanges(resetSyncState(ref.current), localRecords(local.current)));
+        pull = await syncRequest(start, "v1/changes?since=0");
+        if (moved()) return;
+      }
+      const received = receiveRecords(ref.current, pull.records);
+      update({ ...received.state, since: pull.seq });
+      applyRemote(received.apply);
+
+      // photos before the products pointing at them, so other devices find them
+      for (const key of storedImageKeys(local.current.products).flatMap(k => [k, thumbRef(k)])) {
+        if (ref.current.photos[key]) continue;
+        if (!fetchedPhotos.has(key)) {
+          const blob = await imageStore.get(key).catch(() => null);
+          if (!blob) continue; // not on this device (yet)
+          await syncFetch(start, `v1/photos/${key}`, { method: "PUT", headers: { "Content-Type": blob.type || "application/octet-stream" }, body: blob });
+          if (moved()) return;
+        }
+        update({ ...ref.current, photos: { ...ref.current.photos, [key]: true } });
+      }
+
+      const sent = Object.values(ref.current.pending);
+      if (sent.length) {
+        const { results } = await syncRequest(start, "v1/push", { device: start.device, changes: sent });
+        if (moved()) return;
+        const settled = settlePush(ref.current, sent, results);
+        update(settled.state);
+        applyRemote(settled.apply);
+      }
+      update({ ...ref.current, lastSync: new Date().toISOString() });
+      setStatus({ phase: "idle", error: "" });
+    } catch (e) {
+      // fetch fails with a TypeError when the server can't be reached
+      setStatus(e instanceof TypeError ? { phase: "offline", error: "" } : { phase: "error", error: e.message });
+    } finally {
+      running.current = false;
     }
-  };
+  }, [applyRemote, update]);
+
+  useEffect(() => {
+    if (!state.enabled || !state.url) return;
+    syncNow();
+    const timer = setInterval(syncNow, SYNC_INTERVAL);
+    const onVisible = () => { if (document.visibilityState === "visible") syncNow(); };
+    window.addEventListener("online", syncNow);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", syncNow);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [state.enabled, state.url, syncNow]);
+
+  // queued changes go out shortly after they are made
+  useEffect(() => {
+    if (!state.enabled || !Object.keys(state.pending).length) return;
+    const timer = setTimeout(syncNow, 2000);
+    return () => clearTimeout(timer);
+  }, [state.enabled, state.pending, syncNow]);
+
+  // another server knows nothing of this one's revisions
+  const configure = useCallback(patch => {
+    const s = ref.current;
+    update({ ...(patch.url != null && patch.url !== s.url ? resetSyncState(s) : s), ...patch });
+  }, [update]);
+  const reset = useCallback(() => update(resetSyncState(ref.current)), [update]);
+
+  return { state, status, configure, syncNow, reset, storageError };
 }
 
-function newProductFromConv(conv, list) {
-  return {
-    uid: uid(),
-    created_at: new Date().toISOString(),
-    list: list || "Wishlist",
-    shop_type: conv.shop_type,
-    id: conv.id,
-    ref: conv.ref,
-    mulebuy_url: conv.url,
-    title: "",
-    seller: "",
-    size: "",
-    price: "",
-    rating: 0,
-    notes: "",
-    tags: [],
-    qc_links: [],
-    images: [],
-    _v: SCHEMA_VERSION,
-  };
+// `thumb` asks for the small copy, falling back to the full photo when there is none.
+// → { url (null while loading or when it can't be shown), missing (kept on another device) }
+function useImageUrl(src, thumb = false) {
+  const stored = isStoredImage(src);
+  const want = stored && thumb ? thumbRef(src) : src;
+  const [loaded, setLoaded] = useState(null); // { src: want, url, missing }
+  useEffect(() => {
+    if (!stored) return;
+    let alive = true;
+    const load = want === src ? loadImageUrl(src) : loadImageUrl(want).catch(() => loadImageUrl(src));
+    load.then(url => alive && setLoaded({ src: want, url }), e => alive && setLoaded({ src: want, url: null, missing: !!e.missing }));
+    return () => { alive = false; };
+  }, [src, want, stored]);
+  if (!stored) return { url: src, missing: false };
+  if (loaded?.src === want) return { url: loaded.url, missing: !!loaded.missing };
+  return { url: objectUrls.get(want) || objectUrls.get(src) || null, missing: false };
 }
 
-function newBlankProduct(ref, list) {
+// ---------------------------- Helpers (domain) ----------------------------
+// ---------------- Routing
+// #/convert, #/lists/<list>?q=…&tag=…&sort=…&days=…, #/lists?view=board, #/haul,
+// #/stats?q=…&tag=…, #/settings, #/product/<uid>. Anything else (#share=…) is not a route.
+const ROUTE_TABS = { convert: "manage", lists: "lists", haul: "haul", stats: "stats", settings: "settings" };
+
+function decodePart(x) {
+  try { return decodeURIComponent(x); } catch { return x; }
+}
+
+// → { tab, list, productUid, search, tagFilter, sortId, minDaysInList, listLayout } | null.
+// A product route has no tab (the drawer opens over the current one).
+function parseRoute(hash) {
+  if (!hash.startsWith("#/")) return null;
+  const body = hash.slice(2);
+  const qi = body.indexOf("?");
+  const [head = "", arg = ""] = (qi < 0 ? body : body.slice(0, qi)).split("/").map(decodePart);
+  const q = new URLSearchParams(qi < 0 ? "" : body.slice(qi + 1));
+  const days = Number(q.get("days"));
   return {
-    uid: uid(),
-    created_at: new Date().toISOString(),
-    list: list || "Wishlist",
-    shop_type: "weidian",
-    id: "",
-    ref: ref || DEFAULT_SETTINGS.defaultRef,
-    mulebuy_url: "",
-    title: "(sans titre)",
-    seller: "",
-    size: "",
-    price: "",
-    rating: 0,
-    notes: "",
-    tags: [],
-    qc_links: [],
-    images: [],
-    _v: SCHEMA_VERSION,
+    tab: head === "product" ? null : ROUTE_TABS[head] || "manage",
+    list: head === "lists" ? arg : "",
+    productUid: head === "product" ? arg : "",
+    search: q.get("q") || "",
+    tagFilter: q.get("tag") || "",
+    sortId: SORTS.some(x => x.id === q.get("sort")) ? q.get("sort") : DEFAULT_SORT,
+    minDaysInList: IN_LIST_FILTERS.includes(days) ? days : 0,
+    listLayout: q.get("view") === "board" ? "board" : "grid",
   };
 }
 
-// ---------------------------- UI Components -------------------------------
-function TabButton({ active, children, ...props }) {
-  return (
-    <button {...props} className={classNames("rounded-xl px-3 py-2", active? "bg-neutral-800 border border-neutral-700" : "hover:bg-neutral-800/60 border border-transparent")}>{children}</button>
-  );
+// Inverse of parseRoute; defaults are left out so URLs stay short.
+function routeHash({ tab, list, search, tagFilter, sortId, minDaysInList, listLayout, productUid }) {
+  if (productUid) return `#/product/${encodeURIComponent(productUid)}`;
+  const q = new URLSearchParams();
+  if (tab === "lists" || tab === "stats") {
+    if (search) q.set("q", search);
+    if (tagFilter) q.set("tag", tagFilter);
+  }
+  if (tab === "lists") {
+    if (sortId !== DEFAULT_SORT) q.set("sort", sortId);
+    if (minDaysInList) q.set("days", String(minDaysInList));
+    if (listLayout === "board") q.set("view", "board");
+  }
+  const head = Object.keys(ROUTE_TABS).find(k => ROUTE_TABS[k] === tab) || "convert";
+  const path = tab === "lists" && listLayout === "grid" && list ? `${head}/${encodeURIComponent(list)}` : head;
+  const query = q.toString().replace(/\+/g, "%20");
+  return `#/${path}${query ? `?${query}` : ""}`;
 }
 
-function Select({ children, ...props }) {
-  return (
-    <select {...props} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500">
-      {children}
-    </select>
-  );
+function routeUrl(hash) { return `${location.origin}${location.pathname}${location.search}${hash}`; }
+
+// ---------------- Converter
+function historyEntry(input, c) {
+  return { input, shop_type: c.shop_type, id: c.id, agent: c.agent, ref: c.ref, out: c.url };
 }
 
-function Tag({ children, onRemove }) {
-  return (
-    <span className="inline-flex items-center gap-1 rounded-full bg-neutral-900 border border-neutral-700 px-2 py-1 text-xs">
-      {children}
-      {onRemove && <button className="opacity-70 hover:opacity-100" onClick={onRemove}>×</button>}
-    </span>
-  );
+function historyRows(entries) {
+  const now = new Date().toISOString();
+  return entries.map(e => ({ id: uid(), ts: now, ...e }));
 }
 
-function TagFilter({ tag, setTag, allTags }) {
-  return (
-    <select value={tag} onChange={e=>setTag(e.target.value)} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm">
-      <option value="">Toutes les balises</option>
-      {allTags.map(t => <option key={t} value={t}>{t}</option>)}
-    </select>
-  );
+// Query parameters the app is launched with: ?url=…[&save=1&list=…] from the
+// bookmarklets, ?title=…&text=…&url=… from the share target (shop apps usually
+// put the link inside `text`).
+const DEEP_LINK_PARAMS = ["url", "text", "title", "save", "list"];
+
+function readDeepLink(search) {
+  const q = new URLSearchParams(search);
+  const found = [q.get("url"), ...extractUrls(q.get("text") || ""), ...extractUrls(q.get("title") || "")].filter(Boolean);
+  if (!found.length) return null;
+  return { input: found.find(isShopOrAgentUrl) || found[0], save: q.get("save") === "1", list: q.get("list") || "" };
 }
 
-function ProductCard({ p, onOpen, onUpdate, onDelete, compact, selected, onSelect }) {
-  const [newLink, setNewLink] = useState("");
-  const fileRef = useRef(null);
+// Opens the app in a new tab on the current page's link.
+function bookmarklet(appUrl, { save = false, list = "" } = {}) {
+  const extra = save ? `&save=1${list ? `&list=${encodeURIComponent(list)}` : ""}` : "";
+  return `javascript:(()=>{window.open(${JSON.stringify(appUrl + "?url=")}+encodeURIComponent(location.href)+${JSON.stringify(extra)},"_blank")})()`;
+}
 
-  async function addImagesFromFiles(fileList) {
-    const files = Array.from(fileList||[]).filter(f=>f.type.startsWith("image/"));
-    if (!files.length) return;
-    const dataUrls = await Promise.all(files.map(f=> new Promise((res,rej)=>{ const r=new FileReader(); r.onload=()=>res(r.result); r.onerror=rej; r.readAsDataURL(f);})))
-    onUpdate({ images: [...(p.images||[]), ...dataUrls] });
+// ---------------- Search query language
+// `tag:shoes -tag:gift shop:weidian price<200 rating>=4 seller:"xx store" list:any`
+// Bare words match anywhere; a leading "-" negates any term. Numeric fields take
+// : = < <= > >=; price is compared in the display currency.
+const QUERY_TOKEN = /(-?)(?:([a-z]+)(:|<=|>=|<|>|=))?(?:"([^"]*)"|(\S+))/gi;
+
+function searchText(p) {
+  return [p.title, p.notes, p.shop_type, p.id, p.seller, p.ref, p.mulebuy_url, ...(p.tags||[]), ...(p.variants||[]).flatMap(v => [v.label, v.buyer])].join(" ").toLowerCase();
+}
+
+function compareNum(actual, op, expected) {
+  const n = Number(expected);
+  if (actual == null || actual === "" || Number.isNaN(n)) return false;
+  switch (op) {
+    case "<": return actual < n;
+    case "<=": return actual <= n;
+    case ">": return actual > n;
+    case ">=": return actual >= n;
+    default: return actual === n;
   }
+}
 
-  return (
-    <div className={classNames("rounded-2xl border border-neutral-800 bg-neutral-900 p-3", selected && "ring-2 ring-indigo-500")}
-      onClick={(e)=>{ if (e.detail===2) onOpen(); }}>
-      <div className="flex items-start justify-between gap-2">
-        <div className="min-w-0">
-          <div className="text-xs opacity-70 mb-1">{p.shop_type} · <span className="font-mono">{p.id||"(id?)"}</span></div>
-          <div className="font-medium truncate">{p.title || "(sans titre)"}</div>
-          <div className="text-xs opacity-70 truncate">{p.mulebuy_url || "—"}</div>
-        </div>
+const contains = (hay, needle) => String(hay || "").toLowerCase().includes(needle.toLowerCase());
+
+const QUERY_FIELDS = {
+  text: (p, t) => searchText(p).includes(t.value.toLowerCase()),
+  tag: (p, t) => (p.tags || []).some(x => x.toLowerCase() === t.value.toLowerCase()),
+  shop: (p, t) => p.shop_type === (normShopType(t.value) || t.value.toLowerCase()),
+  seller: (p, t) => contains(p.seller, t.value),
+  title: (p, t) => contains(p.title, t.value),
+  buyer: (p, t) => (p.variants || []).some(v => contains(v.buyer, t.value)),
+  id: (p, t) => p.id === t.value,
+  list: (p, t) => (p.list || "").toLowerCase() === t.value.toLowerCase(),
+  price: (p, t, ctx) => compareNum(priceIn(p, ctx.display, ctx.rates), t.op, t.value),
+  rating: (p, t) => compareNum(Number(p.rating) || 0, t.op, t.value),
+  qty: (p, t) => compareNum(productQty(p), t.op, t.value),
+  days: (p, t, ctx) => compareNum(daysInList(p, ctx.now), t.op, t.value),
+  qc: (p, t) => qcStatus(p) === ({ gl: "GL", rl: "RL", pending: "pending", none: "" })[t.value.toLowerCase()],
+};
+
+// → { terms: [{ neg, field, op, value }], list } where `list` is the positive
+// list: term ("any" or a list name), kept apart because it replaces the list selector.
+function parseQuery(input) {
+  const terms = [];
+  let list = null;
+  for (const [, neg, rawField, op, quoted, bare] of String(input || "").matchAll(QUERY_TOKEN)) {
+    const value = (quoted ?? bare ?? "").trim();
+    const field = rawField?.toLowerCase();
+    if (field && QUERY_FIELDS[field] && field !== "text") {
+      if (field === "list" && !neg) { list = value.toLowerCase() === "any" ? "any" : value; continue; }
+      terms.push({ neg: !!neg, field, op, value });
+    } else {
+      const text = rawField ? `${rawField}${op}${value}` : value;
+      if (text) terms.push({ neg: !!neg, field: "text", op: ":", value: text });
+    }
+  }
+  return { terms, list };
+}
+
+function matchQuery(p, query, ctx) {
+  if (query.list && query.list !== "any" && (p.list || "").toLowerCase() !== query.list.toLowerCase()) return false;
+  return query.terms.every(t => QUERY_FIELDS[t.field](p, t, ctx) !== t.neg);
+}
+
+// ---------------- Lists
+function listNameOf(lists, id) {
+  return (lists.find(l => l.id === id) || DEFAULT_LISTS.find(l => l.id === id))?.name;
+}
+
+// Settings lists, plus lists products still point at but Settings no longer has
+// (old backups, an undone rename) so those products stay reachable.
+function knownLists(lists, products) {
+  const names = new Set(lists.map(l => l.name));
+  const extra = Array.from(new Set(products.map(p => p.list).filter(l => l && !names.has(l))));
+  return [...lists, ...extra.map(name => ({ id: `orphan:${name}`, name, color: "neutral" }))];
+}
+
+// Renaming rewrites the timeline too, so time-in-list and lead times keep working.
+function renameListIn(products, from, to) {
+  return products.map(p => (p.list !== from && !(p.timeline || []).some(e => e.list === from)) ? p : {
+    ...p,
+    list: p.list === from ? to : p.list,
+    timeline: (p.timeline || []).map(e => e.list === from ? { ...e, list: to } : e),
+  });
+}
+
+// Kanban column: uids from the saved manual `order` first, the rest after in the order given.
+function boardColumn(items, order = []) {
+  const rank = new Map(order.map((u, i) => [u, i]));
+  const at = p => (rank.has(p.uid) ? rank.get(p.uid) : order.length);
+  return [...items].sort((a, b) => at(a) - at(b));
+}
+
+function placeInColumn(uids, uid, beforeUid) {
+  const rest = uids.filter(u => u !== uid);
+  const i = beforeUid ? rest.indexOf(beforeUid) : -1;
+  return i < 0 ? [...rest, uid] : [...rest.slice(0, i), uid, ...rest.slice(i)];
+}
+
+// ---------------- Haul / parcels
+function newShippingLine() {
+  return { id: uid(), name: t("haul.newLine"), currency: "CNY", firstWeightG: 500, firstPrice: 0, perKg: 0, stepG: 100, volumetricDivisor: 6000 };
+}
+
+function newParcel(name, lineId) {
+  return { uid: uid(), created_at: new Date().toISOString(), name, lineId: lineId || "", packagingG: 0, dims: { l: "", w: "", h: "" }, items: [], notes: "" };
+}
+
+// First-weight price covers `firstWeightG`; every started `stepG` beyond it is
+// billed pro rata of `perKg`. Result is in the line's currency.
+function shippingCost(line, grams) {
+  if (!line || !grams) return 0;
+  const step = Number(line.stepG) || 1;
+  const extraG = Math.ceil(Math.max(0, grams - (Number(line.firstWeightG) || 0)) / step) * step;
+  return (Number(line.firstPrice) || 0) + (extraG / 1000) * (Number(line.perKg) || 0);
+}
+
+// Volumetric weight in grams from dimensions in cm (divisor 6000 ⇒ cm³ per kg).
+function volumetricWeightG(dims, divisor) {
+  const { l, w, h } = dims || {};
+  if (!divisor || !l || !w || !h) return 0;
+  return (Number(l) * Number(w) * Number(h) / Number(divisor)) * 1000;
+}
+
+// Everything the planner shows for one parcel, amounts in the display currency.
+function parcelEstimate(parcel, productsByUid, settings) {
+  const { displayCurrency: cur, rates } = settings;
+  // the pieces in the parcel, out of the product's total quantity, carry their share of its price
+  const lines = parcel.items.map(it => {
+    const product = productsByUid.get(it.productUid);
+    if (!product) return { ...it, product, value: 0 };
+    const total = priceIn(product, cur, rates) || 0;
+    const qty = productQty(product);
+    return { ...it, product, value: qty > 0 ? total * (Number(it.qty) || 0) / qty : total };
+  });
+  const line = (settings.shippingLines || []).find(l => l.id === parcel.lineId) || null;
+  const actualG = lines.reduce((a, x) => a + (Number(x.qty) || 0) * (Number(x.weightG) || 0), 0) + (Number(parcel.packagingG) || 0);
+  const volumetricG = volumetricWeightG(parcel.dims, line?.volumetricDivisor);
+  const chargeableG = Math.max(actualG, volumetricG);
+  const items = lines.reduce((a, x) => a + x.value, 0);
+  const fee = items * (Number(settings.serviceFeePct) || 0) / 100;
+  const shipping = line ? convertAmount(shippingCost(line, chargeableG), line.currency, cur, rates) || 0 : 0;
+  return {
+    lines, line, actualG, volumetricG, chargeableG, items, fee, shipping,
+    total: items + fee + shipping,
+    missingWeight: lines.some(x => !Number(x.weightG)),
+  };
+}
+
+function grams(g) { return g >= 1000 ? `${formatNumber(g / 1000, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} kg` : `${formatNumber(Math.round(g))} g`; }
+
+// ---------------- Share links
+// A share link carries a read-only snapshot in the fragment (#share=…), so it never
+// reaches a server: JSON → deflate-raw → base64url. Local photos are left out
+// (they live in this browser's IndexedDB), as are buyers and the team's ref.
+const SHARE_PREFIX = "#share=";
+
+function toShareSnapshot(products, { title = "", ref = "" } = {}) {
+  return {
+    v: SHARE_VERSION,
+    title,
+    ref,
+    at: new Date().toISOString(),
+    items: products.map(p => ({
+      shop_type: p.shop_type,
+      id: p.id,
+      title: p.title || "",
+      seller: p.seller || "",
+      currency: p.currency || "CNY",
+      variants: (p.variants || []).map(({ label, qty, price }) => ({ label, qty, price })),
+      rating: p.rating || 0,
+      notes: p.notes || "",
+      tags: p.tags || [],
+      qc_links: p.qc_links || [],
+    })),
+  };
+}
+
+function shareUrl(code) {
+  return `${location.origin}${location.pathname}${location.search}${SHARE_PREFIX}${code}`;
+}
+
+// A shared item (checked by readShareSnapshot) as a product of ours, through the same
+// factory as the converter.
+function sharedToProduct(item, { ref, list }) {
+  const p = newProductFromConv({ shop_type: item.shop_type, id: item.id, ref, url: toMulebuy({ ...item, ref }) }, list);
+  return {
+    ...p,
+    title: item.title,
+    seller: item.seller,
+    currency: item.currency,
+    variants: item.variants.length ? item.variants.map(v => newVariant(v)) : [newVariant()],
+    rating: item.rating,
+    notes: item.notes,
+    tags: item.tags,
+    qc_links: item.qc_links,
+  };
+}
+
+// ---------------- Stats
+// Count and spend (display currency) per key; `keysOf` may return several keys
+// (tags) or none. Sorted by spend, then count.
+function groupStats(products, keysOf, money) {
+  const byKey = new Map();
+  for (const p of products) {
+    const amount = priceIn(p, money.display, money.rates) || 0;
+    for (const key of keysOf(p)) {
+      const e = byKey.get(key) || { key, count: 0, total: 0 };
+      e.count++; e.total += amount;
+      byKey.set(key, e);
+    }
+  }
+  return Array.from(byKey.values()).sort((a, b) => b.total - a.total || b.count - a.count);
+}
+
+// Month a product counts in: when it was added, or when it was first ordered
+// (products never seen in Ordered are left out of that view).
+const MONTH_BASES = [
+  { id: "created", label: "stats.byAdded", at: p => p.created_at },
+  { id: "ordered", label: "stats.byOrdered", at: (p, lists) => firstEnteredAt(p, listNameOf(lists, "ordered")) },
+];
+
+function collectionStats(products, money, monthBasis = "created", lists = DEFAULT_LISTS) {
+  const basis = (MONTH_BASES.find(b => b.id === monthBasis) || MONTH_BASES[0]).at;
+  const monthOf = p => basis(p, lists);
+  const rated = products.filter(p => Number(p.rating) > 0);
+  const perList = groupStats(products, p => [p.list], money);
+  return {
+    count: products.length,
+    total: sumPrices(products, money.display, money.rates),
+    avgRating: rated.length ? rated.reduce((a, p) => a + Number(p.rating), 0) / rated.length : null,
+    ratedCount: rated.length,
+    perList: lists.map(({ name }) => perList.find(e => e.key === name) || { key: name, count: 0, total: 0 }),
+    perTag: groupStats(products, p => p.tags || [], money),
+    perShop: groupStats(products, p => [p.shop_type || "?"], money),
+    perSeller: groupStats(products, p => (p.seller?.trim() ? [p.seller.trim()] : []), money),
+    perMonth: groupStats(products, p => (monthOf(p) ? [monthOf(p).slice(0, 7)] : []), money)
+      .sort((a, b) => a.key.localeCompare(b.key)),
+    leadTimes: leadTimes(products, listNameOf(lists, "ordered"), listNameOf(lists, "received")),
+  };
+}
+
+// ---------------------------- UI Components -------------------------------
+function TabButton({ active, children, ...props }) {
+  return (
+    <button {...props} className={classNames("rounded-xl px-3 py-2", active? "bg-neutral-800 border border-neutral-700" : "hover:bg-neutral-800/60 border border-transparent")}>{children}</button>
+  );
+}
+
+function Select({ children, ...props }) {
+  return (
+    <select {...props} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500">
+      {children}
+    </select>
+  );
+}
+
+function Tag({ children, onRemove }) {
+  return (
+    <span className="inline-flex items-center gap-1 rounded-full bg-neutral-900 border border-neutral-700 px-2 py-1 text-xs">
+      {children}
+      {onRemove && <button className="opacity-70 hover:opacity-100" onClick={onRemove}>×</button>}
+    </span>
+  );
+}
+
+// Search box with suggestions for the tag:/seller:/shop:/list: term being typed.
+function QueryInput({ value, onChange, suggestions, placeholder, id }) {
+  const [focused, setFocused] = useState(false);
+  const m = value.match(/(^|\s)-?(tag|seller|shop|list):("?)([^"\s]*)$/i);
+  const field = m?.[2].toLowerCase();
+  const partial = (m?.[4] || "").toLowerCase();
+  const options = field
+    ? (suggestions[field] || []).filter(o => o.toLowerCase().includes(partial) && o.toLowerCase() !== partial).slice(0, 8)
+    : [];
+
+  function pick(option) {
+    const token = /\s/.test(option) ? `"${option}"` : option;
+    onChange(value.slice(0, value.length - (m[3].length + m[4].length)) + token + " ");
+  }
+
+  return (
+    <div className="relative">
+      <input id={id} value={value} onChange={e=>onChange(e.target.value)} onFocus={()=>setFocused(true)} onBlur={()=>setFocused(false)} placeholder={placeholder} title={t("search.help")} className="w-72 max-w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+      {focused && options.length > 0 && (
+        <ul className="absolute z-40 mt-1 w-full rounded-xl border border-neutral-700 bg-neutral-900 py-1 text-sm shadow-xl shadow-black/40">
+          {options.map(o => (
+            <li key={o}>
+              <button className="w-full text-left px-3 py-1 hover:bg-neutral-800" onMouseDown={e=>{ e.preventDefault(); pick(o); }}>{o}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function ListDot({ color }) {
+  return <span className={classNames("inline-block h-2.5 w-2.5 shrink-0 rounded-full", LIST_COLORS[color] || LIST_COLORS.neutral)}/>;
+}
+
+// Lists as columns. Dropping a card on another card puts it just before that
+// one; dropping on a column's free space puts it last. Crossing columns moves
+// the product to that list.
+function KanbanBoard({ columns, money, fmtTotal, onOpen, onMove }) {
+  const [dragging, setDragging] = useState(null); // uid
+  const [over, setOver] = useState(null); // { listId, beforeUid }
+
+  function drop(e, list, beforeUid) {
+    e.preventDefault(); e.stopPropagation();
+    const uid = e.dataTransfer.getData("text/plain") || dragging;
+    setDragging(null); setOver(null);
+    if (uid && uid !== beforeUid) onMove(uid, list, beforeUid);
+  }
+
+  return (
+    <div className="flex gap-3 overflow-x-auto pb-2">
+      {columns.map(({ list, items }) => (
+        <div key={list.id}
+          onDragOver={e=>{ e.preventDefault(); setOver({ listId: list.id, beforeUid: null }); }}
+          onDrop={e=>drop(e, list, null)}
+          className={classNames("w-64 shrink-0 rounded-xl border bg-neutral-950/40 p-2", over?.listId === list.id ? "border-indigo-500/60" : "border-neutral-800")}>
+          <div className="mb-2 flex items-center gap-2 px-1 text-sm">
+            <ListDot color={list.color}/>
+            <span className="font-medium truncate">{list.name}</span>
+            <span className="ml-auto shrink-0 text-xs opacity-60">{formatNumber(items.length)} · {fmtTotal(items)}</span>
+          </div>
+          <div className="min-h-12 space-y-2">
+            {items.map(p => (
+              <div key={p.uid} draggable
+                onDragStart={e=>{ e.dataTransfer.setData("text/plain", p.uid); e.dataTransfer.effectAllowed = "move"; setDragging(p.uid); }}
+                onDragEnd={()=>{ setDragging(null); setOver(null); }}
+                onDragOver={e=>{ e.preventDefault(); e.stopPropagation(); setOver({ listId: list.id, beforeUid: p.uid }); }}
+                onDrop={e=>drop(e, list, p.uid)}
+                onClick={()=>onOpen(p)}
+                className={classNames("cursor-grab rounded-lg border bg-neutral-900 p-2 text-sm hover:border-neutral-600", dragging === p.uid && "opacity-40", over?.beforeUid === p.uid ? "border-neutral-800 border-t-indigo-500 border-t-2" : "border-neutral-800")}>
+                <div className="flex gap-2">
+                  {p.images?.[0] && <StoredImage src={p.images[0]} thumb alt="" className="h-10 w-10 shrink-0 rounded object-cover"/>}
+                  <div className="min-w-0">
+                    <div className="truncate font-medium">{p.title || t("common.untitled")}</div>
+                    <div className="text-xs opacity-70">{currency(priceIn(p, money.display, money.rates), money.display)} · {t("count.days", { count: daysInList(p) })}</div>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TagFilter({ tag, setTag, allTags }) {
+  return (
+    <select value={tag} onChange={e=>setTag(e.target.value)} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm">
+      <option value="">{t("tags.all")}</option>
+      {allTags.map(t => <option key={t} value={t}>{t}</option>)}
+    </select>
+  );
+}
+
+function ProductCard({ p, money, onOpen, onUpdate, onDelete, onReview, compact, photoSettings, selected, focused, onSelect }) {
+  const [newLink, setNewLink] = useState("");
+  const [processing, setProcessing] = useState(0);
+  const fileRef = useRef(null);
+
+  // One at a time: a decoded phone photo takes ~50 MB of memory.
+  async function addImagesFromFiles(fileList) {
+    const files = Array.from(fileList||[]).filter(f=>f.type.startsWith("image/"));
+    if (!files.length) return;
+    setProcessing(files.length);
+    const refs = [];
+    try {
+      for (const f of files) refs.push(await storePhoto(f, photoSettings));
+    } catch (e) {
+      alert(t("photos.saveFailed", { error: e.message }));
+    }
+    setProcessing(0);
+    if (refs.length) onUpdate({ images: [...(p.images||[]), ...refs] });
+  }
+
+  return (
+    <div className={classNames("rounded-2xl border border-neutral-800 bg-neutral-900 p-3 scroll-mt-24", selected && "ring-2 ring-indigo-500", focused && "outline-2 outline-offset-2 outline-neutral-400")}
+      onClick={(e)=>{ if (e.detail===2) onOpen(); }}>
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="text-xs opacity-70 mb-1">{p.shop_type} · <span className="font-mono">{p.id||"(id?)"}</span> · {t("card.daysIn", { count: daysInList(p), list: p.list })}</div>
+          <div className="font-medium truncate">{p.title || t("common.untitled")}</div>
+          <div className="text-xs opacity-70 truncate">{p.mulebuy_url || "—"}</div>
+        </div>
         <div className="flex items-center gap-1">
           <input type="checkbox" checked={selected} onChange={onSelect} className="h-4 w-4"/>
-          <button title="Éditer" onClick={onOpen} className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800">Edit</button>
-          <button title="Supprimer" onClick={onDelete} className="rounded-lg border border-red-700/60 text-red-300 px-2 py-1 text-xs hover:bg-red-900/20">Del</button>
+          {qcPhotos(p).length > 0 && <button title={t("field.qcReview")} onClick={()=>onReview()} className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800">QC</button>}
+          <button title={t("card.edit")} onClick={onOpen} className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800">{t("card.editShort")}</button>
+          <button title={t("common.delete")} onClick={onDelete} className="rounded-lg border border-red-700/60 text-red-300 px-2 py-1 text-xs hover:bg-red-900/20">{t("card.deleteShort")}</button>
         </div>
       </div>
 
-      <div className="mt-2 grid grid-cols-2 gap-2">
-        <div className="text-xs opacity-80">Prix: <span className="font-medium">{currency(p.price)}</span></div>
-        <div className="text-xs opacity-80 text-right">Taille: <span className="font-medium">{p.size || "—"}</span></div>
+      <div className="mt-2 text-xs opacity-80">
+        {t("card.total")} <span className="font-medium">{currency(productTotal(p), p.currency || "CNY")}</span>
+        {productTotal(p) !== "" && p.currency !== money.display && <span className="opacity-70"> ≈ {currency(priceIn(p, money.display, money.rates), money.display)}</span>}
+        <span className="opacity-70"> · {t("count.pieces", { count: productQty(p) })}</span>
       </div>
+      <QcBadges p={p}/>
+      {!compact && (p.variants||[]).some(v => v.label || v.price !== "" || v.buyer) && (
+        <table className="mt-1 w-full text-xs">
+          <tbody>
+            {p.variants.map(v => (
+              <tr key={v.id} className="border-t border-neutral-800">
+                <td className="py-0.5 truncate max-w-[8rem]">{v.label || "—"}</td>
+                <td className="py-0.5 text-right opacity-70">×{v.qty}</td>
+                <td className="py-0.5 text-right">{currency(v.price, p.currency || "CNY")}</td>
+                <td className="py-0.5 pl-2 truncate max-w-[6rem] opacity-70">{v.buyer}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
 
       {/* QC preview from links */}
       {(p.qc_links||[]).some(looksLikeImageUrl) && (
         <div className="mt-2 flex flex-wrap gap-2">
           {p.qc_links.filter(looksLikeImageUrl).slice(0, compact? 3 : 6).map((l,i) => (
-            <a key={i} href={l} target="_blank" rel="noreferrer" className="block">
+            <button key={i} title={t("qc.open")} className="block" onClick={()=>onReview(l)}>
               <img src={l} alt="qc" loading="lazy" onError={(e)=>{e.currentTarget.style.display='none';}} className="h-20 w-20 object-cover rounded-lg border border-neutral-700"/>
-            </a>
+            </button>
           ))}
         </div>
       )}
 
       {/* Local images area (compact hidden) */}
       {!compact && (
-        <div className="mt-2">
-          <div className="text-xs opacity-70 mb-1">Photos locales</div>
+        <div className="mt-2 rounded-lg outline-none focus:ring-1 focus:ring-indigo-500" tabIndex={0}
+          onPaste={e=>{ if (e.clipboardData.files.length) { e.preventDefault(); addImagesFromFiles(e.clipboardData.files); } }}
+          onDragOver={e=>{ if (e.dataTransfer.types.includes("Files")) e.preventDefault(); }}
+          onDrop={e=>{ if (e.dataTransfer.files.length) { e.preventDefault(); addImagesFromFiles(e.dataTransfer.files); } }}>
+          <div className="text-xs opacity-70 mb-1">{t("card.localPhotos")} <span className="opacity-60">{t("card.pasteOrDrop")}</span></div>
           <div className="flex flex-wrap gap-2">
             {(p.images||[]).map((src,i)=>(
               <div key={i} className="relative group">
-                <img src={src} alt="local" className="h-20 w-20 object-cover rounded-lg border border-neutral-700"/>
+                <StoredImage src={src} thumb alt="local" onClick={()=>onReview(src)} className="h-20 w-20 cursor-zoom-in object-cover rounded-lg border border-neutral-700"/>
                 <button className="absolute top-1 right-1 hidden group-hover:block text-[10px] rounded bg-black/70 px-1" onClick={()=>onUpdate({ images: p.images.filter((_,j)=>j!==i) })}>×</button>
               </div>
             ))}
           </div>
           <div className="mt-2 flex items-center gap-2">
             <input ref={fileRef} type="file" accept="image/*" multiple className="hidden" onChange={e=>addImagesFromFiles(e.target.files)}/>
-            <button className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={()=>fileRef.current?.click()}>Importer</button>
+            <button disabled={processing > 0} className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800 disabled:opacity-50" onClick={()=>fileRef.current?.click()}>{t("common.import")}</button>
+            {processing > 0 && <span className="text-xs opacity-70">{t("photos.processing", { count: processing })}</span>}
           </div>
         </div>
       )}
 
       {/* Quick add link */}
       <div className="mt-2 flex gap-2">
-        <input value={newLink} onChange={e=>setNewLink(e.target.value)} placeholder="Ajouter lien QC https://..." className="flex-1 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs"/>
-        <button className="rounded-lg border border-neutral-700 px-2 py-1 text-xs" onClick={()=>{ if (newLink.trim()) { onUpdate({ qc_links: [...(p.qc_links||[]), newLink.trim()] }); setNewLink(""); } }}>Ajouter</button>
+        <input value={newLink} onChange={e=>setNewLink(e.target.value)} placeholder={t("card.addQcLink")} className="flex-1 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs"/>
+        <button className="rounded-lg border border-neutral-700 px-2 py-1 text-xs" onClick={()=>{ if (newLink.trim()) { onUpdate({ qc_links: [...(p.qc_links||[]), newLink.trim()] }); setNewLink(""); } }}>{t("common.add")}</button>
       </div>
 
       {/* Tags */}
@@ -540,95 +1853,528 @@ function ProductCard({ p, onOpen, onUpdate, onDelete, compact, selected, onSelec
   );
 }
 
-function BulkBar({ selection, onClear, onDelete, onMove, onAddTag }) {
+// ---------------- QC review
+const MARK_TOOLS = [
+  { id: "", label: "qc.toolView" },
+  { id: "circle", label: "qc.toolCircle" },
+  { id: "arrow", label: "qc.toolArrow" },
+  { id: "text", label: "qc.toolText" },
+];
+const MARK_COLORS = ["#f43f5e", "#facc15", "#34d399", "#38bdf8"];
+const VERDICT_STYLES = { GL: "bg-emerald-600/80 text-white", RL: "bg-red-600/80 text-white" };
+
+function QcBadges({ p }) {
+  const judged = (p.qc_sets || []).filter(s => s.verdict);
+  if (!judged.length) return null;
+  return (
+    <div className="mt-2 flex flex-wrap gap-1">
+      {judged.map(s => (
+        <span key={s.id} title={s.comment || undefined} className={classNames("rounded-full px-2 py-0.5 text-[11px] font-medium", VERDICT_STYLES[s.verdict])}>
+          {s.verdict}{s.name ? ` · ${s.name}` : ""}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Text saved on blur or Enter (one undo step per edit, not per keystroke); Escape reverts.
+function BlurInput({ value, onCommit, ...props }) {
+  const [text, setText] = useState(value);
+  useEffect(() => setText(value), [value]);
+  return (
+    <input {...props} value={text} onChange={e=>setText(e.target.value)} onBlur={()=>{ if (text !== value) onCommit(text); }} onKeyDown={e=>{ if (e.key === "Enter") e.currentTarget.blur(); if (e.key === "Escape") setText(value); }}/>
+  );
+}
+
+// Shapes over a photo. Coordinates are fractions of the image, drawn as SVG
+// percentages so they follow any displayed size.
+function MarkLayer({ marks, tool, color, onAdd }) {
+  const [draft, setDraft] = useState(null);
+  const pct = v => `${v * 100}%`;
+
+  function point(e) {
+    const r = e.currentTarget.getBoundingClientRect();
+    const clamp = v => Math.min(1, Math.max(0, v));
+    return [clamp((e.clientX - r.left) / r.width), clamp((e.clientY - r.top) / r.height)];
+  }
+
+  function down(e) {
+    if (!tool) return;
+    const [x, y] = point(e);
+    if (tool === "text") {
+      const text = prompt(t("qc.annotationPrompt"));
+      if (text?.trim()) onAdd({ kind: "text", x1: x, y1: y, x2: x, y2: y, text: text.trim(), color });
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDraft({ kind: tool, x1: x, y1: y, x2: x, y2: y, color });
+  }
+
+  function up() {
+    if (draft && Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) > 0.01) onAdd(draft);
+    setDraft(null);
+  }
+
+  const shape = (m, key) => {
+    if (m.kind === "circle") return <ellipse key={key} cx={pct((m.x1 + m.x2) / 2)} cy={pct((m.y1 + m.y2) / 2)} rx={pct(Math.abs(m.x2 - m.x1) / 2)} ry={pct(Math.abs(m.y2 - m.y1) / 2)} fill="none" stroke={m.color} strokeWidth={3}/>;
+    if (m.kind === "arrow") return <line key={key} x1={pct(m.x1)} y1={pct(m.y1)} x2={pct(m.x2)} y2={pct(m.y2)} stroke={m.color} strokeWidth={3} markerEnd={`url(#qc-arrow-${m.color.slice(1)})`}/>;
+    return <text key={key} x={pct(m.x1)} y={pct(m.y1)} fill={m.color} stroke="black" strokeWidth={3} paintOrder="stroke" fontSize={18} fontWeight={600}>{m.text}</text>;
+  };
+
+  return (
+    <svg className={classNames("absolute inset-0 h-full w-full touch-none", tool && "cursor-crosshair")}
+      onPointerDown={down} onPointerMove={e=>draft && setDraft(d => { const [x2, y2] = point(e); return { ...d, x2, y2 }; })} onPointerUp={up}>
+      <defs>
+        {MARK_COLORS.map(c => (
+          <marker key={c} id={`qc-arrow-${c.slice(1)}`} viewBox="0 0 10 10" refX="8" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+            <path d="M0,0 L10,5 L0,10 z" fill={c}/>
+          </marker>
+        ))}
+      </defs>
+      {marks.map(m => shape(m, m.id))}
+      {draft && shape(draft, "draft")}
+    </svg>
+  );
+}
+
+// Full-screen review of one product's QC photos (image links + local photos):
+// keyboard navigation, sets with GL/RL verdicts, comparison with the listing
+// photo and annotations. Every edit goes straight to the product.
+function QcReview({ product: p, start, onChange, onClose }) {
+  const groups = qcGroups(p);
+  const order = groups.flatMap(g => g.photos);
+  const [current, setCurrent] = useState(start);
+  const src = order.includes(current) ? current : order[0] || null;
+  const index = order.indexOf(src);
+  const group = groups.find(g => g.photos.includes(src)) || groups[groups.length - 1];
+  const sets = p.qc_sets || [];
+  const marks = (p.qc_marks || {})[src] || [];
+  const [compare, setCompare] = useState(false);
+  const [tool, setTool] = useState("");
+  const [color, setColor] = useState(MARK_COLORS[0]);
+  const [refInput, setRefInput] = useState("");
+  const unusedVariants = (p.variants || []).map(v => v.label.trim()).filter(l => l && !sets.some(s => s.name === l));
+
+  const go = step => order.length && setCurrent(order[(index + step + order.length) % order.length]);
+  const updateSet = (id, patch, label) => onChange({ qc_sets: sets.map(s => s.id === id ? { ...s, ...patch } : s) }, label);
+  const moveTo = setId => src && onChange({ qc_sets: moveQcPhoto(sets, src, setId) }, t("qc.photoMoved"));
+  const setMarks = (next, label) => onChange({ qc_marks: { ...(p.qc_marks || {}), [src]: next } }, label);
+
+  function addSet(name) {
+    const set = newQcSet({ name, photos: src && !group.set ? [src] : [] });
+    onChange({ qc_sets: [...sets, set] }, t("qc.setCreated", { name }));
+  }
+
+  function judge(set, verdict) {
+    const next = set.verdict === verdict ? "" : verdict;
+    updateSet(set.id, { verdict: next, decided_at: next ? new Date().toISOString() : "" }, next ? t("qc.verdictFor", { verdict: next, name: set.name || t("qc.theSet") }) : t("qc.verdictRemoved"));
+  }
+
+  const keys = useRef(null);
+  keys.current = e => {
+    if (isTypingTarget(e.target)) return;
+    const k = e.key.toLowerCase();
+    if (e.key === "Escape") onClose();
+    else if (e.key === "ArrowRight") go(1);
+    else if (e.key === "ArrowLeft") go(-1);
+    else if (e.key === "Home") setCurrent(order[0]);
+    else if (e.key === "End") setCurrent(order[order.length - 1]);
+    else if (k === "c") setCompare(v => !v);
+    else if ((k === "g" || k === "r") && group.set) judge(group.set, k === "g" ? "GL" : "RL");
+    else if (/^[0-9]$/.test(k) && (k === "0" || sets[Number(k) - 1])) moveTo(k === "0" ? null : sets[Number(k) - 1].id);
+    else return;
+    e.preventDefault();
+  };
+  useEffect(() => {
+    const onKey = e => keys.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-[55] flex flex-col bg-neutral-950/95 text-sm">
+      <div className="flex flex-wrap items-center gap-2 border-b border-neutral-800 px-4 py-2">
+        <div className="min-w-0 mr-auto">
+          <div className="font-semibold truncate">QC · {p.title || t("common.untitled")}</div>
+          <div className="text-xs opacity-60">{order.length ? `${formatNumber(index + 1)} / ${formatNumber(order.length)}` : t("qc.noPhoto")} · {t("qc.keys")}</div>
+        </div>
+        <div className="flex items-center gap-1">
+          {MARK_TOOLS.map(x => (
+            <button key={x.id} className={classNames("rounded-lg border px-2 py-1 text-xs", tool === x.id ? "border-indigo-500 bg-indigo-500/20" : "border-neutral-700 hover:bg-neutral-800")} onClick={()=>setTool(x.id)}>{t(x.label)}</button>
+          ))}
+          {MARK_COLORS.map(c => (
+            <button key={c} title={c} aria-label={t("qc.color", { color: c })} className={classNames("h-5 w-5 rounded-full border-2", color === c ? "border-white" : "border-transparent")} style={{ background: c }} onClick={()=>setColor(c)}/>
+          ))}
+        </div>
+        <button className={classNames("rounded-lg border px-2 py-1 text-xs", compare ? "border-indigo-500 bg-indigo-500/20" : "border-neutral-700 hover:bg-neutral-800")} onClick={()=>setCompare(v=>!v)}>{t("qc.compare")}</button>
+        <button className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={onClose}>{t("common.close")}</button>
+      </div>
+
+      <div className="flex min-h-0 flex-1">
+        <aside className="w-72 shrink-0 overflow-y-auto border-r border-neutral-800 p-3 space-y-4">
+          {groups.map((g, gi) => (
+            <div key={g.set?.id || "unsorted"}>
+              {g.set ? (
+                <div className="space-y-1">
+                  <div className="flex items-center gap-1">
+                    <span className="text-xs opacity-50 w-4">{gi + 1}</span>
+                    <BlurInput value={g.set.name} onCommit={name=>updateSet(g.set.id, { name }, t("qc.setRenamed"))} placeholder={t("qc.setName")} className="min-w-0 flex-1 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs"/>
+                    {QC_VERDICTS.map(v => (
+                      <button key={v.id} title={t(v.title)} className={classNames("rounded-lg px-2 py-1 text-xs font-medium", g.set.verdict === v.id ? VERDICT_STYLES[v.id] : "border border-neutral-700 hover:bg-neutral-800")} onClick={()=>judge(g.set, v.id)}>{v.label}</button>
+                    ))}
+                    <button title={t("qc.deleteSet")} className="opacity-60 hover:opacity-100 px-1" onClick={()=>onChange({ qc_sets: sets.filter(s => s.id !== g.set.id) }, t("qc.setDeleted", { name: g.set.name || t("qc.unnamed") }))}>×</button>
+                  </div>
+                  <BlurInput value={g.set.comment} onCommit={comment=>updateSet(g.set.id, { comment }, t("qc.commentLabel"))} placeholder={t("qc.commentPlaceholder")} className="w-full rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs"/>
+                  {g.set.decided_at && <div className="text-[11px] opacity-50">{t("qc.decidedOn", { verdict: g.set.verdict, date: formatDate(g.set.decided_at) })}</div>}
+                </div>
+              ) : (
+                <div className="text-xs opacity-70">{t("qc.unsortedCount", { count: g.photos.length })}</div>
+              )}
+              <div className="mt-1 grid grid-cols-4 gap-1">
+                {g.photos.map(x => (
+                  <button key={x} onClick={()=>setCurrent(x)} className={classNames("rounded-md border-2", x === src ? "border-indigo-500" : "border-transparent")}>
+                    <StoredImage src={x} thumb alt="" className="h-14 w-full rounded object-cover"/>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+          <div className="space-y-1 border-t border-neutral-800 pt-3">
+            <div className="text-xs opacity-70">{src && !group.set ? t("qc.newSetWithPhoto") : t("qc.newSet")}</div>
+            <div className="flex flex-wrap gap-1">
+              {unusedVariants.map(l => (
+                <button key={l} className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={()=>addSet(l)}>{l}</button>
+              ))}
+              <button className="rounded-lg border border-dashed border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={()=>addSet(t("qc.batchName", { n: sets.length + 1 }))}>{t("qc.addBatch")}</button>
+            </div>
+          </div>
+        </aside>
+
+        <main className={classNames("grid min-w-0 flex-1 gap-3 p-3", compare && "grid-cols-2")}>
+          {compare && (
+            <div className="flex min-h-0 flex-col items-center justify-center gap-2">
+              <div className="text-xs opacity-60">{t("qc.listingPhoto")}</div>
+              {p.ref_photo ? (
+                <>
+                  <StoredImage src={p.ref_photo} alt={t("qc.reference")} className="max-h-[75vh] max-w-full object-contain"/>
+                  <button className="text-xs opacity-60 hover:opacity-100" onClick={()=>onChange({ ref_photo: "" }, t("qc.refRemoved"))}>{t("common.remove")}</button>
+                </>
+              ) : (
+                <div className="flex w-full max-w-sm gap-2">
+                  <input value={refInput} onChange={e=>setRefInput(e.target.value)} placeholder={t("qc.listingPhotoUrl")} className="min-w-0 flex-1 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs"/>
+                  <button disabled={!looksLikeImageUrl(refInput.trim())} className="rounded-lg border border-neutral-700 px-2 py-1 text-xs disabled:opacity-40" onClick={()=>{ onChange({ ref_photo: refInput.trim() }, t("qc.refSet")); setRefInput(""); }}>OK</button>
+                </div>
+              )}
+            </div>
+          )}
+          <div className="flex min-h-0 flex-col items-center justify-center gap-2">
+            {src ? (
+              <>
+                <div className="relative inline-block">
+                  <StoredImage src={src} alt="QC" draggable={false} className="block max-h-[75vh] max-w-full select-none object-contain"/>
+                  <MarkLayer marks={marks} tool={tool} color={color} onAdd={m=>setMarks([...marks, { id: uid(), ...m }], t("qc.markAdded"))}/>
+                </div>
+                <div className="flex flex-wrap items-center justify-center gap-2 text-xs">
+                  <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800" onClick={()=>go(-1)}>←</button>
+                  <Select value={group.set?.id || ""} onChange={e=>moveTo(e.target.value || null)}>
+                    <option value="">{t("qc.unsorted")}</option>
+                    {sets.map(s => <option key={s.id} value={s.id}>{s.name || t("qc.unnamedSet")}</option>)}
+                  </Select>
+                  <button disabled={!marks.length} className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800 disabled:opacity-40" onClick={()=>setMarks(marks.slice(0, -1), t("qc.markRemoved"))}>{t("qc.undoMark")}</button>
+                  <button disabled={!marks.length} className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800 disabled:opacity-40" onClick={()=>setMarks([], t("qc.marksCleared"))}>{t("qc.clearMarks")}</button>
+                  <button disabled={p.ref_photo === src} className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800 disabled:opacity-40" onClick={()=>onChange({ ref_photo: src }, t("qc.refSet"))}>{t("qc.useAsRef")}</button>
+                  {!isStoredImage(src) && <a href={src} target="_blank" rel="noreferrer" className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800">{t("common.open")}</a>}
+                  <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800" onClick={()=>go(1)}>→</button>
+                </div>
+              </>
+            ) : (
+              <div className="opacity-60">{t("qc.empty")}</div>
+            )}
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
+
+function BulkConverter({ refPicker, refOf, defaultList, lists, products, onConverted, onSave }) {
+  const [text, setText] = useState("");
+  const [analysed, setRows] = useState([]);
+  const [picked, setPicked] = useState(new Set());
+  const [list, setList] = useState(defaultList || "Wishlist");
+  const [savedCount, setSavedCount] = useState(0);
+
+  // checked against the products as they are now: a batch just saved counts as existing
+  const rows = useMemo(() => analysed.map(r => r.ok ? { ...r, existing: findDuplicate(products, r) } : r), [analysed, products]);
+  const okRows = rows.filter(r => r.ok && !r.dupOf);
+  const newRows = okRows.filter(r => !r.existing);
+
+  function analyse() {
+    const urls = extractUrls(text);
+    const seen = new Map();
+    const out = urls.filter(isShopOrAgentUrl).map((input, i) => {
+      try {
+        const parsed = parseShopUrl(input);
+        const key = `${parsed.shop_type}:${parsed.id}`;
+        const dupOf = seen.has(key) ? seen.get(key) : null;
+        if (!seen.has(key)) seen.set(key, i + 1);
+        const ref = refOf(parsed);
+        return { key: i, line: i + 1, input, ok: true, ...parsed, ref, url: toMulebuy({ ...parsed, ref }), dupOf };
+      } catch (e) {
+        return { key: i, line: i + 1, input, ok: false, error: e.message };
+      }
+    });
+    setRows(out);
+    setPicked(new Set(out.filter(r => r.ok && !r.dupOf && !findDuplicate(products, r)).map(r => r.key)));
+    setSavedCount(0);
+    onConverted(out.filter(r => r.ok).map(r => ({ input: r.input, shop_type: r.shop_type, id: r.id, agent: r.agent, ref: r.ref, out: r.url })));
+  }
+
+  function togglePick(key) {
+    setPicked(prev => {
+      const next = new Set(prev);
+      next.has(key) ? next.delete(key) : next.add(key);
+      return next;
+    });
+  }
+
+  // "save all" leaves out what is already in the lists; a picked row is saved as asked
+  function save(onlyPicked) {
+    const chosen = onlyPicked ? okRows.filter(r => picked.has(r.key)) : newRows;
+    if (!chosen.length) return;
+    onSave(chosen, list);
+    setSavedCount(chosen.length);
+    setPicked(prev => new Set([...prev].filter(key => !chosen.some(r => r.key === key))));
+  }
+
+  const ignored = extractUrls(text).length - rows.length;
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm opacity-80">{t("bulk.label")}</label>
+      <textarea value={text} onChange={e=>setText(e.target.value)} placeholder={t("bulk.placeholder")} className="w-full h-40 rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[16rem]">{refPicker}</div>
+        <button onClick={analyse} className="rounded-xl bg-indigo-600 hover:bg-indigo-500 active:scale-[.99] transition px-3 py-2 font-medium">{t("bulk.extract")}</button>
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="text-sm opacity-80">
+            {t("count.items", { count: okRows.length })} · {t("count.duplicates", { count: rows.filter(r=>r.dupOf).length })} · {t("count.errors", { count: rows.filter(r=>!r.ok).length })}
+            {ignored > 0 && <> · {t("bulk.ignored", { count: ignored })}</>}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left opacity-70">
+                <tr><th className="py-2 w-8"></th><th className="py-2">#</th><th className="py-2">{t("history.input")}</th><th className="py-2">{t("bulk.result")}</th></tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.key} className={classNames("border-t border-neutral-800", (!r.ok || r.dupOf) && "opacity-60")}>
+                    <td className="py-2 align-top">{r.ok && !r.dupOf && <input type="checkbox" checked={picked.has(r.key)} onChange={()=>togglePick(r.key)} className="h-4 w-4"/>}</td>
+                    <td className="py-2 align-top opacity-70">{r.line}</td>
+                    <td className="py-2 align-top max-w-[20rem] truncate"><a href={r.input} target="_blank" rel="noreferrer" className="hover:underline">{r.input}</a></td>
+                    <td className="py-2 align-top max-w-[24rem] truncate">
+                      {!r.ok && <span className="text-red-400">{r.error}</span>}
+                      {r.ok && r.dupOf && <span>{t("bulk.dupOfLine", { line: r.dupOf })}</span>}
+                      {r.ok && !r.dupOf && <a href={r.url} target="_blank" rel="noreferrer" className="hover:underline">{r.url}</a>}
+                      {r.ok && !r.dupOf && r.existing && <div className="text-xs text-amber-400">{t("bulk.alreadyIn", { list: r.existing.list })}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm opacity-80">{t("bulk.saveIn")}</span>
+            <Select value={list} onChange={e=>setList(e.target.value)}>
+              {lists.map(l=> <option key={l} value={l}>{l}</option>)}
+            </Select>
+            <button onClick={()=>save(true)} disabled={!picked.size} className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800 disabled:opacity-50">{t("bulk.savePicked", { count: picked.size })}</button>
+            <button onClick={()=>save(false)} disabled={!newRows.length} className="rounded-xl bg-emerald-600 hover:bg-emerald-500 px-3 py-2 text-sm font-medium disabled:opacity-50">{t("bulk.saveAll", { count: newRows.length })}</button>
+            {savedCount > 0 && <span className="text-sm text-emerald-400">{t("bulk.saved", { count: savedCount, list })} ✔</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function BulkBar({ selection, total, lists, onClear, onDelete, onMove, onAddTag, refProfiles, onRewriteRef, onShare }) {
   const [tag, setTag] = useState("");
+  const [refTarget, setRefTarget] = useState(""); // profile id, "" = rules
   const count = selection.size;
   if (!count) return null;
   return (
     <div className="mb-3 rounded-xl border border-neutral-700 bg-neutral-800/60 p-2 text-sm flex flex-wrap items-center gap-2">
-      <div>{count} sélectionné(s)</div>
-      <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={onDelete}>Supprimer</button>
+      <div>{t("bulk.selected", { count })} · {total}</div>
+      <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={onDelete}>{t("common.delete")}</button>
+      <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={onShare}>{t("share.button")}</button>
       <div className="flex items-center gap-1">
-        <span>Déplacer vers</span>
-        {LISTS.map(l=> (
-          <button key={l} className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={()=>onMove(l)}>{l}</button>
+        <span>{t("bulk.moveTo")}</span>
+        {lists.map(l=> (
+          <button key={l.id} className="inline-flex items-center gap-1.5 rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={()=>onMove(l.name)}><ListDot color={l.color}/>{l.name}</button>
         ))}
       </div>
+      <div className="flex items-center gap-1">
+        <select value={refTarget} onChange={e=>setRefTarget(e.target.value)} className="rounded-lg bg-neutral-900 border border-neutral-700 px-2 py-1">
+          <option value="">{t("bulk.refByRules")}</option>
+          {refProfiles.map(p => <option key={p.id} value={p.id}>{t("bulk.refProfile", { name: profileName(p), ref: p.ref || t("common.none") })}</option>)}
+        </select>
+        <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={()=>onRewriteRef(refTarget)}>{t("bulk.rewriteRef")}</button>
+      </div>
       <div className="flex items-center gap-1 ml-auto">
-        <input value={tag} onChange={e=>setTag(e.target.value)} placeholder="Ajouter tag" className="rounded-lg bg-neutral-900 border border-neutral-700 px-2 py-1"/>
+        <input value={tag} onChange={e=>setTag(e.target.value)} placeholder={t("bulk.addTag")} className="rounded-lg bg-neutral-900 border border-neutral-700 px-2 py-1"/>
         <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={()=>{ if(tag.trim()) onAddTag(tag.trim()); }}>OK</button>
-        <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={onClear}>Annuler</button>
+        <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-900" onClick={onClear}>{t("common.cancel")}</button>
       </div>
     </div>
   );
 }
 
-function EditDrawer({ product, onClose, onChange, allTags }) {
+function EditDrawer({ product, focusTitle, onClose, onChange, allTags, lists, products, onOpenOther }) {
   const p = product;
   const [local, setLocal] = useState(p);
   useEffect(()=>setLocal(p), [p.uid]);
+  const duplicate = findDuplicate(products, local, local.uid);
+  const [moveNote, setMoveNote] = useState("");
+
+  // Only the fields edited here go out: whatever sync changed meanwhile in the others stays.
+  function apply() {
+    const next = local.list !== p.list ? withList({ ...local, list: p.list }, local.list, moveNote.trim()) : local;
+    const patch = Object.fromEntries(Object.entries(next).filter(([key, value]) => value !== p[key]));
+    if (Object.keys(patch).length) onChange(patch);
+    onClose();
+  }
 
-  function apply() { onChange(local); onClose(); }
+  function setTimelineNote(i, note) {
+    setLocal(v => ({ ...v, timeline: v.timeline.map((e, j) => j === i ? { ...e, note } : e) }));
+  }
 
   return (
     <div className="fixed inset-0 z-50 flex">
       <div className="flex-1 bg-black/50" onClick={onClose}/>
       <div className="w-[420px] max-w-[90vw] h-full overflow-y-auto bg-neutral-900 border-l border-neutral-800 p-4">
         <div className="flex items-center justify-between mb-3">
-          <h3 className="font-semibold">Éditer le produit</h3>
-          <button className="rounded-lg border border-neutral-700 px-2 py-1 text-sm" onClick={onClose}>Fermer</button>
+          <h3 className="font-semibold">{t("drawer.heading")}</h3>
+          <div className="flex items-center gap-2">
+            <button title={t("drawer.copyLink")} className="rounded-lg border border-neutral-700 px-2 py-1 text-sm" onClick={()=>navigator.clipboard.writeText(routeUrl(routeHash({ productUid: p.uid })))}>{t("drawer.link")}</button>
+            <button className="rounded-lg border border-neutral-700 px-2 py-1 text-sm" onClick={onClose}>{t("common.close")}</button>
+          </div>
         </div>
 
         <div className="space-y-3">
-          <Field label="Liste">
+          <Field label={t("field.list")}>
             <Select value={local.list} onChange={e=>setLocal(v=>({...v, list: e.target.value}))}>
-              {LISTS.map(l=> <option key={l} value={l}>{l}</option>)}
+              {lists.map(l=> <option key={l} value={l}>{l}</option>)}
             </Select>
+            {local.list !== p.list && (
+              <input value={moveNote} onChange={e=>setMoveNote(e.target.value)} placeholder={t("drawer.moveNote", { list: local.list })} className="mt-2 w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm"/>
+            )}
+          </Field>
+          <Field label={t("drawer.timeline")}>
+            <ol className="space-y-1 text-sm">
+              {(local.timeline || []).map((e, i) => (
+                <li key={i} className="grid grid-cols-[6rem_1fr] gap-2 items-center">
+                  <div>
+                    <div className="font-medium">{e.list}</div>
+                    <div className="text-xs opacity-60">{formatDate(e.at)}{e.kind === "merge" && ` · ${t("drawer.merged")}`}</div>
+                  </div>
+                  <input value={e.note || ""} onChange={ev=>setTimelineNote(i, ev.target.value)} placeholder={t("drawer.note")} className="min-w-0 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs"/>
+                </li>
+              ))}
+            </ol>
           </Field>
-          <Field label="Titre">
-            <input value={local.title} onChange={e=>setLocal(v=>({...v, title: e.target.value}))} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+          <Field label={t("field.title")}>
+            <input autoFocus={focusTitle} value={local.title} placeholder={t("common.untitled")} onChange={e=>setLocal(v=>({...v, title: e.target.value}))} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
           </Field>
-          <Field label="Shop type / ID">
+          <Field label={t("drawer.shopAndId")}>
             <div className="grid grid-cols-2 gap-2">
               <Select value={local.shop_type} onChange={e=>setLocal(v=>({...v, shop_type: e.target.value}))}>
                 <option value="weidian">weidian</option>
                 <option value="taobao">taobao</option>
+                <option value="ali_1688">ali_1688</option>
               </Select>
               <input value={local.id} onChange={e=>setLocal(v=>({...v, id: e.target.value}))} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
             </div>
+            {duplicate && (
+              <div className="mt-2 flex items-center gap-2 text-xs text-amber-400">
+                <span className="flex-1">{t("drawer.alreadySaved", { list: duplicate.list, title: duplicate.title || t("common.untitled") })}</span>
+                <button className="rounded-lg border border-neutral-700 px-2 py-1 text-neutral-100" onClick={()=>onOpenOther(duplicate)}>{t("common.open")}</button>
+              </div>
+            )}
           </Field>
-          <Field label="Referral (ref)">
+          <Field label={t("drawer.referral")}>
             <input value={local.ref} onChange={e=>setLocal(v=>({...v, ref: e.target.value}))} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+            {refError(local.ref) && <div className="mt-1 text-xs text-amber-400">{refError(local.ref)}</div>}
           </Field>
-          <Field label="URL Mulebuy">
+          <Field label={t("field.mulebuyUrl")}>
             <div className="flex gap-2">
               <input value={local.mulebuy_url} onChange={e=>setLocal(v=>({...v, mulebuy_url: e.target.value}))} className="flex-1 rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
-              <button className="rounded-xl border border-neutral-700 px-3 py-2" onClick={()=>navigator.clipboard.writeText(local.mulebuy_url)}>Copier</button>
+              <button className="rounded-xl border border-neutral-700 px-3 py-2" onClick={()=>navigator.clipboard.writeText(local.mulebuy_url)}>{t("common.copy")}</button>
             </div>
-            <button className="mt-2 text-xs rounded-lg border border-neutral-700 px-2 py-1" onClick={()=>setLocal(v=>({...v, mulebuy_url: toMulebuy({shop_type:v.shop_type,id:v.id,ref:v.ref})}))}>Générer depuis ref/id</button>
+            <button className="mt-2 text-xs rounded-lg border border-neutral-700 px-2 py-1" onClick={()=>setLocal(v=>({...v, mulebuy_url: toMulebuy({shop_type:v.shop_type,id:v.id,ref:v.ref})}))}>{t("drawer.generateUrl")}</button>
           </Field>
-          <Field label="Vendeur / Taille / Prix">
-            <div className="grid grid-cols-3 gap-2">
-              <input placeholder="seller" value={local.seller} onChange={e=>setLocal(v=>({...v, seller: e.target.value}))} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
-              <input placeholder="size" value={local.size} onChange={e=>setLocal(v=>({...v, size: e.target.value}))} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
-              <input placeholder="price €" value={local.price} onChange={e=>setLocal(v=>({...v, price: e.target.value}))} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+          <Field label={t("drawer.sellerAndCurrency")}>
+            <div className="grid grid-cols-[1fr_auto] gap-2">
+              <input placeholder={t("drawer.sellerPlaceholder")} value={local.seller} onChange={e=>setLocal(v=>({...v, seller: e.target.value}))} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+              <Select value={local.currency || "CNY"} onChange={e=>setLocal(v=>({...v, currency: e.target.value}))}>
+                {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+              </Select>
             </div>
           </Field>
-          <Field label="Note (0-5)">
+          <Field label={t("field.variants")}>
+            <VariantsEditor product={local} onChange={variants=>setLocal(v=>({...v, variants}))} />
+          </Field>
+          <Field label={t("drawer.rating")}>
             <input type="range" min={0} max={5} step={1} value={local.rating||0} onChange={e=>setLocal(v=>({...v, rating: Number(e.target.value)}))} className="w-full"/>
           </Field>
-          <Field label="Tags">
+          <Field label={t("field.tags")}>
             <TagEditor value={local.tags||[]} onChange={tags=>setLocal(v=>({...v, tags}))} allTags={allTags} />
           </Field>
-          <Field label="Notes">
+          <Field label={t("field.notes")}>
             <textarea value={local.notes} onChange={e=>setLocal(v=>({...v, notes: e.target.value}))} className="w-full h-28 rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
           </Field>
         </div>
 
         <div className="mt-4 flex items-center justify-end gap-2">
-          <button className="rounded-xl border border-neutral-700 px-3 py-2" onClick={onClose}>Annuler</button>
-          <button className="rounded-xl bg-emerald-600 hover:bg-emerald-500 px-3 py-2" onClick={apply}>Enregistrer</button>
+          <button className="rounded-xl border border-neutral-700 px-3 py-2" onClick={onClose}>{t("common.cancel")}</button>
+          <button className="rounded-xl bg-emerald-600 hover:bg-emerald-500 px-3 py-2" onClick={apply}>{t("common.save")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StoredImage({ src, thumb, className, ...props }) {
+  const { url, missing } = useImageUrl(src, thumb);
+  if (missing) return <div role="img" aria-label={t("photos.otherDevice")} title={t("photos.otherDevice")} className={classNames(className, "bg-neutral-800 border border-dashed border-neutral-600")}/>;
+  if (!url) return <div className={classNames(className, "bg-neutral-800")} title={t("photos.unavailable")}/>;
+  return <img src={url} className={className} {...props}/>;
+}
+
+function VariantsEditor({ product, onChange }) {
+  const variants = product.variants || [];
+  const update = (id, patch) => onChange(variants.map(v => v.id === id ? { ...v, ...patch } : v));
+  const input = "w-full min-w-0 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1";
+  return (
+    <div className="space-y-1 text-sm">
+      <div className="grid grid-cols-[1fr_3.5rem_4.5rem_1fr_1rem] gap-1 text-xs opacity-70">
+        <span>{t("variants.label")}</span><span>{t("variants.qty")}</span><span>{t("variants.unitPrice")}</span><span>{t("variants.buyer")}</span><span/>
+      </div>
+      {variants.map(v => (
+        <div key={v.id} className="grid grid-cols-[1fr_3.5rem_4.5rem_1fr_1rem] gap-1 items-center">
+          <input value={v.label} onChange={e=>update(v.id, { label: e.target.value })} placeholder={t("variants.labelPlaceholder")} className={input}/>
+          <input type="number" min={1} value={v.qty} onChange={e=>update(v.id, { qty: Math.max(1, Number(e.target.value) || 1) })} className={input}/>
+          <input type="number" min={0} step="0.01" value={v.price} onChange={e=>update(v.id, { price: e.target.value === "" ? "" : Number(e.target.value) })} className={input}/>
+          <input value={v.buyer} onChange={e=>update(v.id, { buyer: e.target.value })} placeholder={t("variants.buyerPlaceholder")} className={input}/>
+          <button className="opacity-70 hover:opacity-100" disabled={variants.length === 1} onClick={()=>onChange(variants.filter(x => x.id !== v.id))}>×</button>
         </div>
+      ))}
+      <div className="flex items-center justify-between pt-1">
+        <button className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={()=>onChange([...variants, newVariant({ price: variants[variants.length - 1]?.price ?? "" })])}>{t("variants.add")}</button>
+        <span className="text-xs opacity-80">{t("count.pieces", { count: productQty(product) })} · {currency(productTotal(product), product.currency || "CNY")}</span>
       </div>
     </div>
   );
@@ -651,8 +2397,8 @@ function TagEditor({ value, onChange, allTags }) {
         {(value||[]).map((t,i)=>(<Tag key={i} onRemove={()=>onChange(value.filter((_,j)=>j!==i))}>{t}</Tag>))}
       </div>
       <div className="flex gap-2">
-        <input value={txt} onChange={e=>setTxt(e.target.value)} placeholder="nouveau tag" className="flex-1 rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
-        <button className="rounded-xl border border-neutral-700 px-3 py-2" onClick={()=>{ const t=txt.trim(); if(!t) return; onChange(Array.from(new Set([...(value||[]), t]))); setTxt(""); }}>Ajouter</button>
+        <input value={txt} onChange={e=>setTxt(e.target.value)} placeholder={t("tags.newPlaceholder")} className="flex-1 rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+        <button className="rounded-xl border border-neutral-700 px-3 py-2" onClick={()=>{ const tag=txt.trim(); if(!tag) return; onChange(Array.from(new Set([...(value||[]), tag]))); setTxt(""); }}>{t("common.add")}</button>
       </div>
       {allTags.length>0 && (
         <div className="mt-2 flex flex-wrap gap-1 text-xs">
@@ -665,82 +2411,600 @@ function TagEditor({ value, onChange, allTags }) {
   );
 }
 
-function SettingsSection({ settings, setSettings, products, setProducts }) {
-  const [openExport, setOpenExport] = useState(false);
+// JSON backup, from Settings or the palette. With the photos, stored refs are inlined
+// so the file restores them on another device.
+function BackupExportModal({ settings, products, parcels, onClose }) {
   const [jsonText, setJsonText] = useState("");
+  const [includePhotos, setIncludePhotos] = useState(false);
+
+  useEffect(()=>{
+    const data = { settings, products, parcels };
+    if (!includePhotos) { setJsonText(JSON.stringify(data, null, 2)); return; }
+    let alive = true;
+    setJsonText(t("backup.preparingPhotos"));
+    inlineStoredImages(products)
+      .then(withPhotos => alive && setJsonText(JSON.stringify({ ...data, products: withPhotos }, null, 2)))
+      .catch(e => alive && setJsonText(t("common.error", { error: e.message })));
+    return () => { alive = false; };
+  }, [includePhotos, settings, products, parcels]);
+
+  return (
+    <Modal title={t("settings.exportJson")} onClose={onClose}>
+      <textarea value={jsonText} onChange={e=>setJsonText(e.target.value)} className="w-full h-64 rounded-xl bg-neutral-950 border border-neutral-700 px-3 py-2 font-mono text-xs"/>
+      <div className="mt-3 flex items-center justify-end gap-2">
+        <label className="mr-auto inline-flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={includePhotos} onChange={e=>setIncludePhotos(e.target.checked)}/>
+          <span className="opacity-80">{t("settings.includePhotos")}</span>
+        </label>
+        <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm" onClick={()=>navigator.clipboard.writeText(jsonText)}>{t("common.copy")}</button>
+        <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm" onClick={()=>downloadText(`mulebuy-backup-${today()}.json`, jsonText, 'application/json')}>{t("common.download")}</button>
+      </div>
+    </Modal>
+  );
+}
 
-  useEffect(()=>{ if(openExport) setJsonText(JSON.stringify({ settings, products }, null, 2)); }, [openExport, settings, products]);
+function SettingsSection({ settings, setSettings, products, setProducts, restorable, parcels, setParcels, sync, notify }) {
+  const [openExport, setOpenExport] = useState(false);
+  const [openCsv, setOpenCsv] = useState(false);
+  const allTags = useMemo(() => Array.from(new Set(products.flatMap(p => p.tags || []))).sort(), [products]);
 
   return (
     <section className="rounded-2xl border border-neutral-800 bg-neutral-900 p-4 sm:p-6 shadow-xl shadow-black/30 space-y-4">
-      <h2 className="text-lg font-semibold">Paramètres</h2>
+      <h2 className="text-lg font-semibold">{t("tabs.settings")}</h2>
 
       <div className="grid sm:grid-cols-2 gap-3">
-        <Field label="Ref par défaut">
-          <input value={settings.defaultRef} onChange={e=>setSettings(v=>({...v, defaultRef: e.target.value}))} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+        <Field label={t("settings.language")}>
+          <Select value={settings.language || ""} onChange={e=>setSettings(v=>({...v, language: e.target.value}))}>
+            <option value="">{t("settings.languageAuto", { language: LOCALES.find(l => l.id === detectLocale(navigator.languages)).label })}</option>
+            {LOCALES.map(l=> <option key={l.id} value={l.id}>{l.label}</option>)}
+          </Select>
         </Field>
-        <Field label="Liste par défaut">
+        <Field label={t("settings.defaultList")}>
           <Select value={settings.defaultList} onChange={e=>setSettings(v=>({...v, defaultList: e.target.value}))}>
-            {LISTS.map(l=> <option key={l} value={l}>{l}</option>)}
+            {settings.lists.map(l=> <option key={l.id} value={l.name}>{l.name}</option>)}
           </Select>
         </Field>
-        <Field label="Cartes compactes">
+        <Field label={t("settings.compactCards")}>
           <label className="inline-flex items-center gap-2">
             <input type="checkbox" checked={settings.compactCards} onChange={e=>setSettings(v=>({...v, compactCards: e.target.checked}))}/>
-            <span className="text-sm opacity-80">Activer</span>
+            <span className="text-sm opacity-80">{t("settings.enable")}</span>
           </label>
         </Field>
-      </div>
-
-      <div className="pt-2 border-t border-neutral-800">
-        <h3 className="font-medium mb-2">Sauvegarde & Données</h3>
-        <div className="flex flex-wrap items-center gap-2">
-          <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>setOpenExport(true)}>Exporter JSON</button>
-          <ImportButton setProducts={setProducts} setSettings={setSettings} />
+        <Field label={t("settings.displayCurrency")}>
+          <Select value={settings.displayCurrency} onChange={e=>setSettings(v=>({...v, displayCurrency: e.target.value}))}>
+            {CURRENCIES.map(c=> <option key={c} value={c}>{c}</option>)}
+          </Select>
+        </Field>
+        <Field label={t("settings.rates")}>
+          <div className="grid grid-cols-3 gap-2">
+            {CURRENCIES.filter(c => c !== "CNY").map(c => (
+              <label key={c} className="flex items-center gap-1 text-sm">
+                <span className="shrink-0 opacity-70">1 {c} =</span>
+                <input type="number" min={0} step="0.01" value={settings.rates?.[c] ?? ""} onChange={e=>setSettings(v=>({...v, rates: { ...v.rates, [c]: Number(e.target.value) || 0 }}))} className="w-full min-w-0 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1"/>
+              </label>
+            ))}
+          </div>
+        </Field>
+        <Field label={t("settings.agentLinks")}>
+          <label className="inline-flex items-center gap-2">
+            <input type="checkbox" checked={!!settings.showAgentLinks} onChange={e=>setSettings(v=>({...v, showAgentLinks: e.target.checked}))}/>
+            <span className="text-sm opacity-80">{t("settings.showAfterConvert")}</span>
+          </label>
+        </Field>
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800 space-y-3">
+        <h3 className="font-medium">{t("settings.referral")}</h3>
+        <ReferralSettings settings={settings} setSettings={setSettings} allTags={allTags} />
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800 space-y-3">
+        <h3 className="font-medium">{t("tabs.lists")}</h3>
+        <ListsEditor settings={settings} setSettings={setSettings} products={products} setProducts={setProducts} notify={notify} />
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800 space-y-3">
+        <h3 className="font-medium">{t("settings.shipping")}</h3>
+        <Field label={t("settings.serviceFee")}>
+          <input type="number" min={0} step="0.1" value={settings.serviceFeePct ?? 0} onChange={e=>setSettings(v=>({...v, serviceFeePct: Number(e.target.value) || 0}))} className="w-32 rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+        </Field>
+        <ShippingLinesEditor lines={settings.shippingLines || []} onChange={shippingLines=>setSettings(v=>({...v, shippingLines}))} />
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800 space-y-2">
+        <h3 className="font-medium">{t("settings.shortcuts")}</h3>
+        <Shortcuts defaultList={settings.defaultList} />
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800 space-y-3">
+        <h3 className="font-medium">{t("field.photos")}</h3>
+        <PhotoSettings settings={settings} setSettings={setSettings} products={products} notify={notify} />
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800 space-y-3">
+        <h3 className="font-medium">{t("settings.sync")}</h3>
+        <SyncSettings sync={sync} />
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800">
+        <h3 className="font-medium mb-2">{t("settings.storage")}</h3>
+        <StorageUsage products={products} restorable={restorable} />
+      </div>
+
+      <div className="pt-2 border-t border-neutral-800">
+        <h3 className="font-medium mb-2">{t("settings.backup")}</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>setOpenExport(true)}>{t("settings.exportJson")}</button>
+          <ImportButton products={products} parcels={parcels} setProducts={setProducts} setSettings={setSettings} setParcels={setParcels} notify={notify} />
+          <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>setOpenCsv(true)}>{t("settings.importCsv")}</button>
           <button className="rounded-xl border border-red-700/60 text-red-300 px-3 py-2 text-sm hover:bg-red-900/20" onClick={()=>{
-            if (confirm("Réinitialiser toutes les données ?")) {
-              setProducts([]);
+            if (confirm(t("settings.resetConfirm"))) {
+              setProducts([], t("settings.reset"));
+              notify(t("products.deleted", { count: products.length }));
             }
-          }}>Réinitialiser</button>
-        </div>
-      </div>
-
-      {openExport && (
-        <Modal title="Exporter JSON" onClose={()=>setOpenExport(false)}>
-          <textarea value={jsonText} onChange={e=>setJsonText(e.target.value)} className="w-full h-64 rounded-xl bg-neutral-950 border border-neutral-700 px-3 py-2 font-mono text-xs"/>
-          <div className="mt-3 flex justify-end gap-2">
-            <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm" onClick={()=>navigator.clipboard.writeText(jsonText)}>Copier</button>
-            <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm" onClick={()=>{
-              const blob = new Blob([jsonText], { type: 'application/json' });
-              const url = URL.createObjectURL(blob);
-              const a = document.createElement('a');
-              a.href = url; a.download = `mulebuy-backup-${new Date().toISOString().slice(0,10)}.json`; a.click();
-              URL.revokeObjectURL(url);
-            }}>Télécharger</button>
-          </div>
-        </Modal>
+          }}>{t("settings.reset")}</button>
+        </div>
+      </div>
+
+      {openExport && <BackupExportModal settings={settings} products={products} parcels={parcels} onClose={()=>setOpenExport(false)} />}
+
+      {openCsv && (
+        <CsvImportModal settings={settings} products={products} onImport={created=>{ const label = t("products.importedCsv", { count: created.length }); setProducts(prev=>[...created, ...prev], label); notify(label); }} onClose={()=>setOpenCsv(false)} />
       )}
     </section>
   );
 }
 
-function ImportButton({ setProducts, setSettings }) {
+function Shortcuts({ defaultList }) {
+  const app = `${location.origin}${location.pathname}`;
+  const items = [
+    { label: "→ Mulebuy", hint: t("shortcuts.openHint"), code: bookmarklet(app) },
+    { label: `+ ${defaultList}`, hint: t("shortcuts.saveHint", { list: defaultList }), code: bookmarklet(app, { save: true, list: defaultList }) },
+  ];
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="opacity-80">{t("shortcuts.intro")}</div>
+      {items.map(b => (
+        <div key={b.label} className="flex flex-wrap items-center gap-2">
+          <BookmarkletLink code={b.code}>{b.label}</BookmarkletLink>
+          <span className="text-xs opacity-60">{b.hint}</span>
+          <button className="ml-auto rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={()=>navigator.clipboard.writeText(b.code)}>{t("shortcuts.copyCode")}</button>
+        </div>
+      ))}
+      <div className="text-xs opacity-60">
+        {t("shortcuts.mobile")} <span className="font-mono">{app}?url=…&save=1&list=…</span>
+      </div>
+    </div>
+  );
+}
+
+// React refuses javascript: URLs in href, so the attribute is set by hand.
+function BookmarkletLink({ code, children }) {
+  const linkRef = useRef(null);
+  useEffect(() => { linkRef.current?.setAttribute("href", code); }, [code]);
+  return (
+    <a ref={linkRef} onClick={e=>e.preventDefault()} className="cursor-move rounded-lg bg-indigo-600 px-3 py-1.5 font-medium hover:bg-indigo-500">{children}</a>
+  );
+}
+
+// Named referral profiles (the active one is used by default) and rules that
+// pick another profile for a shop or a tag.
+function ReferralSettings({ settings, setSettings, allTags }) {
+  const profiles = settings.refProfiles || [];
+  const rules = settings.refRules || [];
+
+  function patchProfile(id, patch) {
+    setSettings(v => ({ ...v, refProfiles: v.refProfiles.map(p => p.id === id ? { ...p, ...patch } : p) }));
+  }
+  function addProfile() {
+    const profile = { id: uid(), name: t("ref.profileName", { n: profiles.length + 1 }), ref: "" };
+    setSettings(v => ({ ...v, refProfiles: [...v.refProfiles, profile] }));
+  }
+  // rules pointing at a deleted profile go with it
+  function deleteProfile(id) {
+    setSettings(v => {
+      const refProfiles = v.refProfiles.filter(p => p.id !== id);
+      return {
+        ...v,
+        refProfiles,
+        activeProfile: v.activeProfile === id ? refProfiles[0]?.id : v.activeProfile,
+        refRules: (v.refRules || []).filter(r => r.profileId !== id),
+      };
+    });
+  }
+
+  function patchRule(id, patch) {
+    setSettings(v => ({ ...v, refRules: v.refRules.map(r => r.id === id ? { ...r, ...patch } : r) }));
+  }
+  function addRule() {
+    const rule = { id: uid(), kind: "shop", value: "weidian", profileId: profiles[0]?.id };
+    setSettings(v => ({ ...v, refRules: [...(v.refRules || []), rule] }));
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="space-y-2">
+        {profiles.map(p => (
+          <div key={p.id} className="flex flex-wrap items-center gap-2">
+            <label className="inline-flex items-center gap-1" title={t("ref.activeProfile")}>
+              <input type="radio" name="activeProfile" checked={settings.activeProfile === p.id} onChange={()=>setSettings(v=>({...v, activeProfile: p.id}))}/>
+            </label>
+            <input value={p.name} onChange={e=>patchProfile(p.id, { name: e.target.value })} placeholder={profileName(p) || t("ref.name")} className="w-40 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1"/>
+            <input value={p.ref} onChange={e=>patchProfile(p.id, { ref: e.target.value.trim() })} placeholder="ref" className="w-36 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 font-mono"/>
+            {refError(p.ref) && <span className="text-xs text-amber-400">{refError(p.ref)}</span>}
+            <button className="ml-auto rounded-lg border border-red-700/60 text-red-300 px-2 py-1 text-xs hover:bg-red-900/20 disabled:opacity-40" disabled={profiles.length < 2} onClick={()=>deleteProfile(p.id)}>{t("common.delete")}</button>
+          </div>
+        ))}
+        <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800" onClick={addProfile}>{t("ref.addProfile")}</button>
+      </div>
+
+      <div className="space-y-2">
+        <div className="text-xs opacity-70">{t("ref.rulesIntro")}</div>
+        {rules.map(r => (
+          <div key={r.id} className="flex flex-wrap items-center gap-2">
+            <span className="opacity-70">{t("ref.if")}</span>
+            <select value={r.kind} onChange={e=>patchRule(r.id, { kind: e.target.value, value: "" })} className="rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1">
+              <option value="shop">shop</option>
+              <option value="tag">tag</option>
+            </select>
+            {r.kind === "shop" ? (
+              <select value={r.value} onChange={e=>patchRule(r.id, { value: e.target.value })} className="rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1">
+                <option value="" disabled>—</option>
+                {["taobao", "weidian", "ali_1688"].map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+            ) : (
+              <>
+                <input value={r.value} list="ref-rule-tags" onChange={e=>patchRule(r.id, { value: e.target.value.trim() })} placeholder="tag" className="w-32 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1"/>
+                <datalist id="ref-rule-tags">{allTags.map(t => <option key={t} value={t}/>)}</datalist>
+              </>
+            )}
+            <span className="opacity-70">→</span>
+            <select value={r.profileId} onChange={e=>patchRule(r.id, { profileId: e.target.value })} className="rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1">
+              {profiles.map(p => <option key={p.id} value={p.id}>{profileName(p)}</option>)}
+            </select>
+            <button className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={()=>setSettings(v=>({...v, refRules: v.refRules.filter(x => x.id !== r.id)}))}>×</button>
+          </div>
+        ))}
+        <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800" onClick={addRule}>{t("ref.addRule")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Active referral profile and a one-off ref for the converters.
+function RefPicker({ settings, setSettings, override, setOverride }) {
+  const active = refProfile(settings, settings.activeProfile);
+  const warning = override.trim() ? refError(override) : refError(active?.ref);
+  const ruleCount = (settings.refRules || []).length;
+  return (
+    <div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-sm opacity-80">{t("ref.profile")}</label>
+          <Select value={active?.id || ""} onChange={e=>setSettings(v=>({...v, activeProfile: e.target.value}))}>
+            {(settings.refProfiles || []).map(p => <option key={p.id} value={p.id}>{profileName(p)} · {p.ref || t("ref.none")}</option>)}
+          </Select>
+        </div>
+        <div>
+          <label className="block text-sm opacity-80">{t("ref.oneOffLabel")}</label>
+          <input value={override} onChange={e=>setOverride(e.target.value)} placeholder={active?.ref || "ref"} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"/>
+        </div>
+      </div>
+      <div className="text-xs mt-1">
+        {warning ? <span className="text-amber-400">{warning}</span>
+          : <span className="opacity-60">{override.trim() ? t("ref.overrides") : ruleCount ? t("ref.rulesMayApply", { count: ruleCount }) : t("ref.activeForAll")}</span>}
+      </div>
+    </div>
+  );
+}
+
+// Create, rename, recolor, reorder and delete lists. Products follow renames;
+// deleting a list that still holds products asks where to move them.
+function ListsEditor({ settings, setSettings, products, setProducts, notify }) {
+  const lists = settings.lists;
+  const [newName, setNewName] = useState("");
+  const [deleting, setDeleting] = useState(null); // { id, target }
+  const counts = useMemo(() => products.reduce((m, p) => m.set(p.list, (m.get(p.list) || 0) + 1), new Map()), [products]);
+
+  function nameTaken(name, exceptId) {
+    return lists.some(l => l.id !== exceptId && l.name.toLowerCase() === name.toLowerCase());
+  }
+
+  function addList() {
+    const name = newName.trim();
+    if (!name) return;
+    if (nameTaken(name)) { alert(t("lists.exists", { name })); return; }
+    setSettings(v => ({ ...v, lists: [...v.lists, { id: uid(), name, color: "neutral" }] }));
+    setNewName("");
+  }
+
+  function patchList(id, patch) {
+    setSettings(v => ({ ...v, lists: v.lists.map(l => l.id === id ? { ...l, ...patch } : l) }));
+  }
+
+  function renameList(list, name) {
+    name = name.trim();
+    if (!name || name === list.name) return false;
+    if (nameTaken(name, list.id)) { alert(t("lists.exists", { name })); return false; }
+    setSettings(v => ({
+      ...v,
+      lists: v.lists.map(l => l.id === list.id ? { ...l, name } : l),
+      defaultList: v.defaultList === list.name ? name : v.defaultList,
+    }));
+    if (counts.get(list.name) || products.some(p => (p.timeline || []).some(e => e.list === list.name))) {
+      setProducts(prev => renameListIn(prev, list.name, name), t("lists.renamed", { from: list.name, to: name }));
+    }
+    return true;
+  }
+
+  function moveList(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= lists.length) return;
+    setSettings(v => {
+      const next = [...v.lists];
+      [next[i], next[j]] = [next[j], next[i]];
+      return { ...v, lists: next };
+    });
+  }
+
+  function deleteList(list, target) {
+    const count = counts.get(list.name) || 0;
+    setSettings(v => {
+      const { [list.id]: _dropped, ...boardOrder } = v.boardOrder || {};
+      return {
+        ...v,
+        lists: v.lists.filter(l => l.id !== list.id),
+        defaultList: v.defaultList === list.name ? target : v.defaultList,
+        boardOrder,
+      };
+    });
+    if (count) {
+      const label = t("lists.deletedMoved", { name: list.name, count, target });
+      setProducts(prev => prev.map(p => p.list === list.name ? withList(p, target, t("lists.deleted", { name: list.name })) : p), label);
+      notify(label);
+    }
+    setDeleting(null);
+  }
+
+  return (
+    <div className="space-y-2">
+      {lists.map((l, i) => (
+        <div key={l.id} className="rounded-xl border border-neutral-800 bg-neutral-800/30 p-2 text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="flex flex-col">
+              <button className="text-xs leading-none opacity-60 hover:opacity-100 disabled:opacity-20" disabled={i===0} onClick={()=>moveList(i, -1)}>▲</button>
+              <button className="text-xs leading-none opacity-60 hover:opacity-100 disabled:opacity-20" disabled={i===lists.length-1} onClick={()=>moveList(i, 1)}>▼</button>
+            </div>
+            <ListNameInput list={l} onRename={name=>renameList(l, name)} />
+            <div className="flex items-center gap-1">
+              {Object.keys(LIST_COLORS).map(c => (
+                <button key={c} title={c} onClick={()=>patchList(l.id, { color: c })} className={classNames("rounded-full p-0.5", l.color === c ? "ring-2 ring-neutral-300" : "")}><ListDot color={c}/></button>
+              ))}
+            </div>
+            <span className="text-xs opacity-60">{t("count.products", { count: counts.get(l.name) || 0 })}</span>
+            <button className="ml-auto rounded-lg border border-red-700/60 text-red-300 px-2 py-1 text-xs hover:bg-red-900/20 disabled:opacity-40" disabled={lists.length < 2} onClick={()=>{
+              const target = lists.find(x => x.id !== l.id).name;
+              if (counts.get(l.name)) setDeleting({ id: l.id, target });
+              else deleteList(l, target);
+            }}>{t("common.delete")}</button>
+          </div>
+          {deleting?.id === l.id && (
+            <div className="mt-2 flex flex-wrap items-center gap-2 rounded-lg border border-amber-700/60 bg-amber-900/20 p-2">
+              <span>{t("lists.moveItsProducts", { count: counts.get(l.name) })}</span>
+              <Select value={deleting.target} onChange={e=>setDeleting(d=>({ ...d, target: e.target.value }))}>
+                {lists.filter(x => x.id !== l.id).map(x => <option key={x.id} value={x.name}>{x.name}</option>)}
+              </Select>
+              <button className="rounded-lg border border-red-700/60 text-red-300 px-2 py-1 hover:bg-red-900/20" onClick={()=>deleteList(l, deleting.target)}>{t("lists.delete")}</button>
+              <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800" onClick={()=>setDeleting(null)}>{t("common.cancel")}</button>
+            </div>
+          )}
+        </div>
+      ))}
+      <div className="flex items-center gap-2">
+        <input value={newName} onChange={e=>setNewName(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter") addList(); }} placeholder={t("lists.newPlaceholder")} className="rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2 text-sm"/>
+        <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={addList}>{t("common.add")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Commits on blur or Enter; a rejected name snaps back.
+function ListNameInput({ list, onRename }) {
+  const [name, setName] = useState(list.name);
+  useEffect(() => setName(list.name), [list.name]);
+  function commit() { if (!onRename(name)) setName(list.name); }
+  return (
+    <input value={name} onChange={e=>setName(e.target.value)} onBlur={commit} onKeyDown={e=>{ if (e.key === "Enter") e.currentTarget.blur(); if (e.key === "Escape") setName(list.name); }} className="w-40 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1"/>
+  );
+}
+
+const PHOTO_FORMATS = [
+  { id: "image/webp", label: "WebP" },
+  { id: "image/jpeg", label: "JPEG" },
+];
+const PHOTO_SIZES = [1024, 1600, 2048, 3000, 4096];
+
+// How imported photos are processed: metadata always goes, size and encoding are chosen here.
+function PhotoSettings({ settings, setSettings, products, notify }) {
+  const photos = { ...DEFAULT_SETTINGS.photos, ...settings.photos };
+  const set = patch => setSettings(v => ({ ...v, photos: { ...photos, ...patch } }));
+  const [progress, setProgress] = useState(null); // { done, total }
+
+  async function reprocess() {
+    const keys = Array.from(new Set(storedImageKeys(products)));
+    if (!keys.length) { notify(t("photos.noneToProcess"), false); return; }
+    if (!confirm(t("photos.reprocessConfirm", { count: keys.length }))) return;
+    setProgress({ done: 0, total: keys.length });
+    try {
+      const saved = await reprocessStoredImages(keys, photos, done => setProgress({ done, total: keys.length }));
+      notify(t("photos.reprocessed", { count: keys.length, saved: formatNumber(saved / 1024 / 1024, { maximumFractionDigits: 1 }) }), false);
+    } catch (e) {
+      notify(t("photos.reprocessFailed", { error: e.message }), false);
+    }
+    setProgress(null);
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="text-xs opacity-70">{t("photos.intro")}</div>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <Field label={t("photos.maxSize")}>
+          <Select value={photos.maxSize} onChange={e=>set({ maxSize: Number(e.target.value) })}>
+            {PHOTO_SIZES.map(n => <option key={n} value={n}>{formatNumber(n)} px</option>)}
+          </Select>
+        </Field>
+        <Field label={t("photos.format")}>
+          <Select value={photos.format} onChange={e=>set({ format: e.target.value })}>
+            {PHOTO_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </Select>
+        </Field>
+        <Field label={t("photos.quality", { quality: formatNumber(photos.quality, { style: "percent" }) })}>
+          <input type="range" min={0.4} max={0.95} step={0.05} value={photos.quality} onChange={e=>set({ quality: Number(e.target.value) })} className="w-full"/>
+        </Field>
+        <Field label={t("photos.thumbnails")}>
+          <Select value={photos.thumbSize} onChange={e=>set({ thumbSize: Number(e.target.value) })}>
+            {[160, 240, 320, 480].map(n => <option key={n} value={n}>{formatNumber(n)} px</option>)}
+          </Select>
+        </Field>
+      </div>
+      <div className="flex items-center gap-2">
+        <button disabled={!!progress} className="rounded-xl border border-neutral-700 px-3 py-1.5 text-xs hover:bg-neutral-800 disabled:opacity-50" onClick={reprocess}>{t("photos.reprocess")}</button>
+        {progress && <span className="text-xs opacity-70">{formatNumber(progress.done)} / {formatNumber(progress.total)}…</span>}
+      </div>
+    </div>
+  );
+}
+
+// Header indicator: where the sync stands; opens its settings.
+function SyncBadge({ sync, onClick }) {
+  const { state, status } = sync;
+  if (!state.enabled) return null;
+  const pending = Object.keys(state.pending).length;
+  const [icon, text, tone] =
+    status.phase === "syncing" ? ["⟳", t("sync.syncing"), "text-neutral-300"]
+    : status.phase === "offline" ? ["○", t("sync.offline"), "text-amber-300"]
+    : status.phase === "error" ? ["⚠", t("sync.failed"), "text-red-300"]
+    : pending ? ["●", t("sync.pending", { count: pending }), "text-amber-300"]
+    : ["✓", t("sync.upToDate"), "text-emerald-300"];
+  const title = [
+    status.error,
+    pending > 0 && t("sync.pending", { count: pending }),
+    state.lastSync && t("sync.lastSync", { date: formatDateTime(state.lastSync) }),
+  ].filter(Boolean).join("\n");
+  return (
+    <button title={title} onClick={onClick} className={classNames("rounded-xl px-2 py-2 text-xs hover:bg-neutral-800/60", tone)}>
+      {icon} <span className="hidden sm:inline">{text}</span>
+    </button>
+  );
+}
+
+function SyncSettings({ sync }) {
+  const { state, status, configure, syncNow, reset } = sync;
+  const pending = Object.keys(state.pending).length;
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="text-xs opacity-70">{t("sync.intro")}</div>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <Field label={t("sync.server")}>
+          <BlurInput value={state.url} onCommit={url=>configure({ url: url.trim(), ...(!url.trim() && { enabled: false }) })} placeholder="http://192.168.1.10:8787" className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+        </Field>
+        <Field label={t("sync.token")}>
+          <BlurInput type="password" value={state.token} onCommit={token=>configure({ token })} placeholder={t("sync.tokenPlaceholder")} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+        </Field>
+      </div>
+      <label className="inline-flex items-center gap-2">
+        <input type="checkbox" checked={state.enabled} disabled={!state.url} onChange={e=>configure({ enabled: e.target.checked })}/>
+        <span className="opacity-80">{t("sync.enable")}</span>
+      </label>
+      <div className="text-xs opacity-70">
+        {t("sync.device", { device: state.device.slice(0, 8) })} · {state.lastSync ? t("sync.lastSync", { date: formatDateTime(state.lastSync) }) : t("sync.never")} · {t("sync.pending", { count: pending })}
+      </div>
+      {state.enabled && status.error && <div className="text-xs text-red-300">⚠ {status.error}</div>}
+      <div className="flex flex-wrap items-center gap-2">
+        <button disabled={!state.enabled || status.phase === "syncing"} className="rounded-xl border border-neutral-700 px-3 py-1.5 text-xs hover:bg-neutral-800 disabled:opacity-50" onClick={syncNow}>{t("sync.now")}</button>
+        <button disabled={!state.url} className="rounded-xl border border-neutral-700 px-3 py-1.5 text-xs hover:bg-neutral-800 disabled:opacity-50" onClick={()=>{ if (confirm(t("sync.resetConfirm"))) reset(); }}>{t("sync.reset")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Rough local storage budget; browsers allow ~5 MB per origin.
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+// `restorable`: product arrays undo/redo can bring back; their photos are not orphans.
+function StorageUsage({ products, restorable }) {
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState("");
+  const [refresh, setRefresh] = useState(0);
+
+  const referenced = useMemo(() => new Set([products, ...restorable].flatMap(storedImageKeys)), [products, restorable]);
+
+  useEffect(() => {
+    let alive = true;
+    Promise.all([imageStore.keys(), imageStore.all(), navigator.storage?.estimate?.() ?? null])
+      .then(([keys, blobs, estimate]) => {
+        if (!alive) return;
+        const orphans = keys.filter(k => !referenced.has(imageKeyOf(k)));
+        setInfo({
+          imageCount: keys.filter(k => imageKeyOf(k) === k).length,
+          imageBytes: blobs.reduce((a, b) => a + (b?.size || 0), 0),
+          orphans,
+          estimate,
+        });
+        setError("");
+      })
+      .catch(e => alive && setError(e.message));
+    return () => { alive = false; };
+  }, [referenced, refresh]);
+
+  async function cleanOrphans() {
+    if (!info?.orphans.length) return;
+    if (!confirm(t("storage.cleanConfirm", { count: info.orphans.length }))) return;
+    try {
+      for (const k of info.orphans) await imageStore.delete(k);
+    } catch (e) {
+      setError(e.message);
+    }
+    setRefresh(n => n + 1);
+  }
+
+  const lsBytes = localStorageBytes();
+  const mb = n => t("units.mb", { n: formatNumber(n / 1024 / 1024, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) });
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div>
+        <div className="flex justify-between text-xs opacity-80"><span>{t("storage.localStorage")}</span><span>{mb(lsBytes)} / ~{mb(LOCAL_STORAGE_QUOTA)}</span></div>
+        <div className="mt-1 h-2 rounded bg-neutral-800">
+          <div className={classNames("h-2 rounded", lsBytes / LOCAL_STORAGE_QUOTA > 0.8 ? "bg-red-500" : "bg-indigo-600")} style={{ width: `${Math.min(100, (lsBytes / LOCAL_STORAGE_QUOTA) * 100)}%` }}/>
+        </div>
+      </div>
+      {info && (
+        <div className="text-xs opacity-80">
+          {t("storage.photos", { count: info.imageCount })} · {mb(info.imageBytes)}
+          {info.estimate && <> · {t("storage.site")} {mb(info.estimate.usage || 0)} / {mb(info.estimate.quota || 0)}</>}
+        </div>
+      )}
+      {info?.orphans.length > 0 && (
+        <button className="rounded-xl border border-neutral-700 px-3 py-1.5 text-xs hover:bg-neutral-800" onClick={cleanOrphans}>{t("storage.clean", { count: info.orphans.length })}</button>
+      )}
+      {error && <div className="text-xs text-red-400">{t("storage.photoStoreError", { error })}</div>}
+    </div>
+  );
+}
+
+function ImportButton({ products, parcels, setProducts, setSettings, setParcels, notify }) {
   const inputRef = useRef(null);
+  const [incoming, setIncoming] = useState(null); // { name, data: normalizeBackup() }
   function onPick(e) {
     const file = e.target.files?.[0]; if (!file) return;
+    e.target.value = "";
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const data = JSON.parse(String(reader.result));
-        if (Array.isArray(data)) { // old export just array
-          setProducts(data);
-        } else {
-          if (Array.isArray(data.products)) setProducts(data.products);
-          if (data.settings) setSettings(prev=>({ ...prev, ...data.settings }));
-        }
-        alert("Import réussi ✔");
+        setIncoming({ name: file.name, data: normalizeBackup(JSON.parse(String(reader.result))) });
       } catch (e) {
-        alert("Import invalide: "+ e.message);
+        alert(t("import.invalid", { error: e.message }));
       }
     };
     reader.readAsText(file);
@@ -748,18 +3012,777 @@ function ImportButton({ setProducts, setSettings }) {
   return (
     <>
       <input ref={inputRef} type="file" accept="application/json" className="hidden" onChange={onPick}/>
-      <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>inputRef.current?.click()}>Importer JSON</button>
+      <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>inputRef.current?.click()}>{t("import.json")}</button>
+      {incoming && (
+        <ImportModal name={incoming.name} data={incoming.data} products={products} onClose={()=>setIncoming(null)} onApply={({ strategy, plan, choices, fallback, withSettings })=>{
+          const { data } = incoming;
+          const label = t("import.label", { strategy: t(IMPORT_STRATEGIES.find(x => x.id === strategy).label).toLowerCase() });
+          setProducts(prev => applyImport(prev, strategy, plan, choices, fallback), label);
+          if (data.parcels) setParcels(strategy === "replace" ? data.parcels : mergeParcels(parcels, data.parcels, plan.uidMap));
+          if (withSettings && data.settings) setSettings(data.settings); // complete and checked (normalizeSettings)
+          notify(t("import.done", { label, added: t("import.added", { count: plan.added.length }), merged: t("import.merged", { count: plan.conflicts.length }) }));
+          setIncoming(null);
+        }} />
+      )}
     </>
   );
 }
 
+// Preview of a JSON import: strategy, counts, and each conflicting field with
+// mine / theirs / newest. Nothing changes until "Importer".
+function ImportModal({ name, data, products, onApply, onClose }) {
+  const [strategy, setStrategy] = useState("item");
+  const [fallback, setFallback] = useState("newest");
+  const [choices, setChoices] = useState({}); // mine uid → { field: pick }
+  const [withSettings, setWithSettings] = useState(false);
+  const plan = useMemo(() => planImport(products, data.products, strategy), [products, data.products, strategy]);
+  const PICKS = [["mine", t("import.mine")], ["theirs", t("import.theirs")], ["newest", t("import.newest")]];
+
+  function pick(uid, key, value) {
+    setChoices(prev => ({ ...prev, [uid]: { ...prev[uid], [key]: value } }));
+  }
+
+  return (
+    <Modal title={t("import.title", { name })} onClose={onClose}>
+      <div className="space-y-4 text-sm">
+        {data.errors.length > 0 && (
+          <div className="rounded-xl border border-amber-700/60 bg-amber-900/20 p-2 text-xs text-amber-200 max-h-24 overflow-y-auto">
+            {data.errors.map((e, i) => <div key={i}>⚠ {e}</div>)}
+          </div>
+        )}
+
+        <div className="space-y-1">
+          {IMPORT_STRATEGIES.map(x => (
+            <label key={x.id} className="flex items-start gap-2">
+              <input type="radio" name="import-strategy" checked={strategy === x.id} onChange={()=>setStrategy(x.id)} className="mt-1"/>
+              <span>{t(x.label)} <span className="text-xs opacity-60">— {t(x.hint)}</span></span>
+            </label>
+          ))}
+        </div>
+
+        <div className="rounded-xl border border-neutral-800 bg-neutral-800/40 p-2">
+          {t("import.inFile", { count: data.products.length })}{" "}
+          {strategy === "replace"
+            ? t("import.willRemove", { count: plan.removed })
+            : t("import.summary", { added: t("import.new", { count: plan.added.length }), conflicts: t("import.conflicts", { count: plan.conflicts.length }), same: t("import.same", { count: plan.same }) })}
+          {data.parcels && <> · {t("count.parcels", { count: data.parcels.length })}</>}
+        </div>
+
+        {plan.conflicts.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="opacity-70">{t("import.defaultKeep")}</span>
+              {PICKS.map(([id, label]) => (
+                <button key={id} onClick={()=>{ setFallback(id); setChoices({}); }} className={classNames("rounded-lg border px-2 py-1", fallback === id ? "border-indigo-500 bg-indigo-500/10" : "border-neutral-700 hover:bg-neutral-800")}>{label}</button>
+              ))}
+            </div>
+            <div className="max-h-80 overflow-y-auto space-y-2">
+              {plan.conflicts.map(c => (
+                <div key={c.mine.uid} className="rounded-xl border border-neutral-800 p-2">
+                  <div className="font-medium truncate">{c.mine.title || c.theirs.title || t("common.untitled")} <span className="text-xs font-normal opacity-60">{c.mine.shop_type} {c.mine.id}</span></div>
+                  <table className="mt-1 w-full text-xs">
+                    <thead className="opacity-60 text-left"><tr><th className="py-1">{t("import.field")}</th><th>{t("import.mine")}</th><th>{t("import.theirs")}</th><th></th></tr></thead>
+                    <tbody>
+                      {c.fields.map(f => {
+                        const fmt = f.format || (p => String(p[f.key] ?? ""));
+                        const current = choices[c.mine.uid]?.[f.key] || fallback;
+                        return (
+                          <tr key={f.key} className="border-t border-neutral-800 align-top">
+                            <td className="py-1 pr-2 whitespace-nowrap">{t(f.label)}</td>
+                            <td className="py-1 pr-2 max-w-[10rem] truncate" title={fmt(c.mine)}>{fmt(c.mine) || "—"}</td>
+                            <td className="py-1 pr-2 max-w-[10rem] truncate" title={fmt(c.theirs)}>{fmt(c.theirs) || "—"}</td>
+                            <td className="py-1">
+                              <select value={current} onChange={e=>pick(c.mine.uid, f.key, e.target.value)} className="rounded bg-neutral-800 border border-neutral-700 px-1">
+                                {PICKS.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                              </select>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center justify-end gap-2">
+          {data.settings && (
+            <label className="mr-auto inline-flex items-center gap-2">
+              <input type="checkbox" checked={withSettings} onChange={e=>setWithSettings(e.target.checked)}/>
+              <span className="opacity-80">{t("import.withSettings")}</span>
+            </label>
+          )}
+          <button className="rounded-xl border border-neutral-700 px-3 py-2" onClick={onClose}>{t("common.cancel")}</button>
+          <button className="rounded-xl bg-indigo-600 hover:bg-indigo-500 px-3 py-2 font-medium" onClick={()=>onApply({ strategy, plan, choices, fallback, withSettings })}>{t("common.import")}</button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function StatsSection({ products, money, lists, children }) {
+  const [monthBasis, setMonthBasis] = useState("created");
+  const st = useMemo(() => collectionStats(products, money, monthBasis, lists), [products, money, monthBasis, lists]);
+  const ordered = listNameOf(lists, "ordered");
+  const received = listNameOf(lists, "received");
+  const fmt = n => currency(n, money.display);
+  const days = n => Math.round(n * 10) / 10;
+  const months = st.perMonth.slice(-24);
+  const maxMonth = Math.max(1, ...months.map(m => m.total));
+
+  return (
+    <section className="rounded-2xl border border-neutral-800 bg-neutral-900 p-4 sm:p-6 shadow-xl shadow-black/30 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-lg font-semibold">{t("stats.heading")}</h2>
+        <div className="flex items-center gap-2">{children}</div>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-3">
+        <StatTile label={t("stats.products")} value={formatNumber(st.count)} />
+        <StatTile label={t("stats.totalValue")} value={fmt(st.total)} />
+        <StatTile label={t("stats.avgRating")} value={st.avgRating == null ? "—" : `${formatNumber(st.avgRating, { maximumFractionDigits: 1, minimumFractionDigits: 1 })} / 5`} hint={t("stats.rated", { count: st.ratedCount })} />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h3 className="font-medium">{t("stats.perMonth")}</h3>
+          <Select value={monthBasis} onChange={e=>setMonthBasis(e.target.value)}>
+            {MONTH_BASES.map(b => <option key={b.id} value={b.id}>{t("stats.monthBasis", { basis: t(b.label) })}</option>)}
+          </Select>
+        </div>
+        {months.length === 0 ? <div className="text-sm opacity-70">{t("stats.noData")}</div> : (
+          <div className="flex items-end gap-1 h-40 overflow-x-auto">
+            {months.map(m => (
+              <div key={m.key} className="flex flex-col items-center justify-end h-full min-w-[2.5rem] flex-1" title={`${formatMonth(m.key)} · ${t("count.products", { count: m.count })} · ${fmt(m.total)}`}>
+                <div className="w-full rounded-t bg-indigo-600/80" style={{ height: `${(m.total / maxMonth) * 100}%` }}/>
+                <div className="mt-1 text-[10px] opacity-70">{formatMonth(m.key)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <BarList title={t("stats.perList")} rows={st.perList} fmt={fmt} />
+        <BarList title={t("stats.perShop")} rows={st.perShop} fmt={fmt} />
+        <BarList title={t("stats.topSellers")} rows={st.perSeller.slice(0, 10)} fmt={fmt} />
+        <BarList title={t("stats.perTag")} rows={st.perTag.slice(0, 15)} fmt={fmt} />
+      </div>
+
+      <div>
+        <h3 className="font-medium mb-2">{t("stats.leadTimes", { from: ordered, to: received })}</h3>
+        {st.leadTimes.count === 0 ? <div className="text-sm opacity-70">{t("stats.noLeadTimes", { from: ordered, to: received })}</div> : (
+          <>
+            <div className="text-sm mb-2">{t("stats.average")} <span className="font-medium">{t("count.days", { count: days(st.leadTimes.average) })}</span> {t("stats.over", { count: st.leadTimes.count })}</div>
+            <table className="w-full text-sm">
+              <thead className="text-left opacity-70">
+                <tr><th className="py-1">{t("field.seller")}</th><th className="py-1 text-right">{t("stats.products")}</th><th className="py-1 text-right">{t("stats.averageCol")}</th><th className="py-1 text-right">{t("stats.max")}</th></tr>
+              </thead>
+              <tbody>
+                {st.leadTimes.perSeller.map(r => (
+                  <tr key={r.key} className="border-t border-neutral-800">
+                    <td className="py-1 max-w-[12rem] truncate">{r.key}</td>
+                    <td className="py-1 text-right opacity-70">{formatNumber(r.count)}</td>
+                    <td className="py-1 text-right">{t("count.days", { count: days(r.average) })}</td>
+                    <td className="py-1 text-right opacity-70">{t("count.days", { count: Math.round(r.max) })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function StatTile({ label, value, hint }) {
+  return (
+    <div className="rounded-xl border border-neutral-800 bg-neutral-800/40 p-3">
+      <div className="text-xs opacity-70">{label}</div>
+      <div className="text-xl font-semibold">{value}</div>
+      {hint && <div className="text-xs opacity-60">{hint}</div>}
+    </div>
+  );
+}
+
+function BarList({ title, rows, fmt }) {
+  const max = Math.max(1, ...rows.map(r => r.total));
+  return (
+    <div>
+      <h3 className="font-medium mb-2">{title}</h3>
+      {rows.length === 0 ? <div className="text-sm opacity-70">{t("stats.noData")}</div> : (
+        <table className="w-full text-sm">
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.key} className="border-t border-neutral-800">
+                <td className="py-1 pr-2 max-w-[10rem] truncate">{r.key}</td>
+                <td className="py-1 w-1/2">
+                  <div className="h-2 rounded bg-indigo-600/80" style={{ width: `${(r.total / max) * 100}%` }}/>
+                </td>
+                <td className="py-1 pl-2 text-right opacity-70 whitespace-nowrap">{formatNumber(r.count)}</td>
+                <td className="py-1 pl-2 text-right whitespace-nowrap">{fmt(r.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function HaulSection({ parcels, setParcels, products, settings, onOpen }) {
+  const [activeUid, setActiveUid] = useState(parcels[0]?.uid || null);
+  const active = parcels.find(pc => pc.uid === activeUid) || null;
+  const byUid = useMemo(() => new Map(products.map(p => [p.uid, p])), [products]);
+  const assigned = new Set(parcels.flatMap(pc => pc.items.map(it => it.productUid)));
+  const ordered = listNameOf(settings.lists, "ordered");
+  const candidates = products.filter(p => p.list === ordered && !assigned.has(p.uid));
+  const cur = settings.displayCurrency;
+
+  function addParcel() {
+    const pc = newParcel(t("haul.parcelName", { n: parcels.length + 1 }), settings.shippingLines?.[0]?.id);
+    setParcels(prev => [...prev, pc]);
+    setActiveUid(pc.uid);
+  }
+  function updateParcel(patch) { setParcels(prev => prev.map(pc => pc.uid === activeUid ? { ...pc, ...patch } : pc)); }
+  function removeParcel() {
+    if (!confirm(t("haul.deleteConfirm", { name: active.name }))) return;
+    setParcels(prev => prev.filter(pc => pc.uid !== activeUid));
+    setActiveUid(null);
+  }
+  function updateItem(productUid, patch) { updateParcel({ items: active.items.map(it => it.productUid === productUid ? { ...it, ...patch } : it) }); }
+
+  const est = active && parcelEstimate(active, byUid, settings);
+
+  return (
+    <section className="rounded-2xl border border-neutral-800 bg-neutral-900 p-4 sm:p-6 shadow-xl shadow-black/30">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-lg font-semibold">{t("haul.heading")}</h2>
+        <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={addParcel}>{t("haul.new")}</button>
+      </div>
+
+      {(settings.shippingLines || []).length === 0 && (
+        <div className="mb-3 text-sm text-amber-400">{t("haul.noLines")}</div>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-[14rem_1fr]">
+        <div className="space-y-1">
+          {parcels.length === 0 && <div className="text-sm opacity-70">{t("haul.none")}</div>}
+          {parcels.map(pc => {
+            const e = parcelEstimate(pc, byUid, settings);
+            return (
+              <button key={pc.uid} onClick={()=>setActiveUid(pc.uid)} className={classNames("w-full text-left rounded-xl border px-3 py-2 text-sm", pc.uid === activeUid ? "border-neutral-600 bg-neutral-800" : "border-neutral-800 hover:bg-neutral-800/60")}>
+                <div className="font-medium truncate">{pc.name}</div>
+                <div className="text-xs opacity-70">{t("count.items", { count: pc.items.length })} · {grams(e.chargeableG)} · {currency(e.total, cur)}</div>
+              </button>
+            );
+          })}
+        </div>
+
+        {active ? (
+          <div className="space-y-4">
+            <div className="grid gap-3 sm:grid-cols-2">
+              <Field label={t("ref.name")}>
+                <input value={active.name} onChange={e=>updateParcel({ name: e.target.value })} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+              </Field>
+              <Field label={t("haul.line")}>
+                <Select value={active.lineId} onChange={e=>updateParcel({ lineId: e.target.value })}>
+                  <option value="">—</option>
+                  {(settings.shippingLines || []).map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </Select>
+              </Field>
+              <Field label={t("haul.dims")}>
+                <div className="grid grid-cols-3 gap-2">
+                  {["l", "w", "h"].map(k => (
+                    <input key={k} type="number" min={0} value={active.dims?.[k] ?? ""} onChange={e=>updateParcel({ dims: { ...active.dims, [k]: e.target.value === "" ? "" : Number(e.target.value) } })} className="min-w-0 rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+                  ))}
+                </div>
+              </Field>
+              <Field label={t("haul.packaging")}>
+                <input type="number" min={0} value={active.packagingG} onChange={e=>updateParcel({ packagingG: Number(e.target.value) || 0 })} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+              </Field>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left opacity-70">
+                  <tr><th className="py-2">{t("field.item")}</th><th className="py-2 w-20">{t("haul.pieces")}</th><th className="py-2 w-28">{t("haul.unitWeight")}</th><th className="py-2 text-right">{t("csv.price")}</th><th className="py-2 w-8"></th></tr>
+                </thead>
+                <tbody>
+                  {est.lines.map(x => (
+                    <tr key={x.productUid} className="border-t border-neutral-800">
+                      <td className="py-2 max-w-[16rem] truncate">
+                        {x.product ? <button className="hover:underline text-left" onClick={()=>onOpen(x.product)}>{x.product.title || t("common.untitled")}</button> : <span className="opacity-60">{t("haul.deletedProduct")}</span>}
+                      </td>
+                      <td className="py-2"><input type="number" min={1} value={x.qty} onChange={e=>updateItem(x.productUid, { qty: Math.max(1, Number(e.target.value) || 1) })} className="w-16 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1"/></td>
+                      <td className="py-2"><input type="number" min={0} value={x.weightG} onChange={e=>updateItem(x.productUid, { weightG: e.target.value === "" ? "" : Number(e.target.value) })} className={classNames("w-24 rounded-lg bg-neutral-800 border px-2 py-1", Number(x.weightG) ? "border-neutral-700" : "border-amber-600")}/></td>
+                      <td className="py-2 text-right whitespace-nowrap">{x.product ? currency(x.value, cur) : "—"}</td>
+                      <td className="py-2 text-right"><button className="opacity-70 hover:opacity-100" onClick={()=>updateParcel({ items: active.items.filter(it => it.productUid !== x.productUid) })}>×</button></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {candidates.length > 0 && (
+              <div className="flex items-center gap-2 text-sm">
+                <span className="opacity-80">{t("haul.addOrdered")}</span>
+                <Select value="" onChange={e=>{ if (e.target.value) updateParcel({ items: [...active.items, { productUid: e.target.value, qty: Math.max(1, productQty(byUid.get(e.target.value))), weightG: "" }] }); }}>
+                  <option value="">{t("common.choose")}</option>
+                  {candidates.map(p => <option key={p.uid} value={p.uid}>{p.title || `${p.shop_type} ${p.id}`}</option>)}
+                </Select>
+              </div>
+            )}
+
+            <div className="rounded-xl border border-neutral-800 bg-neutral-800/40 p-3 text-sm grid gap-1 sm:grid-cols-2">
+              <div>{t("haul.actualWeight")} <span className="font-medium">{grams(est.actualG)}</span></div>
+              <div>{t("haul.volumetricWeight")} <span className="font-medium">{est.volumetricG ? grams(est.volumetricG) : "—"}</span></div>
+              <div>{t("haul.chargeableWeight")} <span className="font-medium">{grams(est.chargeableG)}</span></div>
+              <div>{t("haul.items")} <span className="font-medium">{currency(est.items, cur)}</span></div>
+              <div>{t("haul.fee", { pct: formatNumber((settings.serviceFeePct || 0) / 100, { style: "percent", maximumFractionDigits: 1 }) })} <span className="font-medium">{currency(est.fee, cur)}</span></div>
+              <div>{est.line ? t("haul.shippingVia", { line: est.line.name }) : t("haul.shipping")} <span className="font-medium">{est.line ? currency(est.shipping, cur) : "—"}</span></div>
+              <div className="sm:col-span-2 pt-1 border-t border-neutral-700 text-base">{t("haul.total")} <span className="font-semibold">{currency(est.total, cur)}</span></div>
+              {est.missingWeight && <div className="sm:col-span-2 text-xs text-amber-400">{t("haul.missingWeight")}</div>}
+            </div>
+
+            <div className="flex justify-end">
+              <button className="rounded-xl border border-red-700/60 text-red-300 px-3 py-2 text-sm hover:bg-red-900/20" onClick={removeParcel}>{t("haul.delete")}</button>
+            </div>
+          </div>
+        ) : (
+          <div className="text-sm opacity-70">{t("haul.pick", { list: ordered })}</div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function ShippingLinesEditor({ lines, onChange }) {
+  const update = (id, patch) => onChange(lines.map(l => l.id === id ? { ...l, ...patch } : l));
+  const num = (id, key) => e => update(id, { [key]: Number(e.target.value) || 0 });
+  const input = "w-full min-w-0 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1";
+  return (
+    <div className="space-y-2">
+      {lines.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="text-left opacity-70">
+              <tr><th className="py-1">{t("ref.name")}</th><th className="py-1">{t("lines.currency")}</th><th className="py-1">{t("lines.firstWeight")}</th><th className="py-1">{t("lines.firstPrice")}</th><th className="py-1">{t("lines.perKg")}</th><th className="py-1">{t("lines.step")}</th><th className="py-1">{t("lines.divisor")}</th><th></th></tr>
+            </thead>
+            <tbody>
+              {lines.map(l => (
+                <tr key={l.id} className="border-t border-neutral-800">
+                  <td className="py-1 pr-1"><input value={l.name} onChange={e=>update(l.id, { name: e.target.value })} className={input}/></td>
+                  <td className="py-1 pr-1">
+                    <select value={l.currency} onChange={e=>update(l.id, { currency: e.target.value })} className={input}>
+                      {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-1 pr-1"><input type="number" min={0} value={l.firstWeightG} onChange={num(l.id, "firstWeightG")} className={input}/></td>
+                  <td className="py-1 pr-1"><input type="number" min={0} step="0.01" value={l.firstPrice} onChange={num(l.id, "firstPrice")} className={input}/></td>
+                  <td className="py-1 pr-1"><input type="number" min={0} step="0.01" value={l.perKg} onChange={num(l.id, "perKg")} className={input}/></td>
+                  <td className="py-1 pr-1"><input type="number" min={1} value={l.stepG} onChange={num(l.id, "stepG")} className={input}/></td>
+                  <td className="py-1 pr-1"><input type="number" min={0} title={t("lines.divisorHint")} value={l.volumetricDivisor} onChange={num(l.id, "volumetricDivisor")} className={input}/></td>
+                  <td className="py-1"><button className="opacity-70 hover:opacity-100" onClick={()=>onChange(lines.filter(x => x.id !== l.id))}>×</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={()=>onChange([...lines, newShippingLine()])}>{t("lines.add")}</button>
+    </div>
+  );
+}
+
+function CsvImportModal({ settings, products, onImport, onClose }) {
+  const [text, setText] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [list, setList] = useState(settings.defaultList || "Wishlist");
+  const [skipExisting, setSkipExisting] = useState(true);
+  const fileRef = useRef(null);
+  const lists = useMemo(() => settings.lists.map(l => l.name), [settings.lists]);
+
+  const rows = useMemo(() => parseCSV(text), [text]);
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const headers = hasHeader && rows.length ? rows[0] : Array.from({ length: width }, (_, i) => t("csv.column", { n: i + 1 }));
+  const body = useMemo(() => (hasHeader ? rows.slice(1) : rows), [rows, hasHeader]);
+
+  function load(content) {
+    setText(content);
+    const parsed = parseCSV(content);
+    setMapping(parsed.length ? guessCsvMapping(parsed[0]) : {});
+  }
+
+  function onPick(e) {
+    const file = e.target.files?.[0]; if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => load(String(reader.result));
+    reader.readAsText(file);
+  }
+
+  const results = useMemo(() => {
+    if (mapping.link == null) return [];
+    const seen = new Set();
+    return body.map(row => {
+      const r = csvRowToProduct(row, mapping, { refOf: item => refFor(settings, item), list, lists });
+      if (r.product) {
+        const key = itemKey(r.product);
+        r.existing = findDuplicate(products, r.product);
+        r.repeat = seen.has(key);
+        seen.add(key);
+      }
+      return r;
+    });
+  }, [body, mapping, settings, list, lists, products]);
+
+  const importable = results.filter(r => r.product && !r.repeat && !(skipExisting && r.existing));
+
+  return (
+    <Modal title={t("settings.importCsv")} onClose={onClose}>
+      <div className="space-y-3 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <input ref={fileRef} type="file" accept=".csv,text/csv,text/tab-separated-values" className="hidden" onChange={onPick}/>
+          <button className="rounded-xl border border-neutral-700 px-3 py-2 hover:bg-neutral-800" onClick={()=>fileRef.current?.click()}>{t("csv.pickFile")}</button>
+          <span className="opacity-70">{t("csv.orPaste")}</span>
+        </div>
+        <textarea value={text} onChange={e=>load(e.target.value)} className="w-full h-24 rounded-xl bg-neutral-950 border border-neutral-700 px-3 py-2 font-mono text-xs"/>
+
+        {rows.length > 0 && (
+          <>
+            <label className="inline-flex items-center gap-2">
+              <input type="checkbox" checked={hasHeader} onChange={e=>setHasHeader(e.target.checked)}/>
+              <span className="opacity-80">{t("csv.hasHeader")}</span>
+            </label>
+            <div className="grid gap-2 sm:grid-cols-2">
+              {CSV_FIELDS.map(f => (
+                <label key={f.key} className="flex items-center gap-2">
+                  <span className="w-32 shrink-0 text-xs opacity-70">{t(f.label)}</span>
+                  <select value={mapping[f.key] ?? ""} onChange={e=>setMapping(m=>({ ...m, [f.key]: e.target.value === "" ? undefined : Number(e.target.value) }))} className="flex-1 min-w-0 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs">
+                    <option value="">—</option>
+                    {headers.map((h, i) => <option key={i} value={i}>{h || t("csv.column", { n: i + 1 })}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="opacity-80">{t("settings.defaultList")}</span>
+              <Select value={list} onChange={e=>setList(e.target.value)}>
+                {lists.map(l=> <option key={l} value={l}>{l}</option>)}
+              </Select>
+              <label className="inline-flex items-center gap-2">
+                <input type="checkbox" checked={skipExisting} onChange={e=>setSkipExisting(e.target.checked)}/>
+                <span className="opacity-80">{t("csv.skipExisting")}</span>
+              </label>
+            </div>
+
+            {mapping.link == null ? (
+              <div className="text-amber-400">{t("csv.pickLinkColumn")}</div>
+            ) : (
+              <div className="max-h-64 overflow-auto">
+                <table className="w-full text-xs">
+                  <thead className="text-left opacity-70">
+                    <tr><th className="py-1">#</th><th className="py-1">{t("field.title")}</th><th className="py-1">{t("csv.price")}</th><th className="py-1">{t("field.tags")}</th><th className="py-1">{t("bulk.result")}</th></tr>
+                  </thead>
+                  <tbody>
+                    {results.slice(0, 200).map((r, i) => (
+                      <tr key={i} className={classNames("border-t border-neutral-800", !importable.includes(r) && "opacity-60")}>
+                        <td className="py-1 align-top opacity-70">{i + 1}</td>
+                        <td className="py-1 align-top max-w-[12rem] truncate">{r.product?.title}</td>
+                        <td className="py-1 align-top">{r.product && currency(productTotal(r.product), r.product.currency)}</td>
+                        <td className="py-1 align-top">{r.product?.tags.join(", ")}</td>
+                        <td className="py-1 align-top">
+                          {r.error && <span className="text-red-400">{r.error}</span>}
+                          {r.product && r.repeat && <span>{t("csv.repeat")}</span>}
+                          {r.product && !r.repeat && r.existing && <span className="text-amber-400">{t("bulk.alreadyIn", { list: r.existing.list })}</span>}
+                          {r.product && !r.repeat && !r.existing && <span className="text-emerald-400">{r.product.list} · {r.product.shop_type} {r.product.id}</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {results.length > 200 && <div className="mt-1 opacity-60">… {t("csv.moreRows", { count: results.length - 200 })}</div>}
+              </div>
+            )}
+
+            <div className="flex items-center justify-end gap-2">
+              <span className="opacity-70">{t("csv.importable", { count: importable.length, total: results.length })}</span>
+              <button disabled={!importable.length} className="rounded-xl bg-emerald-600 hover:bg-emerald-500 px-3 py-2 font-medium disabled:opacity-50" onClick={()=>{ onImport(importable.map(r => r.product)); onClose(); }}>{t("common.import")}</button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+function ShareModal({ products, title: initialTitle, onClose }) {
+  const [title, setTitle] = useState(initialTitle || "");
+  const [link, setLink] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    setLink(""); setError("");
+    encodeShare(toShareSnapshot(products, { title }))
+      .then(code => alive && setLink(shareUrl(code)))
+      .catch(e => alive && setError(e.message));
+    return () => { alive = false; };
+  }, [products, title]);
+
+  return (
+    <Modal title={t("share.title", { count: products.length })} onClose={onClose}>
+      <div className="space-y-3 text-sm">
+        <Field label={t("field.title")}>
+          <input value={title} onChange={e=>setTitle(e.target.value)} className="w-full rounded-xl bg-neutral-800 border border-neutral-700 px-3 py-2"/>
+        </Field>
+        <textarea readOnly value={error || link || t("share.compressing")} onFocus={e=>e.currentTarget.select()} className="w-full h-28 rounded-xl bg-neutral-950 border border-neutral-700 px-3 py-2 font-mono text-xs break-all"/>
+        <div className="flex items-center gap-2">
+          <span className="mr-auto text-xs opacity-60">
+            {t("share.info", { count: link.length })}
+            {link.length > 8000 && ` ${t("share.tooLong")}`}
+          </span>
+          <button disabled={!link} className="rounded-xl border border-neutral-700 px-3 py-2 hover:bg-neutral-800 disabled:opacity-50" onClick={()=>navigator.clipboard.writeText(link)}>{t("share.copyLink")}</button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Read-only view of a shared snapshot: browse, copy links (optionally with our
+// own ref) and import the chosen items.
+function SharedViewer({ shared, settings, products, lists, onImport, onClose }) {
+  const items = useMemo(() => shared.snapshot?.items || [], [shared]);
+  const [useOwnRef, setUseOwnRef] = useState(true);
+  const [ownRef, setOwnRef] = useState(() => activeRef(settings));
+  const [picked, setPicked] = useState(() => new Set());
+  const [list, setList] = useState(settings.defaultList);
+  const ref = useOwnRef ? ownRef : "";
+  const linkOf = item => toMulebuy({ ...item, ref });
+
+  function toggle(i) {
+    setPicked(prev => { const next = new Set(prev); next.has(i) ? next.delete(i) : next.add(i); return next; });
+  }
+
+  function importPicked() {
+    const created = items.filter((_, i) => picked.has(i)).map(item => sharedToProduct(item, { ref: ref || refFor(settings, item), list }));
+    onImport(created, list);
+    setPicked(new Set());
+  }
+
+  if (shared.error) {
+    return (
+      <section className="rounded-2xl border border-red-700/60 bg-red-900/20 p-4 sm:p-6 text-sm space-y-3">
+        <div>{shared.error}</div>
+        <button className="rounded-xl border border-neutral-700 px-3 py-2 hover:bg-neutral-800" onClick={onClose}>{t("share.back")}</button>
+      </section>
+    );
+  }
+
+  const { snapshot } = shared;
+  return (
+    <section className="rounded-2xl border border-indigo-700/60 bg-neutral-900 p-4 sm:p-6 shadow-xl shadow-black/30 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-xs opacity-70">{t("share.received")}{snapshot.at && ` · ${formatDate(snapshot.at)}`}</div>
+          <h2 className="text-lg font-semibold">{snapshot.title || t("share.defaultTitle")} <span className="text-sm font-normal opacity-60">({items.length})</span></h2>
+          {snapshot.dropped > 0 && <div className="text-xs text-amber-400">{t("share.dropped", { count: snapshot.dropped })}</div>}
+        </div>
+        <button className="rounded-xl border border-neutral-700 px-3 py-2 text-sm hover:bg-neutral-800" onClick={onClose}>{t("share.close")}</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={useOwnRef} onChange={e=>setUseOwnRef(e.target.checked)}/>
+          {t("share.ownRef")}
+        </label>
+        {useOwnRef && <input value={ownRef} onChange={e=>setOwnRef(e.target.value)} className="w-32 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 font-mono"/>}
+        <div className="ml-auto flex items-center gap-2">
+          <button className="rounded-lg border border-neutral-700 px-2 py-1 hover:bg-neutral-800" onClick={()=>setPicked(picked.size === items.length ? new Set() : new Set(items.map((_, i) => i)))}>{picked.size === items.length ? t("common.selectNone") : t("common.selectAll")}</button>
+          <Select value={list} onChange={e=>setList(e.target.value)}>
+            {lists.map(l=> <option key={l} value={l}>{l}</option>)}
+          </Select>
+          <button disabled={!picked.size} className="rounded-xl bg-emerald-600 hover:bg-emerald-500 px-3 py-2 font-medium disabled:opacity-50" onClick={importPicked}>{picked.size ? t("share.importCount", { count: picked.size }) : t("common.import")}</button>
+        </div>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-2 md:grid-cols-3">
+        {items.map((item, i) => {
+          const existing = findDuplicate(products, item);
+          const total = productTotal(item);
+          return (
+            <div key={i} className={classNames("rounded-2xl border border-neutral-800 bg-neutral-900 p-3 text-sm", picked.has(i) && "ring-2 ring-indigo-500")}>
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="text-xs opacity-70 mb-1">{item.shop_type} · <span className="font-mono">{item.id}</span>{item.seller && ` · ${item.seller}`}</div>
+                  <div className="font-medium truncate">{item.title || t("common.untitled")}</div>
+                </div>
+                <input type="checkbox" checked={picked.has(i)} onChange={()=>toggle(i)} className="h-4 w-4"/>
+              </div>
+              <div className="mt-1 text-xs opacity-80">
+                {total !== "" ? currency(total, item.currency || "CNY") : t("share.noPrice")} · {t("count.pieces", { count: productQty(item) })}
+                {item.rating > 0 && ` · ${item.rating}/5`}
+              </div>
+              {(item.variants || []).some(v => v.label) && <div className="mt-1 text-xs opacity-70 truncate">{variantsSummary(item)}</div>}
+              {item.notes && <div className="mt-1 text-xs opacity-70 line-clamp-2">{item.notes}</div>}
+              {(item.qc_links || []).some(looksLikeImageUrl) && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {item.qc_links.filter(looksLikeImageUrl).slice(0, 3).map((l, j) => (
+                    <a key={j} href={l} target="_blank" rel="noreferrer"><img src={l} alt="qc" loading="lazy" className="h-16 w-16 object-cover rounded-lg border border-neutral-700"/></a>
+                  ))}
+                </div>
+              )}
+              <div className="mt-2 flex flex-wrap gap-1">{(item.tags || []).map(tag => <Tag key={tag}>{tag}</Tag>)}</div>
+              <div className="mt-2 flex items-center gap-2">
+                <a href={linkOf(item)} target="_blank" rel="noreferrer" className="flex-1 truncate text-xs hover:underline">{linkOf(item)}</a>
+                <button className="rounded-lg border border-neutral-700 px-2 py-1 text-xs hover:bg-neutral-800" onClick={()=>navigator.clipboard.writeText(linkOf(item))}>{t("common.copy")}</button>
+              </div>
+              {existing && <div className="mt-1 text-xs text-amber-400">{t("bulk.alreadyIn", { list: existing.list })}</div>}
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+function DuplicatesModal({ groups, onMerge, onOpen, onClose }) {
+  return (
+    <Modal title={`${t("duplicates.button")} (${formatNumber(groups.length)})`} onClose={onClose}>
+      {groups.length === 0 ? (
+        <div className="text-sm opacity-70">{t("duplicates.none")}</div>
+      ) : (
+        <div className="space-y-4 max-h-[70vh] overflow-y-auto pr-1">
+          {groups.map(g => <DuplicateGroup key={itemKey(g[0])} group={g} onMerge={onMerge} onOpen={onOpen} />)}
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+function DuplicateGroup({ group, onMerge, onOpen }) {
+  const [winners, setWinners] = useState({});
+  const conflicts = MERGE_SCALARS.filter(({ key, format }) => new Set(group.map(p => String(format ? format(p) : p[key] ?? ""))).size > 1);
+
+  return (
+    <div className="rounded-xl border border-neutral-800 p-3 text-sm">
+      <div className="text-xs opacity-70 mb-2">{group[0].shop_type} · <span className="font-mono">{group[0].id}</span> · {t("count.products", { count: group.length })}</div>
+      <div className="space-y-1">
+        {group.map(p => (
+          <div key={p.uid} className="flex items-center gap-2">
+            <span className="w-24 shrink-0 text-xs opacity-70">{p.list}</span>
+            <span className="flex-1 truncate">{p.title || t("common.untitled")}</span>
+            <span className="text-xs opacity-60">{formatDate(p.created_at)}</span>
+            <button className="rounded-lg border border-neutral-700 px-2 py-0.5 text-xs hover:bg-neutral-800" onClick={()=>onOpen(p)}>{t("common.open")}</button>
+          </div>
+        ))}
+      </div>
+      {conflicts.length > 0 && (
+        <div className="mt-3 grid gap-2 sm:grid-cols-2">
+          {conflicts.map(({ key, label, format }) => (
+            <label key={key} className="flex items-center gap-2">
+              <span className="w-24 shrink-0 text-xs opacity-70">{t(label)}</span>
+              <select value={winners[key] || group[0].uid} onChange={e=>setWinners(w=>({...w, [key]: e.target.value}))} className="flex-1 min-w-0 rounded-lg bg-neutral-800 border border-neutral-700 px-2 py-1 text-xs">
+                {group.map(p => <option key={p.uid} value={p.uid}>{String(format ? format(p) : p[key] ?? "") || "—"}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="mt-3 flex items-center justify-between gap-2">
+        <div className="text-xs opacity-60">{t("duplicates.mergeHint")}</div>
+        <button className="rounded-lg bg-emerald-600 hover:bg-emerald-500 px-3 py-1" onClick={()=>onMerge(group, mergeProducts(group, winners))}>{t("duplicates.merge")}</button>
+      </div>
+    </div>
+  );
+}
+
+// Ctrl+K: every action by name. Fuzzy search, arrows to pick, Enter to run.
+function CommandPalette({ commands, placeholder, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+  const matches = useMemo(() => {
+    if (!query.trim()) return commands;
+    return commands
+      .map(c => ({ c, score: fuzzyScore(query, c.title) }))
+      .filter(x => x.score != null)
+      .sort((a, b) => b.score - a.score)
+      .map(x => x.c);
+  }, [commands, query]);
+  useEffect(() => { listRef.current?.children[active]?.scrollIntoView({ block: "nearest" }); }, [active]);
+
+  function run(command) { onClose(); command.run(); }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") setActive(i => Math.min(matches.length - 1, i + 1));
+    else if (e.key === "ArrowUp") setActive(i => Math.max(0, i - 1));
+    else if (e.key === "Enter") { if (matches[active]) run(matches[active]); }
+    else if (e.key === "Escape") onClose();
+    else return;
+    e.preventDefault();
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/60 p-4 pt-[12vh]" onClick={onClose}>
+      <div className="w-full max-w-xl rounded-2xl border border-neutral-700 bg-neutral-900 shadow-2xl shadow-black/50" onClick={e=>e.stopPropagation()}>
+        <input autoFocus value={query} onChange={e=>{ setQuery(e.target.value); setActive(0); }} onKeyDown={onKeyDown} placeholder={placeholder} className="w-full rounded-t-2xl border-b border-neutral-800 bg-transparent px-4 py-3 focus:outline-none"/>
+        <div ref={listRef} className="max-h-[50vh] overflow-y-auto p-1">
+          {matches.map((c, i) => (
+            <button key={c.id} onMouseMove={()=>setActive(i)} onClick={()=>run(c)} className={classNames("flex w-full items-center gap-3 rounded-xl px-3 py-2 text-left text-sm", i === active && "bg-neutral-800")}>
+              <span className="flex-1 truncate">{c.title}</span>
+              {c.keys && <Keys keys={c.keys}/>}
+              <span className="shrink-0 text-xs opacity-50">{c.group}</span>
+            </button>
+          ))}
+          {!matches.length && <div className="px-3 py-2 text-sm opacity-60">{t("palette.noMatch")}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Keys({ keys }) {
+  return (
+    <span className="inline-flex shrink-0 gap-1">
+      {keys.map(k => <kbd key={k} className="rounded border border-neutral-700 bg-neutral-800 px-1.5 py-0.5 font-mono text-[11px]">{k.startsWith("keys.") ? t(k) : k}</kbd>)}
+    </span>
+  );
+}
+
+function ShortcutsHelp({ onClose }) {
+  return (
+    <Modal title={t("keys.title")} onClose={onClose}>
+      <div className="grid gap-4 sm:grid-cols-2 text-sm">
+        {SHORTCUTS.map(g => (
+          <div key={g.group}>
+            <div className="mb-2 text-xs uppercase tracking-wide opacity-60">{t(g.group)}</div>
+            <ul className="space-y-1.5">
+              {g.items.map(x => (
+                <li key={x.label} className="flex items-center justify-between gap-3">
+                  <span className="opacity-80">{t(x.label)}</span>
+                  <span className="flex gap-2">{x.keys.map(keys => <Keys key={keys.join("+")} keys={keys}/>)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </Modal>
+  );
+}
+
 function Modal({ title, children, onClose }) {
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
       <div className="w-full max-w-2xl rounded-2xl border border-neutral-700 bg-neutral-900 p-4" onClick={e=>e.stopPropagation()}>
         <div className="flex items-center justify-between mb-3">
           <h3 className="text-lg font-semibold">{title}</h3>
-          <button className="rounded-lg border border-neutral-700 px-2 py-1 text-sm" onClick={onClose}>Fermer</button>
+          <button className="rounded-lg border border-neutral-700 px-2 py-1 text-sm" onClick={onClose}>{t("common.close")}</button>
         </div>
         {children}
       </div>
@@ -0,0 +1,1020 @@
+/**
+ * Mulebuy core — everything that turns links into products without a browser:
+ * link parsing and conversion (shops, agents, refs), product factories and
+ * schema upgrades, sorting, list timeline, duplicates, CSV, backup import and share links.
+ * Used by the web app (App.jsx) and the command-line tool (bin/mulebuy.js);
+ * keep it free of React, DOM and storage access.
+ */
+
+// ---------------------------- Types & Constants ----------------------------
+import { getLocale, t } from "./i18n.js";
+
+export const SCHEMA_VERSION = 7;
+
+// Lists are user-editable (Settings → Listes); products point at them by name.
+// The built-in ids never change, so stage-bound features (parcels pick from
+// "ordered", lead times run "ordered" → "received") follow renames.
+export const DEFAULT_LISTS = [
+  { id: "wishlist", name: "Wishlist", color: "sky" },
+  { id: "to_buy", name: "To Buy", color: "amber" },
+  { id: "ordered", name: "Ordered", color: "indigo" },
+  { id: "received", name: "Received", color: "emerald" },
+  { id: "archived", name: "Archived", color: "neutral" },
+];
+
+// Shop prices are in yuan; the rest is what the team pays in.
+export const CURRENCIES = ["CNY", "EUR", "USD", "GBP"];
+
+export const DEFAULT_SORT = "created_at_desc";
+
+// Labels here and in the other option lists below are message keys (see i18n.js).
+export const SORTS = [
+  { id: "created_at_desc", label: "sort.newest" },
+  { id: "created_at_asc", label: "sort.oldest" },
+  { id: "title_asc", label: "sort.titleAsc" },
+  { id: "title_desc", label: "sort.titleDesc" },
+  { id: "price_asc", label: "sort.priceAsc" },
+  { id: "price_desc", label: "sort.priceDesc" },
+  { id: "shop_type", label: "sort.shopType" },
+  { id: "in_list_longest", label: "sort.inListLongest" },
+  { id: "in_list_newest", label: "sort.inListNewest" },
+];
+
+// "Time in current list" filter, in days.
+export const IN_LIST_FILTERS = [0, 7, 14, 30, 60];
+
+export const DEFAULT_REF = "200084174";
+
+export const DEFAULT_SETTINGS = {
+  refProfiles: [{ id: "default", name: "", ref: DEFAULT_REF }], // unnamed: see profileName()
+  activeProfile: "default",
+  refRules: [], // { id, kind: "shop" | "tag", value, profileId }, first match wins
+  defaultList: "Wishlist",
+  compactCards: false,
+  showAgentLinks: false,
+  displayCurrency: "EUR",
+  language: "", // "fr" | "en", "" follows the browser (see i18n.js)
+  // how many CNY one unit of each currency is worth; edited by hand in Settings
+  rates: { CNY: 1, EUR: 7.8, USD: 7.2, GBP: 9.2 },
+  serviceFeePct: 0,
+  shippingLines: [], // see newShippingLine() in App.jsx
+  savedViews: [], // { id, name, query, sortId }
+  lists: DEFAULT_LISTS,
+  boardOrder: {}, // list id → product uids, manual Kanban order
+  // imported photos: longest side in px, encoding (WebP falls back to JPEG), thumbnail side
+  photos: { maxSize: 2048, format: "image/webp", quality: 0.82, thumbSize: 320 },
+};
+
+// ---------------------------- Utils ---------------------------------------
+export function uid() {
+  return crypto.randomUUID?.() || Math.random().toString(36).slice(2);
+}
+
+function isObject(x) { return !!x && typeof x === "object" && !Array.isArray(x); }
+function text(v) { return typeof v === "string" ? v : ""; }
+// A number, or a string holding one; `fallback` otherwise.
+function finite(v, fallback) {
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  return typeof n === "number" && Number.isFinite(n) ? n : fallback;
+}
+
+// Every link family we know how to read. A recognizer matches on host (exact or
+// any subdomain), then looks for the item id in the query string (and the query
+// part of the hash, used by some mobile pages) before trying its path patterns.
+// Order matters: the first recognizer whose host matches wins.
+const SHOP_RECOGNIZERS = [
+  {
+    name: "Taobao",
+    hosts: ["m.tb.cn", "e.tb.cn", "tb.cn"],
+    shortLink: true,
+  },
+  {
+    name: "Tmall",
+    hosts: ["tmall.com", "tmall.hk"],
+    shop_type: "taobao",
+    params: ["id", "itemid", "item_id"],
+    paths: [/\/item\/(\d+)/],
+    example: "detail.tmall.com/item.htm?id=...",
+  },
+  {
+    name: "Taobao",
+    hosts: ["taobao.com"],
+    shop_type: "taobao",
+    params: ["id", "itemid", "item_id"],
+    paths: [/\/item\/(\d+)\.htm/, /\/i(\d+)\.htm/, /\/detail\/(\d+)/],
+    example: "item.taobao.com/item.htm?id=...",
+  },
+  {
+    name: "Weidian",
+    hosts: ["weidian.com", "vdian.com", "youshop10.com"],
+    shop_type: "weidian",
+    params: ["itemid", "item_id", "id"],
+    paths: [/\/item\/(\d+)/, /\/item_(\d+)/],
+    example: "weidian.com/item.html?itemID=...",
+  },
+  {
+    name: "1688",
+    hosts: ["1688.com"],
+    shop_type: "ali_1688",
+    params: ["offerid", "offer_id", "id"],
+    paths: [/\/offer\/(\d+)\.html/],
+    example: "detail.1688.com/offer/....html",
+  },
+];
+
+// Codes the agents use for the marketplace, normalised to Mulebuy's shop_type.
+const SHOP_TYPE_ALIASES = {
+  taobao: "taobao", tb: "taobao", tmall: "taobao",
+  weidian: "weidian", wd: "weidian", micro: "weidian",
+  ali_1688: "ali_1688", "1688": "ali_1688", al: "ali_1688", alibaba: "ali_1688",
+};
+const HOOBUY_CODES = { 0: "ali_1688", 1: "taobao", 2: "weidian" };
+
+export function normShopType(v) { return SHOP_TYPE_ALIASES[String(v || "").toLowerCase()] || null; }
+
+// Shopping agents whose links we can read back and re-emit. `read` gets the URL and
+// its lower-cased params and returns { shop_type, id }, or a string when the agent
+// simply wraps the original shop URL. `link` builds the equivalent agent link.
+const readShopTypeParams = (_url, q) => ({ shop_type: normShopType(q.get("shop_type") || q.get("platform") || q.get("source")), id: q.get("id") || q.get("itemid") });
+const readWrappedUrl = key => (_url, q) => q.get(key) || q.get("url");
+export const AGENTS = [
+  { id: "mulebuy", name: "Mulebuy", hosts: ["mulebuy.com"], read: readShopTypeParams, link: toMulebuy },
+  { id: "cnfans", name: "CNFans", hosts: ["cnfans.com"], read: readShopTypeParams,
+    link: ({ shop_type, id }) => `https://cnfans.com/product/?shop_type=${shop_type}&id=${id}` },
+  { id: "joyabuy", name: "Joyabuy", hosts: ["joyabuy.com"], read: readShopTypeParams,
+    link: ({ shop_type, id }) => `https://joyabuy.com/product/?shop_type=${shop_type}&id=${id}` },
+  { id: "orientdig", name: "Orientdig", hosts: ["orientdig.com"], read: readShopTypeParams,
+    link: ({ shop_type, id }) => `https://orientdig.com/product/?shop_type=${shop_type}&id=${id}` },
+  { id: "kakobuy", name: "Kakobuy", hosts: ["kakobuy.com"], read: readWrappedUrl("url"),
+    link: p => `https://www.kakobuy.com/item/details?url=${encodeURIComponent(shopUrl(p))}` },
+  { id: "acbuy", name: "ACBuy", hosts: ["acbuy.com"],
+    read: (url, q) => q.get("url") || readShopTypeParams(url, q),
+    link: ({ shop_type, id }) => `https://www.acbuy.com/product?id=${id}&source=${{ taobao: "TB", weidian: "WD", ali_1688: "AL" }[shop_type]}` },
+  { id: "hoobuy", name: "Hoobuy", hosts: ["hoobuy.com"],
+    read: url => { const m = url.pathname.match(/\/product\/(\d)\/(\d+)/); return m ? { shop_type: HOOBUY_CODES[m[1]], id: m[2] } : null; },
+    link: ({ shop_type, id }) => `https://hoobuy.com/product/${Object.keys(HOOBUY_CODES).find(k => HOOBUY_CODES[k] === shop_type)}/${id}` },
+  { id: "sugargoo", name: "Sugargoo", hosts: ["sugargoo.com"], read: readWrappedUrl("productlink"),
+    link: p => `https://www.sugargoo.com/#/home/productDetail?productLink=${encodeURIComponent(shopUrl(p))}` },
+  { id: "superbuy", name: "Superbuy", hosts: ["superbuy.com"], read: readWrappedUrl("url"),
+    link: p => `https://www.superbuy.com/en/page/buy/?url=${encodeURIComponent(shopUrl(p))}` },
+  { id: "cssbuy", name: "CSSBuy", hosts: ["cssbuy.com"],
+    read: url => {
+      const m = url.pathname.match(/\/item-(?:(micro|1688)-)?(\d+)\.html/);
+      return m ? { shop_type: normShopType(m[1] || "taobao"), id: m[2] } : null;
+    },
+    link: ({ shop_type, id }) => `https://www.cssbuy.com/item-${{ taobao: "", weidian: "micro-", ali_1688: "1688-" }[shop_type]}${id}.html` },
+];
+
+const URL_IN_TEXT = /https?:\/\/[^\s"'<>「」【】()[\]]+/gi;
+
+// Shared links often come wrapped in prose ("【淘宝】https://... 「title」") or
+// without a scheme; keep only the URL itself.
+function extractUrl(raw) {
+  const s = raw?.trim();
+  if (!s) return "";
+  const m = s.match(URL_IN_TEXT);
+  if (m) return m[0];
+  return /^[\w.-]+\.[a-z]{2,}\//i.test(s) ? `https://${s.split(/\s/)[0]}` : s;
+}
+
+// Every URL in a block of text (Discord message, Reddit post, spreadsheet paste).
+// Spreadsheet cells glued with commas are split, trailing punctuation dropped.
+export function extractUrls(text) {
+  return (String(text || "").match(URL_IN_TEXT) || [])
+    .flatMap(u => u.split(/,(?=https?:\/\/)/i))
+    .map(u => u.replace(/[.,;:!?]+$/, ""));
+}
+
+// Whether a URL points at a marketplace or agent we know, so bulk scans can skip
+// the image hosts and other links mixed into the same message.
+export function isShopOrAgentUrl(u) {
+  try {
+    const host = new URL(u).hostname.toLowerCase();
+    return [...AGENTS, ...SHOP_RECOGNIZERS].some(r => hostMatches(host, r.hosts));
+  } catch { return false; }
+}
+
+function hostMatches(host, hosts) {
+  return hosts.some(h => host === h || host.endsWith("." + h));
+}
+
+function urlParams(url) {
+  const params = new Map();
+  const hashQuery = url.hash.includes("?") ? url.hash.slice(url.hash.indexOf("?")) : "";
+  for (const src of [url.search, hashQuery]) {
+    for (const [k, v] of new URLSearchParams(src)) {
+      const key = k.toLowerCase();
+      if (!params.has(key)) params.set(key, v.trim());
+    }
+  }
+  return params;
+}
+
+export function parseShopUrl(raw) {
+  const s = extractUrl(raw);
+  if (!s) throw new Error(t("link.missing"));
+  let url;
+  try { url = new URL(s); } catch { throw new Error(t("link.invalid")); }
+  const host = url.hostname.toLowerCase();
+  const agent = AGENTS.find(a => hostMatches(host, a.hosts));
+  if (agent) return { ...parseAgentUrl(agent, url), agent: agent.id };
+  const rec = SHOP_RECOGNIZERS.find(r => hostMatches(host, r.hosts));
+  if (!rec) throw new Error(t("link.unsupported"));
+  if (rec.shortLink) throw new Error(t("link.shortLink", { shop: rec.name }));
+
+  const q = urlParams(url);
+  let id = rec.params.map(k => q.get(k)).find(Boolean);
+  if (!id) {
+    for (const re of rec.paths) {
+      const m = url.pathname.match(re);
+      if (m) { id = m[1]; break; }
+    }
+  }
+  if (!id) throw new Error(t("link.missingId", { shop: rec.name, param: rec.params[0], example: rec.example }));
+  if (!/^\d+$/.test(id)) throw new Error(t("link.badId", { shop: rec.name, id }));
+  return { shop_type: rec.shop_type, id };
+}
+
+export function parseAgentUrl(agent, url) {
+  const got = agent.read(url, urlParams(url));
+  if (typeof got === "string") return parseShopUrl(got);
+  if (!got?.shop_type || !got?.id) throw new Error(t("link.agentNoItem", { agent: agent.name }));
+  if (!/^\d+$/.test(got.id)) throw new Error(t("link.badId", { shop: agent.name, id: got.id }));
+  return { shop_type: got.shop_type, id: got.id };
+}
+
+// No ref → a link without referral; callers pick the ref (refFor) rather than
+// falling back to some default here.
+export function toMulebuy({ shop_type, id, ref }) {
+  const r = (ref || "").trim();
+  return `https://mulebuy.com/product/?shop_type=${shop_type}&id=${id}${r ? `&ref=${encodeURIComponent(r)}` : ""}`;
+}
+
+// Canonical marketplace URL for an item (Tmall items open fine through item.taobao.com).
+export function shopUrl({ shop_type, id }) {
+  switch (shop_type) {
+    case "weidian": return `https://weidian.com/item.html?itemID=${id}`;
+    case "ali_1688": return `https://detail.1688.com/offer/${id}.html`;
+    default: return `https://item.taobao.com/item.htm?id=${id}`;
+  }
+}
+
+export function agentLinks(parsed) {
+  return AGENTS.filter(a => a.id !== "mulebuy").map(a => ({ id: a.id, name: a.name, url: a.link(parsed) }));
+}
+
+export function agentName(id) { return AGENTS.find(a => a.id === id)?.name || id; }
+
+export function looksLikeImageUrl(u) {
+  try {
+    const url = new URL(u);
+    const ext = url.pathname.toLowerCase();
+    const okExt = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp", ".avif"].some(e => ext.endsWith(e));
+    const hosts = ["i.imgur.com", "imgur.com", "catbox.moe", "files.catbox.moe", "postimg.cc", "i.ibb.co", "cdn.discordapp.com", "images.weserv.nl"];
+    return okExt || hosts.some(h => url.hostname.endsWith(h));
+  } catch { return false; }
+}
+
+export function currency(n, code = "EUR") {
+  if (n == null || n === "") return "—";
+  const num = Number(n);
+  if (Number.isNaN(num)) return String(n);
+  return new Intl.NumberFormat(getLocale(), { style: "currency", currency: code }).format(num);
+}
+
+// Convert through CNY using the user's rates; null when the amount is empty or a
+// rate is missing, so callers can show "—" instead of a wrong number.
+export function convertAmount(n, from, to, rates) {
+  if (n == null || n === "") return null;
+  const num = Number(n);
+  const rf = rates?.[from || "CNY"], rt = rates?.[to];
+  if (Number.isNaN(num) || !rf || !rt) return null;
+  return (num * rf) / rt;
+}
+
+export function newVariant(patch) {
+  return { id: uid(), label: "", qty: 1, price: "", buyer: "", ...patch };
+}
+
+// Sum of qty × unit price over the priced variant lines, in the product currency;
+// "" when no line has a price yet.
+export function productTotal(p) {
+  const priced = (p.variants || []).filter(v => v.price !== "" && v.price != null);
+  if (!priced.length) return "";
+  return priced.reduce((a, v) => a + (Number(v.qty) || 0) * (Number(v.price) || 0), 0);
+}
+
+export function productQty(p) { return (p.variants || []).reduce((a, v) => a + (Number(v.qty) || 0), 0); }
+
+export function variantsSummary(p) {
+  return (p.variants || [])
+    .map(v => [v.label || "—", `×${v.qty}`, v.price !== "" ? `@ ${v.price} ${p.currency || ""}` : "", v.buyer ? `(${v.buyer})` : ""].filter(Boolean).join(" "))
+    .join("; ");
+}
+
+export function priceIn(p, to, rates) { return convertAmount(productTotal(p), p.currency, to, rates); }
+
+export function sumPrices(products, to, rates) {
+  return products.reduce((acc, p) => acc + (priceIn(p, to, rates) || 0), 0);
+}
+
+// ---------------------------- CSV -----------------------------------------
+// RFC 4180-ish: quoted cells, "" escapes, newlines inside quotes. The delimiter
+// (, ; or tab — Sheets, Excel FR and copy/paste respectively) is sniffed from line 1.
+export function parseCSV(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delim = [",", ";", "\t"].map(d => [d, firstLine.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+  const rows = [];
+  let row = [], cell = "", inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (inQuotes) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else cell += c;
+    } else if (c === '"') inQuotes = true;
+    else if (c === delim) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// BOM first so Excel reads the accents as UTF-8.
+export function toCSV(rows) { return "\uFEFF" + rows.map(r => r.map(csvCell).join(",")).join("\r\n"); }
+
+// "¥ 128.50", "128,5", "CNY 99" → number; anything unreadable → "".
+export function parsePrice(v) {
+  const m = String(v ?? "").replace(/\s/g, "").match(/\d+(?:[.,]\d+)?/);
+  return m ? Number(m[0].replace(",", ".")) : "";
+}
+
+// ---------------------------- Migration -----------------------------------
+// Settings saved before referral profiles had a single `defaultRef`; it becomes the first profile.
+// The built-in profile used to be saved under its French name, now worded by profileName().
+export function upgradeSettings(s) {
+  if (!s) return s;
+  let x = s;
+  if (x.defaultRef != null) {
+    const { defaultRef, ...rest } = x;
+    x = Array.isArray(rest.refProfiles) ? rest : { ...rest, refProfiles: [{ id: "default", name: "", ref: defaultRef }], activeProfile: "default" };
+  }
+  const oldName = p => p?.id === "default" && p.name === "Personnel";
+  if (Array.isArray(x.refProfiles) && x.refProfiles.some(oldName)) x = { ...x, refProfiles: x.refProfiles.map(p => oldName(p) ? { ...p, name: "" } : p) };
+  return x;
+}
+
+// Settings from a backup, after the upgrades above: only the known keys, each with the
+// shape the app expects; anything missing or malformed falls back to DEFAULT_SETTINGS.
+const hasIdAnd = (...keys) => x => isObject(x) && typeof x.id === "string" && x.id && keys.every(k => typeof x[k] === "string");
+const SETTINGS_LISTS = {
+  refProfiles: hasIdAnd("ref"),
+  refRules: x => hasIdAnd("value", "profileId")(x) && (x.kind === "shop" || x.kind === "tag"),
+  shippingLines: hasIdAnd("name"),
+  savedViews: hasIdAnd("name", "query"),
+  lists: x => hasIdAnd("name")(x) && x.name !== "",
+};
+
+export function normalizeSettings(s) {
+  const x = upgradeSettings(isObject(s) ? s : {});
+  const out = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+    const v = x[key];
+    if (SETTINGS_LISTS[key]) {
+      const kept = Array.isArray(v) ? v.filter(SETTINGS_LISTS[key]) : [];
+      out[key] = kept.length || !fallback.length ? kept : fallback;
+    } else if (isObject(fallback)) {
+      out[key] = isObject(v) ? v : fallback;
+    } else {
+      out[key] = typeof v === typeof fallback ? v : fallback;
+    }
+  }
+  out.refProfiles = out.refProfiles.map(p => ({ ...p, name: text(p.name) }));
+  out.shippingLines = out.shippingLines.map(l => ({
+    ...l,
+    currency: CURRENCIES.includes(l.currency) ? l.currency : "CNY",
+    firstWeightG: finite(l.firstWeightG, 500), firstPrice: finite(l.firstPrice, 0), perKg: finite(l.perKg, 0),
+    stepG: finite(l.stepG, 100), volumetricDivisor: finite(l.volumetricDivisor, 6000),
+  }));
+  out.rates = { ...DEFAULT_SETTINGS.rates, ...Object.fromEntries(Object.entries(out.rates).filter(([, r]) => finite(r, 0) > 0).map(([c, r]) => [c, Number(r)])) };
+  out.photos = Object.fromEntries(Object.entries(DEFAULT_SETTINGS.photos).map(([k, d]) => [k, typeof out.photos[k] === typeof d ? out.photos[k] : d]));
+  out.boardOrder = Object.fromEntries(Object.entries(out.boardOrder).filter(([, uids]) => Array.isArray(uids) && uids.every(u => typeof u === "string")));
+  if (!CURRENCIES.includes(out.displayCurrency)) out.displayCurrency = DEFAULT_SETTINGS.displayCurrency;
+  if (!out.refProfiles.some(p => p.id === out.activeProfile)) out.activeProfile = out.refProfiles[0].id;
+  if (!out.lists.some(l => l.name === out.defaultList)) out.defaultList = out.lists[0].name;
+  return out;
+}
+
+// v1 "saved" records (no list, no schema version) → a v2 product.
+export function legacyProduct(x) {
+  return {
+    uid: x.uid || uid(),
+    created_at: x.created_at || new Date().toISOString(),
+    list: DEFAULT_SETTINGS.defaultList,
+    shop_type: x.shop_type,
+    id: x.id,
+    ref: x.ref || DEFAULT_REF,
+    mulebuy_url: x.mulebuy_url || toMulebuy({ shop_type: x.shop_type, id: x.id, ref: x.ref || DEFAULT_REF }),
+    title: x.title || "",
+    seller: "",
+    size: "",
+    price: "",
+    rating: 0,
+    notes: x.notes || "",
+    tags: x.tags || [],
+    qc_links: x.qc_links || [],
+    images: x.images || [],
+    _v: 2,
+  };
+}
+
+function isLegacyRecord(x) { return !x._v && !("list" in x); }
+
+// Why an incoming product can't be used, or "".
+function productShapeError(x) {
+  if (!x || typeof x !== "object" || Array.isArray(x)) return t("backup.notObject");
+  for (const k of ["tags", "qc_links", "images", "variants", "timeline"]) {
+    if (x[k] != null && !Array.isArray(x[k])) return t("backup.notArray", { key: k });
+  }
+  if (x.shop_type != null && typeof x.shop_type !== "string") return t("backup.badField", { key: "shop_type" });
+  if (x.id != null && typeof x.id !== "string" && typeof x.id !== "number") return t("backup.badField", { key: "id" });
+  if (!x.uid && !x.id && !x.title && !x.mulebuy_url) return t("backup.noIdentity");
+  if ((x._v || 0) > SCHEMA_VERSION) return t("backup.newerSchema", { version: String(x._v) });
+  return "";
+}
+
+// A backup file (current export, bare product array, or v1 "saved" array) through
+// the same upgrades as local data. Unusable products are dropped and reported.
+// → { products, settings, parcels, errors }; missing sections are null.
+export function normalizeBackup(data) {
+  const raw = Array.isArray(data) ? { products: data } : data;
+  if (!raw || typeof raw !== "object") throw new Error(t("backup.notData"));
+  if (raw.products != null && !Array.isArray(raw.products)) throw new Error(t("backup.notArray", { key: "products" }));
+  const errors = [];
+  const products = [];
+  const now = new Date().toISOString();
+  (raw.products || []).forEach((x, i) => {
+    const error = productShapeError(x);
+    if (error) { errors.push(t("backup.productSkipped", { n: i + 1, error })); return; }
+    const base = isLegacyRecord(x) ? legacyProduct(x) : { ...x, uid: x.uid || uid(), created_at: x.created_at || now, list: x.list || DEFAULT_SETTINGS.defaultList };
+    products.push(upgradeProduct({ ...base, id: base.id == null ? "" : String(base.id) }));
+  });
+  const listOf = (key, ok) => {
+    if (raw[key] == null) return null;
+    if (!Array.isArray(raw[key])) { errors.push(t("backup.keySkipped", { key })); return null; }
+    return raw[key].filter(ok);
+  };
+  return {
+    products,
+    settings: isObject(raw.settings) ? normalizeSettings(raw.settings) : null,
+    parcels: listOf("parcels", x => isObject(x) && x.uid && Array.isArray(x.items)),
+    errors,
+  };
+}
+
+// Per-record upgrades, applied on load and on import. Each step bumps `_v`.
+export function upgradeProduct(p) {
+  let x = p;
+  if ((x._v || 2) < 3) {
+    // v2 kept a free-text price typed in euros
+    x = { ...x, price: parsePrice(x.price), currency: x.currency || "EUR", _v: 3 };
+  }
+  if (x._v < 4) {
+    // v4 keeps photos in IndexedDB; the App moves any inline data: URL it sees
+    x = { ...x, _v: 4 };
+  }
+  if (x._v < 5) {
+    // v5 replaces the single size/price with variant lines
+    const { size, price, ...rest } = x;
+    const had = (size || "") !== "" || (price ?? "") !== "";
+    x = { ...rest, variants: x.variants || [newVariant(had ? { label: size || "", price: price ?? "" } : {})], _v: 5 };
+  }
+  if (x._v < 6) {
+    // v6 records list transitions; the only date we know is creation
+    x = { ...x, timeline: x.timeline || [{ list: x.list, at: x.created_at, note: "" }], _v: 6 };
+  }
+  if (x._v < 7) {
+    // v7 adds the QC review: photo sets with verdicts, annotations, reference photo
+    x = { ...x, qc_sets: x.qc_sets || [], qc_marks: x.qc_marks || {}, ref_photo: x.ref_photo || "", _v: 7 };
+  }
+  return x;
+}
+
+export function upgradeProducts(products) { return products.map(upgradeProduct); }
+
+// Products whose object changed get a fresh `updated_at`, unless the change set
+// one itself (an import keeping the other side's date). New products go without:
+// their creation date stands in (see modifiedAt).
+export function stampUpdated(prev, next) {
+  if (next === prev) return prev;
+  const before = new Map(prev.map(p => [p.uid, p]));
+  const now = new Date().toISOString();
+  return next.map(p => {
+    const old = before.get(p.uid);
+    return old && old !== p && old.updated_at === p.updated_at ? { ...p, updated_at: now } : p;
+  });
+}
+
+// ---------------------------- Helpers (domain) ----------------------------
+export function bySort(sortId, rates) {
+  const price = p => priceIn(p, "CNY", rates) || 0;
+  return (a, b) => {
+    switch (sortId) {
+      case "created_at_desc": return (b.created_at||"").localeCompare(a.created_at||"");
+      case "created_at_asc": return (a.created_at||"").localeCompare(b.created_at||"");
+      case "title_asc": return (a.title||"").localeCompare(b.title||"");
+      case "title_desc": return (b.title||"").localeCompare(a.title||"");
+      case "price_asc": return price(a) - price(b);
+      case "price_desc": return price(b) - price(a);
+      case "shop_type": return (a.shop_type||"").localeCompare(b.shop_type||"");
+      case "in_list_longest": return listEnteredAt(a).localeCompare(listEnteredAt(b));
+      case "in_list_newest": return listEnteredAt(b).localeCompare(listEnteredAt(a));
+      default: return 0;
+    }
+  };
+}
+
+// ---------------- Converter
+// A link → the converter's result. A one-off `override` ref beats the profiles and rules.
+export function convertLink(input, settings, override = "") {
+  const parsed = parseShopUrl(input);
+  const { profile, rule } = profileFor(settings, parsed);
+  const ref = override.trim() || profile?.ref || "";
+  const via = override.trim() ? t("ref.oneOff") : [profileName(profile), rule && t("ref.viaRule", { rule: describeRule(rule) })].filter(Boolean).join(", ");
+  return { ...parsed, ref, url: toMulebuy({ ...parsed, ref }), via };
+}
+
+// ---------------- Referral profiles
+// Mulebuy refs are numeric user ids.
+export const REF_FORMAT = /^\d{5,12}$/;
+
+// "" when fine, otherwise what is wrong with it (an empty ref is allowed but worth a warning).
+export function refError(ref) {
+  const r = (ref || "").trim();
+  if (!r) return t("ref.empty");
+  return REF_FORMAT.test(r) ? "" : t("ref.badFormat");
+}
+
+export function refProfile(settings, id) {
+  const profiles = settings.refProfiles || [];
+  return profiles.find(p => p.id === id) || profiles.find(p => p.id === settings.activeProfile) || profiles[0] || null;
+}
+
+// The built-in profile is shown in the reader's language until it is given a name.
+export function profileName(profile) {
+  return profile?.name || (profile?.id === "default" ? t("ref.defaultProfile") : "");
+}
+
+export function activeRef(settings) { return refProfile(settings, settings.activeProfile)?.ref || ""; }
+
+// The profile a product (or a freshly parsed link, which has no tags yet) should
+// use: the first rule matching its shop or one of its tags, else the active profile.
+export function profileFor(settings, item) {
+  const rule = (settings.refRules || []).find(r => r.kind === "shop" ? r.value === item.shop_type : (item.tags || []).includes(r.value));
+  return { profile: refProfile(settings, rule ? rule.profileId : settings.activeProfile), rule: rule || null };
+}
+
+export function refFor(settings, item) { return profileFor(settings, item).profile?.ref || ""; }
+
+export function describeRule(rule) { return t(rule.kind === "shop" ? "ref.ruleShop" : "ref.ruleTag", { value: rule.value }); }
+
+// ---------------- Timeline
+// Moving a product appends a dated entry; staying in the same list is a no-op.
+export function withList(p, list, note = "", at = new Date().toISOString()) {
+  if (p.list === list) return p;
+  return { ...p, list, timeline: [...(p.timeline || []), { list, at, note }] };
+}
+
+// When the product entered its current list (latest matching entry).
+function listEnteredAt(p) {
+  const entries = (p.timeline || []).filter(e => e.list === p.list);
+  return entries[entries.length - 1]?.at || p.created_at || "";
+}
+
+// First time the product entered `list`, or null if it never did.
+export function firstEnteredAt(p, list) {
+  return (p.timeline || []).find(e => e.list === list)?.at || null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function daysInList(p, now = Date.now()) {
+  const at = Date.parse(listEnteredAt(p));
+  return Number.isNaN(at) ? 0 : Math.floor((now - at) / DAY_MS);
+}
+
+function daysBetween(a, b) { return (Date.parse(b) - Date.parse(a)) / DAY_MS; }
+
+// Average days between first entering `from` and first entering `to` afterwards,
+// overall and per seller. Products missing either date are left out.
+export function leadTimes(products, from = "Ordered", to = "Received") {
+  const bySeller = new Map();
+  const all = [];
+  for (const p of products) {
+    const start = firstEnteredAt(p, from);
+    const end = start && (p.timeline || []).find(e => e.list === to && e.at >= start)?.at;
+    if (!end) continue;
+    const days = daysBetween(start, end);
+    all.push(days);
+    const seller = p.seller?.trim() || t("stats.unknownSeller");
+    bySeller.set(seller, [...(bySeller.get(seller) || []), days]);
+  }
+  const avg = xs => xs.reduce((a, x) => a + x, 0) / xs.length;
+  return {
+    count: all.length,
+    average: all.length ? avg(all) : null,
+    perSeller: Array.from(bySeller, ([key, xs]) => ({ key, count: xs.length, average: avg(xs), max: Math.max(...xs) }))
+      .sort((a, b) => a.average - b.average),
+  };
+}
+
+// Products are the same shop item when shop_type + id match (ref/url don't matter).
+export function itemKey(p) { return p?.shop_type && p?.id ? `${p.shop_type}:${p.id}` : null; }
+
+export function findDuplicate(products, item, exceptUid) {
+  const key = itemKey(item);
+  if (!key) return null;
+  return products.find(p => p.uid !== exceptUid && itemKey(p) === key) || null;
+}
+
+// Groups of 2+ products sharing an item key, oldest first inside each group.
+export function duplicateGroups(products) {
+  const byKey = new Map();
+  for (const p of products) {
+    const key = itemKey(p);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(p);
+  }
+  return Array.from(byKey.values())
+    .filter(g => g.length > 1)
+    .map(g => [...g].sort((a, b) => (a.created_at||"").localeCompare(b.created_at||"")));
+}
+
+// Scalar fields where one product has to win during a merge.
+export const MERGE_SCALARS = [
+  { key: "title", label: "field.title" },
+  { key: "list", label: "field.list" },
+  { key: "seller", label: "field.seller" },
+  { key: "variants", label: "field.variants", with: ["currency"], format: variantsSummary },
+  { key: "rating", label: "field.rating" },
+  { key: "ref", label: "field.ref" },
+  { key: "mulebuy_url", label: "field.mulebuyUrl" },
+];
+
+// Merge a duplicate group into its oldest product. `winners` maps a scalar field to
+// the uid whose value is kept (default: the oldest); collections and notes are unioned.
+export function mergeProducts(group, winners = {}) {
+  const [base] = group;
+  const merged = { ...base };
+  for (const { key, with: linked = [] } of MERGE_SCALARS) {
+    const from = group.find(p => p.uid === winners[key]) || base;
+    for (const k of [key, ...linked]) merged[k] = from[k];
+  }
+  const union = field => Array.from(new Set(group.flatMap(p => p[field] || [])));
+  merged.tags = union("tags");
+  merged.qc_links = union("qc_links");
+  merged.images = union("images");
+  merged.qc_sets = group.flatMap(p => p.qc_sets || []);
+  merged.qc_marks = Object.assign({}, ...group.map(p => p.qc_marks || {}).reverse());
+  merged.ref_photo = group.map(p => p.ref_photo).find(Boolean) || "";
+  merged.notes = Array.from(new Set(group.map(p => (p.notes || "").trim()).filter(Boolean))).join("\n\n");
+  merged.timeline = group.flatMap(p => p.timeline || []).sort((a, b) => (a.at||"").localeCompare(b.at||""));
+  // `kind` marks the entry for the UI, which words it in the reader's language
+  if (merged.timeline[merged.timeline.length - 1]?.list !== merged.list) merged.timeline.push({ list: merged.list, at: new Date().toISOString(), note: "", kind: "merge" });
+  return merged;
+}
+
+// ---------------- QC review
+// QC photos are the image links plus the local photos. Sets group them (per variant
+// or per warehouse batch) and carry a GL/RL verdict; a photo belongs to one set at
+// most. `qc_marks` holds annotations per photo, in 0–1 coordinates of the image.
+export const QC_VERDICTS = [
+  { id: "GL", label: "GL", title: "qc.glTitle" },
+  { id: "RL", label: "RL", title: "qc.rlTitle" },
+];
+
+export function qcPhotos(p) {
+  return Array.from(new Set([...(p.qc_links || []).filter(looksLikeImageUrl), ...(p.images || [])]));
+}
+
+export function newQcSet(patch = {}) {
+  return { id: uid(), name: "", photos: [], verdict: "", comment: "", decided_at: "", ...patch };
+}
+
+// → [{ set, photos }] per set (photos still on the product), then the unsorted ones with set: null.
+export function qcGroups(p) {
+  const all = qcPhotos(p);
+  const placed = new Set();
+  const groups = (p.qc_sets || []).map(set => {
+    const photos = set.photos.filter(src => all.includes(src) && !placed.has(src));
+    photos.forEach(src => placed.add(src));
+    return { set, photos };
+  });
+  return [...groups, { set: null, photos: all.filter(src => !placed.has(src)) }];
+}
+
+// Puts `src` in set `setId` (null: back to unsorted).
+export function moveQcPhoto(sets, src, setId) {
+  return sets.map(s => {
+    const photos = s.photos.filter(x => x !== src);
+    return { ...s, photos: s.id === setId ? [...photos, src] : photos };
+  });
+}
+
+// "RL" if any set is red-lighted, "pending" while photos wait for a verdict,
+// "GL" once every set is green, "" without photos.
+export function qcStatus(p) {
+  const groups = qcGroups(p).filter(g => g.photos.length);
+  if (!groups.length) return "";
+  if (groups.some(g => g.set?.verdict === "RL")) return "RL";
+  return groups.every(g => g.set?.verdict === "GL") ? "GL" : "pending";
+}
+
+// ---------------- JSON import
+export const IMPORT_STRATEGIES = [
+  { id: "item", label: "import.byItem", hint: "import.byItemHint" },
+  { id: "uid", label: "import.byUid", hint: "import.byUidHint" },
+  { id: "replace", label: "import.replace", hint: "import.replaceHint" },
+];
+
+// Compared field by field when an incoming product meets one of ours; `with`
+// fields travel along (a list change brings its timeline).
+const IMPORT_FIELDS = [
+  { key: "id", label: "field.item", with: ["shop_type"], format: p => `${p.shop_type} ${p.id}` },
+  ...MERGE_SCALARS.map(f => (f.key === "list" ? { ...f, with: ["timeline"] } : f)),
+  { key: "notes", label: "field.notes" },
+  { key: "tags", label: "field.tags", format: p => (p.tags || []).join(", ") },
+  { key: "qc_links", label: "field.qcLinks", format: p => t("count.links", { count: (p.qc_links || []).length }) },
+  { key: "images", label: "field.photos", format: p => t("count.photos", { count: (p.images || []).length }) },
+  { key: "qc_sets", label: "field.qcReview", with: ["qc_marks", "ref_photo"], format: p => (p.qc_sets || []).map(s => `${s.name || "set"} ${s.verdict || "?"}`).join(", ") || "—" },
+];
+
+function modifiedAt(p) {
+  return p.updated_at || (p.timeline || []).reduce((a, e) => (e.at > a ? e.at : a), "") || p.created_at || "";
+}
+
+const fieldValue = (p, f) => JSON.stringify([f.key, ...(f.with || [])].map(k => p[k] ?? null));
+
+// What importing `incoming` would do: { added, conflicts: [{ mine, theirs, fields }], same,
+// removed, uidMap }. uidMap sends incoming uids to the product now standing for them
+// (parcel items follow it). "replace" only counts; the merges pair products by uid
+// or by shop_type + id.
+export function planImport(mine, incoming, strategy) {
+  if (strategy === "replace") {
+    const kept = new Set(incoming.map(p => p.uid));
+    return { added: incoming, conflicts: [], same: 0, removed: mine.filter(p => !kept.has(p.uid)).length, uidMap: new Map() };
+  }
+  const keyOf = strategy === "uid" ? p => p.uid : itemKey;
+  const byKey = new Map();
+  for (const p of mine) if (keyOf(p) && !byKey.has(keyOf(p))) byKey.set(keyOf(p), p);
+  const taken = new Set(mine.map(p => p.uid));
+  const plan = { added: [], conflicts: [], same: 0, removed: 0, uidMap: new Map() };
+  for (const theirs of incoming) {
+    const match = keyOf(theirs) && byKey.get(keyOf(theirs));
+    if (!match) {
+      const added = taken.has(theirs.uid) ? { ...theirs, uid: uid() } : theirs;
+      plan.added.push(added);
+      plan.uidMap.set(theirs.uid, added.uid);
+      taken.add(added.uid);
+      continue;
+    }
+    byKey.delete(keyOf(theirs)); // a second incoming copy of the same item is added, not merged twice
+    plan.uidMap.set(theirs.uid, match.uid);
+    const fields = IMPORT_FIELDS.filter(f => fieldValue(match, f) !== fieldValue(theirs, f));
+    if (fields.length) plan.conflicts.push({ mine: match, theirs, fields });
+    else plan.same++;
+  }
+  return plan;
+}
+
+// `choices[uid][field]` is "mine" | "theirs" | "newest"; unset fields use `fallback`.
+function resolveConflict({ mine, theirs, fields }, choice = {}, fallback = "newest") {
+  const newer = modifiedAt(theirs) > modifiedAt(mine) ? theirs : mine;
+  const out = { ...mine };
+  for (const f of fields) {
+    const pick = choice[f.key] || fallback;
+    const from = pick === "theirs" ? theirs : pick === "newest" ? newer : mine;
+    for (const k of [f.key, ...(f.with || [])]) out[k] = from[k];
+  }
+  return out;
+}
+
+export function applyImport(mine, strategy, plan, choices, fallback) {
+  if (strategy === "replace") return plan.added;
+  const resolved = new Map(plan.conflicts.map(c => [c.mine.uid, resolveConflict(c, choices[c.mine.uid], fallback)]));
+  return [...plan.added, ...mine.map(p => resolved.get(p.uid) || p)];
+}
+
+export function mergeParcels(mine, incoming, uidMap) {
+  const have = new Set(mine.map(pc => pc.uid));
+  const remapped = incoming
+    .filter(pc => !have.has(pc.uid))
+    .map(pc => ({ ...pc, items: pc.items.map(it => ({ ...it, productUid: uidMap.get(it.productUid) || it.productUid })) }));
+  return [...mine, ...remapped];
+}
+
+// ---------------- Share links
+// A share snapshot comes from whoever wrote the link: every item is rebuilt from
+// checked fields, so its shop_type/id can't smuggle params into our Mulebuy link.
+export const SHARE_VERSION = 1;
+const ITEM_ID = /^\d+$/;
+const isHttpUrl = v => typeof v === "string" && /^https?:\/\//i.test(v);
+
+function sharedItem(x) {
+  if (!isObject(x)) return null;
+  const shop_type = typeof x.shop_type === "string" && Object.values(SHOP_TYPE_ALIASES).includes(x.shop_type) ? x.shop_type : null;
+  const id = typeof x.id === "string" || typeof x.id === "number" ? String(x.id) : "";
+  if (!shop_type || !ITEM_ID.test(id)) return null;
+  const list = v => Array.isArray(v) ? v : [];
+  return {
+    shop_type,
+    id,
+    title: text(x.title),
+    seller: text(x.seller),
+    currency: CURRENCIES.includes(x.currency) ? x.currency : "CNY",
+    variants: list(x.variants).filter(isObject).map(v => ({
+      label: text(v.label),
+      qty: Math.max(1, Math.round(finite(v.qty, 1))),
+      price: finite(v.price, ""),
+    })),
+    rating: Math.min(5, Math.max(0, finite(x.rating, 0))),
+    notes: text(x.notes),
+    tags: list(x.tags).filter(tag => typeof tag === "string" && tag),
+    qc_links: list(x.qc_links).filter(isHttpUrl),
+  };
+}
+
+// Decoded share JSON → { title, ref, at, items, dropped } with only well-formed
+// items; `dropped` counts the others. Throws when it isn't a snapshot at all.
+export function readShareSnapshot(snapshot) {
+  if (!isObject(snapshot) || !Array.isArray(snapshot.items)) throw new Error(t("share.unexpected"));
+  if (snapshot.v > SHARE_VERSION) throw new Error(t("share.newerVersion"));
+  const items = snapshot.items.map(sharedItem).filter(Boolean);
+  return {
+    v: SHARE_VERSION,
+    title: text(snapshot.title),
+    ref: REF_FORMAT.test(text(snapshot.ref)) ? snapshot.ref : "",
+    at: text(snapshot.at),
+    items,
+    dropped: snapshot.items.length - items.length,
+  };
+}
+
+// The link code: JSON → deflate-raw → base64url (Compression Streams, in browsers and Node 20+).
+async function pipeBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+export async function encodeShare(snapshot) {
+  const packed = await pipeBytes(new TextEncoder().encode(JSON.stringify(snapshot)), new CompressionStream("deflate-raw"));
+  let bin = "";
+  for (let i = 0; i < packed.length; i += 0x8000) bin += String.fromCharCode(...packed.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// → readShareSnapshot()'s result; throws with a readable message on any bad code.
+export async function decodeShare(code) {
+  try {
+    const bin = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+    return readShareSnapshot(JSON.parse(new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream("deflate-raw")))));
+  } catch (e) {
+    throw new Error(t("share.unreadable", { error: e.message }));
+  }
+}
+
+// ---------------- Products & CSV
+// Product fields a spreadsheet column can be mapped to; `guess` matches header names.
+export const CSV_FIELDS = [
+  { key: "link", label: "csv.link", guess: /link|lien|url/i },
+  { key: "title", label: "field.title", guess: /name|nom|title|titre|item|article/i },
+  { key: "price", label: "csv.price", guess: /price|prix|yuan|cny|¥/i },
+  { key: "currency", label: "csv.currency", guess: /currency|devise/i },
+  { key: "tags", label: "csv.tags", guess: /categor|tag|type/i },
+  { key: "list", label: "field.list", guess: /^list|liste|status|statut/i },
+  { key: "seller", label: "field.seller", guess: /seller|vendeur|store|boutique/i },
+  { key: "size", label: "csv.size", guess: /size|taille|variant|sku|couleur|color/i },
+  { key: "qty", label: "csv.qty", guess: /qty|quantit|qté/i },
+  { key: "notes", label: "field.notes", guess: /note|comment|remark/i },
+];
+
+export function guessCsvMapping(headers) {
+  const used = new Set();
+  const mapping = {};
+  for (const f of CSV_FIELDS) {
+    const idx = headers.findIndex((h, i) => !used.has(i) && f.guess.test(h));
+    if (idx >= 0) { mapping[f.key] = idx; used.add(idx); }
+  }
+  return mapping;
+}
+
+// One spreadsheet row → a product through the regular converter, or { error }.
+export function csvRowToProduct(row, mapping, { refOf, list, lists }) {
+  const cell = key => (mapping[key] == null ? "" : (row[mapping[key]] ?? "").trim());
+  try {
+    const parsed = parseShopUrl(cell("link"));
+    const rowList = lists.find(l => l.toLowerCase() === cell("list").toLowerCase());
+    const tags = cell("tags").split(/[,;|/]/).map(t => t.trim()).filter(Boolean);
+    const ref = refOf({ ...parsed, tags });
+    const p = newProductFromConv({ ...parsed, ref, url: toMulebuy({ ...parsed, ref }) }, rowList || list);
+    return {
+      product: {
+        ...p,
+        title: cell("title"),
+        variants: [newVariant({ label: cell("size"), qty: Math.max(1, parseInt(cell("qty"), 10) || 1), price: parsePrice(cell("price")) })],
+        currency: CURRENCIES.find(c => c === cell("currency").toUpperCase()) || "CNY",
+        tags,
+        seller: cell("seller"),
+        notes: cell("notes"),
+      },
+    };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+const CSV_EXPORT_COLUMNS = [
+  ["title", p => p.title],
+  ["list", p => p.list],
+  ["shop_type", p => p.shop_type],
+  ["id", p => p.id],
+  ["mulebuy_url", p => p.mulebuy_url],
+  ["shop_url", p => (p.id ? shopUrl(p) : "")],
+  ["price", p => productTotal(p)],
+  ["currency", p => p.currency],
+  ["quantity", p => productQty(p)],
+  ["variants", p => variantsSummary(p)],
+  ["seller", p => p.seller],
+  ["rating", p => p.rating],
+  ["tags", p => (p.tags || []).join(", ")],
+  ["notes", p => p.notes],
+  ["created_at", p => p.created_at],
+];
+
+export function productsToCSV(products) {
+  return toCSV([CSV_EXPORT_COLUMNS.map(([h]) => h), ...products.map(p => CSV_EXPORT_COLUMNS.map(([, get]) => get(p)))]);
+}
+
+export function newProductFromConv(conv, list) {
+  const now = new Date().toISOString();
+  return {
+    uid: uid(),
+    created_at: now,
+    list: list || "Wishlist",
+    timeline: [{ list: list || "Wishlist", at: now, note: "" }],
+    shop_type: conv.shop_type,
+    id: conv.id,
+    ref: conv.ref,
+    mulebuy_url: conv.url,
+    title: "",
+    seller: "",
+    variants: [newVariant()],
+    currency: "CNY",
+    rating: 0,
+    notes: "",
+    tags: [],
+    qc_links: [],
+    images: [],
+    qc_sets: [],
+    qc_marks: {},
+    ref_photo: "",
+    _v: SCHEMA_VERSION,
+  };
+}
+
+export function newBlankProduct(ref, list) {
+  const now = new Date().toISOString();
+  return {
+    uid: uid(),
+    created_at: now,
+    list: list || "Wishlist",
+    timeline: [{ list: list || "Wishlist", at: now, note: "" }],
+    shop_type: "weidian",
+    id: "",
+    ref: ref || "",
+    mulebuy_url: "",
+    title: "", // shown as t("common.untitled")
+    seller: "",
+    variants: [newVariant()],
+    currency: "CNY",
+    rating: 0,
+    notes: "",
+    tags: [],
+    qc_links: [],
+    images: [],
+    qc_sets: [],
+    qc_marks: {},
+    ref_photo: "",
+    _v: SCHEMA_VERSION,
+  };
+}
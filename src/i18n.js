@@ -0,0 +1,64 @@
+/**
+ * Translation layer shared by the app and the CLI: message catalogs
+ * (src/locales, French is the source language), plural forms and locale-aware
+ * dates and numbers. The current locale is module state: the app sets it from
+ * Settings before rendering, the CLI from the environment.
+ */
+import fr from "./locales/fr.js";
+import en from "./locales/en.js";
+
+export const LOCALES = [
+  { id: "fr", label: "Français", catalog: fr },
+  { id: "en", label: "English", catalog: en },
+];
+const SOURCE = LOCALES[0];
+
+let current = SOURCE;
+
+// First supported language among `preferred` (navigator.languages, $LANG...), else English.
+export function detectLocale(preferred = []) {
+  for (const tag of preferred) {
+    const base = String(tag || "").toLowerCase().split(/[-_.@]/)[0];
+    if (LOCALES.some(l => l.id === base)) return base;
+  }
+  return "en";
+}
+
+export function setLocale(id) {
+  current = LOCALES.find(l => l.id === id) || current;
+  return current.id;
+}
+
+export function getLocale() { return current.id; }
+
+const formatters = new Map();
+function cached(Kind, options) {
+  const key = `${Kind.name}|${current.id}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Kind(current.id, options));
+  return formatters.get(key);
+}
+
+export function formatNumber(n, options = {}) { return cached(Intl.NumberFormat, options).format(n); }
+
+export function formatDate(value, options = { dateStyle: "medium" }) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? "—" : cached(Intl.DateTimeFormat, options).format(d);
+}
+
+export function formatDateTime(value) { return formatDate(value, { dateStyle: "medium", timeStyle: "short" }); }
+
+// "2024-05" → "mai 2024" / "May 2024"
+export function formatMonth(ym) { return formatDate(`${ym}-01T12:00:00`, { month: "short", year: "numeric" }); }
+
+// t("key", { name }) fills {name}; numbers are formatted for the locale. A message
+// given as plural forms ({ one, other }) is chosen by `count` with the locale's rules.
+// Missing keys fall back to French, then to the key itself.
+export function t(key, params = {}) {
+  const msg = current.catalog[key] ?? SOURCE.catalog[key] ?? key;
+  const text = typeof msg === "string" ? msg : msg[cached(Intl.PluralRules, {}).select(params.count ?? 0)] ?? msg.other;
+  return text.replace(/\{(\w+)\}/g, (m, name) => {
+    const v = params[name];
+    if (v == null) return m;
+    return typeof v === "number" ? formatNumber(v) : String(v);
+  });
+}
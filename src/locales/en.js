@@ -0,0 +1,546 @@
+/**
+ * English messages. Missing keys fall back to the French catalog.
+ */
+export default {
+  "backup.badField": "invalid {key}",
+  "backup.keySkipped": "\"{key}\" skipped: not a list",
+  "backup.newerSchema": "made by a newer version (schema v{version})",
+  "backup.noIdentity": "no uid, id or title",
+  "backup.notArray": "\"{key}\" should be a list",
+  "backup.notData": "the file holds neither an array nor an object",
+  "backup.notObject": "not an object",
+  "backup.preparingPhotos": "Preparing photos…",
+  "backup.productSkipped": "Product #{n} skipped: {error}",
+
+  "bulk.addTag": "Add tag",
+  "bulk.alreadyIn": "Already in {list}",
+  "bulk.dupOfLine": "Duplicate of line {line}",
+  "bulk.extract": "Extract & convert",
+  "bulk.ignored": { one: "{count} link ignored", other: "{count} links ignored" },
+  "bulk.label": "Paste a message, a post or a spreadsheet: every Weidian/Taobao/Tmall/1688 and agent link will be extracted.",
+  "bulk.moveTo": "Move to",
+  "bulk.placeholder": "Paste the text with the links here...",
+  "bulk.refByRules": "Ref by the rules",
+  "bulk.refProfile": "Ref {name} ({ref})",
+  "bulk.result": "Result",
+  "bulk.rewriteRef": "Rewrite ref",
+  "bulk.saveAll": "Save all new ({count})",
+  "bulk.saveIn": "Save in",
+  "bulk.savePicked": "Save selection ({count})",
+  "bulk.saved": { one: "{count} product added to {list}", other: "{count} products added to {list}" },
+  "bulk.selected": { one: "{count} selected", other: "{count} selected" },
+
+  "card.addQcLink": "Add QC link https://...",
+  "card.daysIn": { one: "{count} day in {list}", other: "{count} days in {list}" },
+  "card.deleteShort": "Del",
+  "card.edit": "Edit",
+  "card.editShort": "Edit",
+  "card.localPhotos": "Local photos",
+  "card.pasteOrDrop": "(paste or drop here)",
+  "card.total": "Total:",
+
+  "cli.backupRejected": "Backup rejected: {error}",
+  "cli.badJson": "{path} is not valid JSON: {error}",
+  "cli.badPort": "Invalid port \"{port}\".",
+  "cli.badStore": "{path} is not a sync data file.",
+  "cli.duplicate": "duplicate skipped: {input}",
+  "cli.failed": "mulebuy: {error}\n(mulebuy --help for help)",
+  "cli.importArgs": "import takes a single backup file (- = standard input).",
+  "cli.imported": { one: "{count} product · schema v{version}", other: "{count} products · schema v{version}" },
+  "cli.importedIn": { one: "{count} product in {list} · schema v{version}", other: "{count} products in {list} · schema v{version}" },
+  "cli.needsValue": "--{name} needs a value.",
+  "cli.noInput": "No links: pass URLs, --file <file> or standard input.",
+  "cli.noLinks": "No shop or agent link found.",
+  "cli.noPhoto": "Unknown photo: {key}",
+  "cli.noToken": "Warning: without --token, any device on the network can read and change the data.",
+  "cli.notFound": "Nothing at {path}.",
+  "cli.pushTooLarge": "Push too large.",
+  "cli.readFailed": "Cannot read {path}: {error}",
+  "cli.rejected": "{input}: {error}",
+  "cli.serveArgs": "serve only takes options (--port, --host, --data, --token).",
+  "cli.serving": { one: "Sync server on {url} · {path} ({count} record)", other: "Sync server on {url} · {path} ({count} records)" },
+  "cli.unauthorized": "Missing or invalid token.",
+  "cli.unknownCommand": "Unknown command \"{command}\".",
+  "cli.unknownFormat": "Unknown format \"{format}\" ({formats}).",
+  "cli.unknownList": "Unknown list \"{list}\" ({lists}).",
+  "cli.usage": "Usage:\n  mulebuy convert [options] <url...>\n  mulebuy convert [options] --file <file|->        (or links on standard input)\n  mulebuy import <backup.json|-> [--list <list>] [--format text|json|csv]\n  mulebuy serve [--port 8787] [--host 127.0.0.1] [--data mulebuy-sync.json] [--token <token>]\n\nconvert options:\n  --file <file>         read links from a text file (- = standard input)\n  --format <f>          text (default), json (products), csv (the site's export)\n  --ref <id>            one-off ref, takes priority over profiles\n  --settings <backup>   ref profiles and rules from a JSON backup of the site\n  --list <list>         product list for json/csv output (default: Wishlist)\n\nserve options (the app's sync server):\n  --port <n>            port to listen on (default: 8787)\n  --host <address>      0.0.0.0 to open it to the other devices on the network (default: 127.0.0.1)\n  --data <file>         JSON file holding the synced data (default: mulebuy-sync.json)\n  --token <token>       token devices must send (Authorization: Bearer)\n\nExit codes: 0 ok, 1 links or products rejected, 2 usage or read error.",
+
+  "common.add": "Add",
+  "common.cancel": "Cancel",
+  "common.choose": "Choose…",
+  "common.clear": "Clear",
+  "common.close": "Close",
+  "common.copy": "Copy",
+  "common.delete": "Delete",
+  "common.download": "Download",
+  "common.error": "Error: {error}",
+  "common.import": "Import",
+  "common.none": "none",
+  "common.open": "Open",
+  "common.remove": "Remove",
+  "common.save": "Save",
+  "common.selectAll": "Select all",
+  "common.selectNone": "Select none",
+  "common.untitled": "(untitled)",
+
+  "convert.action": "Convert",
+  "convert.bulk": "Bulk",
+  "convert.from": "from",
+  "convert.heading": "Weidian/Taobao/Tmall/1688 → Mulebuy converter",
+  "convert.inputLabel": "Weidian, Taobao, Tmall, 1688 URL or agent link (CNFans, Kakobuy...)",
+  "convert.inputPlaceholder": "https://weidian.com/item.html?itemID=... or https://cnfans.com/product/?shop_type=...&id=...",
+  "convert.shopLink": "Original link",
+  "convert.showAgentLinks": "Show the original link and the other agents",
+  "convert.single": "Single link",
+
+  "count.days": { one: "{count} d", other: "{count} d" },
+  "count.duplicates": { one: "{count} duplicate", other: "{count} duplicates" },
+  "count.errors": { one: "{count} error", other: "{count} errors" },
+  "count.items": { one: "{count} item", other: "{count} items" },
+  "count.links": { one: "{count} link", other: "{count} links" },
+  "count.parcels": { one: "{count} parcel", other: "{count} parcels" },
+  "count.photos": { one: "{count} photo", other: "{count} photos" },
+  "count.pieces": { one: "{count} piece", other: "{count} pieces" },
+  "count.products": { one: "{count} product", other: "{count} products" },
+
+  "csv.column": "Column {n}",
+  "csv.currency": "Currency (CNY)",
+  "csv.hasHeader": "The first row holds the headers",
+  "csv.importable": { one: "{count} / {total} row can be imported", other: "{count} / {total} rows can be imported" },
+  "csv.link": "Link *",
+  "csv.moreRows": { one: "{count} more row", other: "{count} more rows" },
+  "csv.orPaste": "or paste the content below (Google Sheets / Excel export)",
+  "csv.pickFile": "Choose a file",
+  "csv.pickLinkColumn": "Pick the column holding the links.",
+  "csv.price": "Price",
+  "csv.qty": "Quantity",
+  "csv.repeat": "Duplicate in the file",
+  "csv.size": "Size / variant",
+  "csv.skipExisting": "Skip items already saved",
+  "csv.tags": "Tags (category)",
+
+  "drawer.alreadySaved": "Already saved in {list}: {title}",
+  "drawer.copyLink": "Copy the link to this product",
+  "drawer.generateUrl": "Generate from ref/id",
+  "drawer.heading": "Edit product",
+  "drawer.link": "Link",
+  "drawer.merged": "merge",
+  "drawer.moveNote": "Note for the move to {list} (e.g. tracking number)",
+  "drawer.note": "note",
+  "drawer.rating": "Rating (0-5)",
+  "drawer.referral": "Referral (ref)",
+  "drawer.sellerAndCurrency": "Seller / Currency",
+  "drawer.sellerPlaceholder": "seller",
+  "drawer.shopAndId": "Shop type / ID",
+  "drawer.timeline": "List history",
+
+  "duplicates.button": "Duplicates",
+  "duplicates.exists": "This item is already in {list}:",
+  "duplicates.merge": "Merge",
+  "duplicates.mergeHint": "Tags, QC links, photos and notes are combined.",
+  "duplicates.merged": { one: "{count} duplicate merged", other: "{count} duplicates merged" },
+  "duplicates.none": "No duplicates found.",
+  "duplicates.openExisting": "Open existing",
+  "duplicates.saveAnyway": "Save anyway",
+
+  "field.item": "Item",
+  "field.list": "List",
+  "field.mulebuyUrl": "Mulebuy URL",
+  "field.notes": "Notes",
+  "field.photos": "Photos",
+  "field.qcLinks": "QC links",
+  "field.qcReview": "QC review",
+  "field.rating": "Rating",
+  "field.ref": "Ref",
+  "field.seller": "Seller",
+  "field.tags": "Tags",
+  "field.title": "Title",
+  "field.variants": "Variants",
+
+  "haul.actualWeight": "Actual weight:",
+  "haul.addOrdered": "Add an ordered item",
+  "haul.chargeableWeight": "Chargeable weight:",
+  "haul.delete": "Delete parcel",
+  "haul.deleteConfirm": "Delete the parcel \"{name}\"?",
+  "haul.deletedProduct": "(deleted)",
+  "haul.dims": "Dimensions L × W × H (cm)",
+  "haul.fee": "Service fee ({pct}):",
+  "haul.heading": "Parcels & Shipping",
+  "haul.items": "Items:",
+  "haul.line": "Shipping line",
+  "haul.missingWeight": "Some items have no weight: the estimate is incomplete.",
+  "haul.new": "New parcel",
+  "haul.newLine": "New line",
+  "haul.noLines": "No shipping line: add one in Settings → Shipping to estimate postage.",
+  "haul.none": "No parcels.",
+  "haul.packaging": "Packaging (g)",
+  "haul.parcelName": "Parcel {n}",
+  "haul.pick": "Select or create a parcel to group your \"{list}\" items.",
+  "haul.pieces": "Pieces",
+  "haul.shipping": "Shipping:",
+  "haul.shippingVia": "Shipping ({line}):",
+  "haul.total": "Estimated total:",
+  "haul.unitWeight": "Weight/pc (g)",
+  "haul.volumetricWeight": "Volumetric weight:",
+
+  "history.date": "Date",
+  "history.empty": "No conversions yet.",
+  "history.heading": "History",
+  "history.info": "Details",
+  "history.input": "Input",
+  "history.output": "Output",
+
+  "import.added": { one: "{count} added", other: "{count} added" },
+  "import.byItem": "Merge by item (shop_type + id)",
+  "import.byItemHint": "combines data from two devices",
+  "import.byUid": "Merge by uid",
+  "import.byUidHint": "restores a backup of this same data",
+  "import.conflicts": { one: "{count} conflicting", other: "{count} conflicting" },
+  "import.defaultKeep": "By default, keep:",
+  "import.done": "{label}: {added}, {merged}",
+  "import.field": "Field",
+  "import.inFile": { one: "{count} product in the file:", other: "{count} products in the file:" },
+  "import.invalid": "Invalid import: {error}",
+  "import.json": "Import JSON",
+  "import.label": "JSON import ({strategy})",
+  "import.merged": { one: "{count} merged", other: "{count} merged" },
+  "import.mine": "Mine",
+  "import.new": { one: "{count} new", other: "{count} new" },
+  "import.newest": "Newest",
+  "import.replace": "Replace everything",
+  "import.replaceHint": "your current products are replaced by the file's",
+  "import.same": { one: "{count} identical", other: "{count} identical" },
+  "import.summary": "{added}, {conflicts}, {same}.",
+  "import.theirs": "Theirs",
+  "import.title": "Import {name}",
+  "import.willRemove": { one: "{count} of yours will be deleted.", other: "{count} of yours will be deleted." },
+  "import.withSettings": "Import the settings too",
+
+  "keys.close": "Close the panel",
+  "keys.delete": "Delete",
+  "keys.deleteSelection": "Delete the selection",
+  "keys.edit": "Edit the title",
+  "keys.enter": "Enter",
+  "keys.esc": "Esc",
+  "keys.general": "Everywhere",
+  "keys.grid": "Product grid",
+  "keys.help": "This help",
+  "keys.move": "Move to a list",
+  "keys.next": "Next product",
+  "keys.open": "Open the product",
+  "keys.palette": "Command palette",
+  "keys.previous": "Previous product",
+  "keys.redo": "Redo",
+  "keys.rows": "Next / previous row",
+  "keys.search": "Search",
+  "keys.select": "Select / deselect",
+  "keys.tag": "Add a tag",
+  "keys.title": "Keyboard shortcuts",
+  "keys.undo": "Undo",
+
+  "lines.add": "Add a shipping line",
+  "lines.currency": "Currency",
+  "lines.divisor": "Vol. divisor",
+  "lines.divisorHint": "0 = no volumetric weight",
+  "lines.firstPrice": "First weight price",
+  "lines.firstWeight": "First weight (g)",
+  "lines.perKg": "Price / extra kg",
+  "lines.step": "Step (g)",
+
+  "link.agentNoItem": "{agent} link: the item could not be found (shop_type/id missing).",
+  "link.badId": "Invalid {shop} id: \"{id}\".",
+  "link.invalid": "Invalid URL.",
+  "link.missing": "Missing URL.",
+  "link.missingId": "{param} missing for {shop} (expected: {example}).",
+  "link.shortLink": "{shop} (short link): open it in a browser, then paste the item's full URL.",
+  "link.unsupported": "Unsupported domain (Weidian, Taobao, Tmall, 1688 or a known agent).",
+
+  "lists.allProducts": "All my products",
+  "lists.anyDuration": "Any duration",
+  "lists.board": "Board",
+  "lists.delete": "Delete list",
+  "lists.deleted": "List \"{name}\" deleted",
+  "lists.deletedMoved": { one: "List \"{name}\" deleted, {count} product moved to {target}", other: "List \"{name}\" deleted, {count} products moved to {target}" },
+  "lists.empty": "No products in this view.",
+  "lists.exists": "The list \"{name}\" already exists.",
+  "lists.exportCsv": "Export CSV",
+  "lists.fixedBySearch": "List set by the search (list:{list})",
+  "lists.grid": "Grid",
+  "lists.heading": "Lists & Products",
+  "lists.moveItsProducts": { one: "Move its product to", other: "Move its {count} products to" },
+  "lists.new": "New",
+  "lists.newPlaceholder": "New list",
+  "lists.renamed": "List \"{from}\" renamed to \"{to}\"",
+  "lists.sinceDays": "For ≥ {count} d",
+  "lists.total": "Total ≈",
+
+  "palette.addTag": { one: "Tag the product {tag}", other: "Tag the {count} products {tag}" },
+  "palette.clipboardFailed": "Cannot read the clipboard: {error}",
+  "palette.convertClipboard": "Convert the link on the clipboard",
+  "palette.delete": { one: "Delete the product", other: "Delete the {count} products" },
+  "palette.duplicates": "Find duplicates",
+  "palette.exportBackup": "Export a JSON backup…",
+  "palette.exportCsv": "Export {list} as CSV",
+  "palette.goTo": "Go to the {tab} tab",
+  "palette.groupActions": "Actions",
+  "palette.groupGo": "Go to",
+  "palette.groupSelection": "Selection",
+  "palette.groupSort": "Sort",
+  "palette.movePlaceholder": "Move to…",
+  "palette.moveTo": { one: "Move the product to {list}", other: "Move the {count} products to {list}" },
+  "palette.newProduct": "New product",
+  "palette.newTag": { one: "New tag for the product…", other: "New tag for the {count} products…" },
+  "palette.noMatch": "No matching command.",
+  "palette.openList": "Open the {list} list",
+  "palette.placeholder": "Search commands…",
+  "palette.redo": "Redo: {label}",
+  "palette.shortcuts": "Keyboard shortcuts",
+  "palette.showBoard": "Show the board",
+  "palette.sortBy": "Sort: {sort}",
+  "palette.tagPlaceholder": "Add tag…",
+  "palette.tagPrompt": "Tag to add",
+  "palette.undo": "Undo: {label}",
+
+  "photos.encodeFailed": "could not encode the image",
+  "photos.externalizeFailed": "Could not move the photos to IndexedDB: {error}",
+  "photos.format": "Format",
+  "photos.intro": "Imported, pasted or dropped photos are rotated as the camera held them, stripped of their EXIF metadata (GPS, model, date), downsized and re-encoded. Cards show a thumbnail, the QC review the full image.",
+  "photos.maxSize": "Maximum size (longest side)",
+  "photos.noneToProcess": "No local photos to process.",
+  "photos.notFound": "Image not found",
+  "photos.otherDevice": "Photo kept on another device (it arrives once that device syncs)",
+  "photos.processing": { one: "Processing {count} photo…", other: "Processing {count} photos…" },
+  "photos.quality": "Quality ({quality})",
+  "photos.reprocess": "Reprocess existing photos",
+  "photos.reprocessConfirm": { one: "Reprocess {count} photo with these settings? The original is replaced.", other: "Reprocess {count} photos with these settings? The originals are replaced." },
+  "photos.reprocessFailed": "Reprocessing stopped: {error}",
+  "photos.reprocessed": { one: "{count} photo reprocessed · {saved} MB saved", other: "{count} photos reprocessed · {saved} MB saved" },
+  "photos.saveFailed": "Could not save the photo: {error}",
+  "photos.thumbnails": "Thumbnails",
+  "photos.unavailable": "Photo unavailable",
+  "photos.unsupported": "unsupported image format ({type})",
+
+  "products.added": { one: "Product added", other: "{count} products added" },
+  "products.addedTo": "Product added to {list}",
+  "products.deleted": { one: "{count} product deleted", other: "{count} products deleted" },
+  "products.importedCsv": { one: "{count} product imported from CSV", other: "{count} products imported from CSV" },
+  "products.importedInto": { one: "{count} product imported into {list}", other: "{count} products imported into {list}" },
+  "products.movedTo": { one: "Moved to {list}", other: "{count} products moved to {list}" },
+  "products.savedIn": "Saved in {list}",
+
+  "qc.addBatch": "+ Warehouse batch",
+  "qc.annotationPrompt": "Annotation text:",
+  "qc.batchName": "Batch {n}",
+  "qc.clearMarks": "Clear all",
+  "qc.color": "Color {color}",
+  "qc.commentLabel": "QC comment",
+  "qc.commentPlaceholder": "Comment (flaw, measurement, return…)",
+  "qc.compare": "Compare",
+  "qc.decidedOn": "{verdict} on {date}",
+  "qc.deleteSet": "Delete the set (its photos become unsorted)",
+  "qc.empty": "Add QC image links or local photos on the product card.",
+  "qc.glTitle": "Green light: as expected, ship it",
+  "qc.keys": "← → browse · C compare · G/R verdict · 1-9 sort (0: unsorted) · Esc close",
+  "qc.listingPhoto": "Listing photo",
+  "qc.listingPhotoUrl": "Listing photo URL",
+  "qc.markAdded": "QC annotation added",
+  "qc.markRemoved": "QC annotation removed",
+  "qc.marksCleared": "QC annotations cleared",
+  "qc.newSet": "New set",
+  "qc.newSetWithPhoto": "New set (with the photo shown)",
+  "qc.noPhoto": "No photos",
+  "qc.open": "Open the QC review",
+  "qc.photoMoved": "QC photo moved",
+  "qc.refRemoved": "Reference photo removed",
+  "qc.refSet": "Reference photo set",
+  "qc.reference": "reference",
+  "qc.rlTitle": "Red light: exchange or return requested",
+  "qc.setCreated": "QC set \"{name}\" created",
+  "qc.setDeleted": "QC set \"{name}\" deleted",
+  "qc.setName": "Set name",
+  "qc.setRenamed": "QC set renamed",
+  "qc.theSet": "the set",
+  "qc.toolArrow": "↗ Arrow",
+  "qc.toolCircle": "◯ Circle",
+  "qc.toolText": "T Text",
+  "qc.toolView": "View",
+  "qc.undoMark": "Undo annotation",
+  "qc.unnamed": "unnamed",
+  "qc.unnamedSet": "(unnamed set)",
+  "qc.unsorted": "Unsorted",
+  "qc.unsortedCount": "Unsorted ({count})",
+  "qc.useAsRef": "Use as reference",
+  "qc.verdictFor": "{verdict} for {name}",
+  "qc.verdictRemoved": "QC verdict removed",
+
+  "ref.activeForAll": "Active profile applied to every link.",
+  "ref.activeProfile": "Active profile",
+  "ref.addProfile": "+ Profile",
+  "ref.addRule": "+ Rule",
+  "ref.badFormat": "A Mulebuy ref only has digits (5 to 12).",
+  "ref.defaultProfile": "Personal",
+  "ref.empty": "No ref: links will be generated without referral.",
+  "ref.if": "If",
+  "ref.name": "Name",
+  "ref.none": "no ref",
+  "ref.oneOff": "one-off ref",
+  "ref.oneOffLabel": "One-off ref",
+  "ref.overrides": "Overrides the profile and the rules.",
+  "ref.profile": "Referral profile",
+  "ref.profileName": "Profile {n}",
+  "ref.rewrittenProfile": { one: "Ref rewritten on {count} product ({profile})", other: "Ref rewritten on {count} products ({profile})" },
+  "ref.rewrittenRules": { one: "Ref rewritten on {count} product by the rules", other: "Ref rewritten on {count} products by the rules" },
+  "ref.ruleShop": "shop {value}",
+  "ref.ruleTag": "tag \"{value}\"",
+  "ref.rulesIntro": "Rules (the first match wins, otherwise the active profile):",
+  "ref.rulesMayApply": { one: "{count} shop/tag rule may pick another profile.", other: "{count} shop/tag rules may pick another profile." },
+  "ref.viaRule": "rule {rule}",
+
+  "search.help": "Syntax:\ntag:shoes  -tag:gift  shop:weidian  seller:\"xx store\"\nprice<200  rating>=4  qty>1  days>30 (days in the list)\nlist:any (every list)  list:Ordered  buyer:name  title:…  id:…\nqc:gl  qc:rl  qc:pending (photos without a verdict)  qc:none\nFree words: search everywhere; a leading \"-\" excludes a term.",
+  "search.placeholder": "tag:shoes -tag:gift price<200 seller:\"xx\"",
+  "search.short": "Search...",
+
+  "settings.agentLinks": "Other agents' links",
+  "settings.backup": "Backup & Data",
+  "settings.compactCards": "Compact cards",
+  "settings.defaultList": "Default list",
+  "settings.displayCurrency": "Display currency",
+  "settings.enable": "Enable",
+  "settings.exportJson": "Export JSON",
+  "settings.importCsv": "Import CSV",
+  "settings.includePhotos": "Include local photos",
+  "settings.language": "Language",
+  "settings.languageAuto": "Automatic ({language})",
+  "settings.rates": "Exchange rates (in CNY)",
+  "settings.referral": "Referral",
+  "settings.reset": "Reset",
+  "settings.resetConfirm": "Reset all data?",
+  "settings.serviceFee": "Agent service fee (%)",
+  "settings.shipping": "Shipping",
+  "settings.shortcuts": "Shortcuts",
+  "settings.showAfterConvert": "Show after converting",
+  "settings.storage": "Storage",
+  "settings.sync": "Sync",
+
+  "share.back": "Back to my lists",
+  "share.button": "Share",
+  "share.close": "Close share",
+  "share.compressing": "Compressing…",
+  "share.copyLink": "Copy link",
+  "share.defaultTitle": "Shared products",
+  "share.dropped": { one: "{count} unreadable item left out", other: "{count} unreadable items left out" },
+  "share.importCount": "Import {count}",
+  "share.info": "Read-only, no server: everything is in the link ({count} characters). Local photos and buyers are left out.",
+  "share.newerVersion": "link made by a newer version of the app",
+  "share.noPrice": "Price?",
+  "share.ownRef": "Links with my ref",
+  "share.received": "Received share · read-only",
+  "share.title": { one: "Share {count} product", other: "Share {count} products" },
+  "share.tooLong": "Very long link: some messengers may cut it.",
+  "share.unexpected": "unexpected content",
+  "share.unreadable": "Unreadable share link ({error}).",
+
+  "shortcuts.copyCode": "Copy code",
+  "shortcuts.intro": "Drag a button to the bookmarks bar, then click it on a Taobao, Tmall, Weidian or 1688 page:",
+  "shortcuts.mobile": "On mobile, install the app (browser menu → \"Install app\" / \"Add to Home screen\"): it works offline and shows up in the Share menu of the Taobao and Weidian apps. A link can also be opened directly:",
+  "shortcuts.openHint": "opens the current page in the converter",
+  "shortcuts.saveHint": "converts and saves straight into {list}",
+
+  "sort.inListLongest": "Longest in list",
+  "sort.inListNewest": "Newest in list",
+  "sort.newest": "Newest",
+  "sort.oldest": "Oldest",
+  "sort.priceAsc": "Price ↑",
+  "sort.priceDesc": "Price ↓",
+  "sort.shopType": "Shop type",
+  "sort.titleAsc": "Title A→Z",
+  "sort.titleDesc": "Title Z→A",
+
+  "stats.average": "Average:",
+  "stats.averageCol": "Average",
+  "stats.avgRating": "Average rating",
+  "stats.byAdded": "date added",
+  "stats.byOrdered": "order date",
+  "stats.heading": "Statistics",
+  "stats.leadTimes": "Lead times {from} → {to}",
+  "stats.max": "Max",
+  "stats.monthBasis": "By {basis}",
+  "stats.noData": "No data.",
+  "stats.noLeadTimes": "No product went from {from} to {to} with known dates.",
+  "stats.over": { one: "over {count} product", other: "over {count} products" },
+  "stats.perList": "Per list",
+  "stats.perMonth": "Spend per month",
+  "stats.perShop": "Per shop",
+  "stats.perTag": "Per tag",
+  "stats.products": "Products",
+  "stats.rated": { one: "{count} rated product", other: "{count} rated products" },
+  "stats.topSellers": "Top sellers",
+  "stats.totalValue": "Total value",
+  "stats.unknownSeller": "(unknown seller)",
+
+  "storage.clean": { one: "Delete {count} unused photo", other: "Delete {count} unused photos" },
+  "storage.cleanConfirm": { one: "Delete {count} photo that is no longer used?", other: "Delete {count} photos that are no longer used?" },
+  "storage.failed": "Could not save locally: {error}",
+  "storage.full": "Local storage is full: the last change was not saved. Delete photos or history, or export your data.",
+  "storage.localStorage": "localStorage (products, settings, history)",
+  "storage.photoStoreError": "Photos (IndexedDB): {error}",
+  "storage.photos": "Photos (IndexedDB): {count}",
+  "storage.site": "site storage:",
+
+  "sync.badChange": "invalid change #{n}",
+  "sync.badChanges": "\"changes\" must be a list",
+  "sync.badDevice": "missing device id",
+  "sync.badServer": "This server doesn't speak the Mulebuy Manager sync protocol.",
+  "sync.badUrl": "Invalid sync server address.",
+  "sync.device": "Device {device}",
+  "sync.enable": "Sync this device",
+  "sync.failed": "Sync failed",
+  "sync.httpError": "The sync server answered {status}.",
+  "sync.intro": "Keeps products, settings and history the same on several devices through a sync server (mulebuy serve). Changes made offline go out when the network is back; when two devices change the same item, the most recent change wins. Local photos stay on each device.",
+  "sync.lastSync": "Last sync: {date}",
+  "sync.never": "Never synced",
+  "sync.now": "Sync now",
+  "sync.offline": "Offline",
+  "sync.pending": { one: "{count} change pending", other: "{count} changes pending" },
+  "sync.reset": "Resync everything",
+  "sync.resetConfirm": "Forget the sync state and send everything to the server again? Conflicts will go to the most recent change.",
+  "sync.server": "Server",
+  "sync.syncing": "Syncing…",
+  "sync.token": "Token",
+  "sync.tokenPlaceholder": "if the server asks for one",
+  "sync.upToDate": "Synced",
+
+  "tabs.convert": "Convert",
+  "tabs.haul": "Haul",
+  "tabs.lists": "Lists",
+  "tabs.settings": "Settings",
+  "tabs.stats": "Stats",
+
+  "tags.added": "Tag \"{tag}\" added",
+  "tags.all": "All tags",
+  "tags.newPlaceholder": "new tag",
+
+  "undo.change": "change",
+  "undo.defaultLabel": "Change",
+  "undo.redoTitle": "Redo (Ctrl+Shift+Z)",
+  "undo.redone": "Redone: {label}",
+  "undo.undo": "Undo",
+  "undo.undoTitle": "Undo (Ctrl+Z)",
+  "undo.undone": "Undone: {label}",
+
+  "units.mb": "{n} MB",
+
+  "variants.add": "Add a variant",
+  "variants.buyer": "For",
+  "variants.buyerPlaceholder": "me",
+  "variants.label": "Color / size",
+  "variants.labelPlaceholder": "black / M",
+  "variants.qty": "Qty",
+  "variants.unitPrice": "Unit price",
+
+  "views.defaultName": "My view",
+  "views.delete": "Delete view",
+  "views.label": "Views:",
+  "views.namePrompt": "View name:",
+  "views.save": "+ Save view",
+};
@@ -0,0 +1,547 @@
+/**
+ * French messages, the source catalog: every key used with t() lives here first.
+ * Plural messages give { one, other } forms chosen by `count`.
+ */
+export default {
+  "backup.badField": "{key} invalide",
+  "backup.keySkipped": "« {key} » ignoré : ce n'est pas une liste",
+  "backup.newerSchema": "créé par une version plus récente (schéma v{version})",
+  "backup.noIdentity": "ni uid, ni id, ni titre",
+  "backup.notArray": "« {key} » devrait être une liste",
+  "backup.notData": "le fichier ne contient ni tableau ni objet",
+  "backup.notObject": "ce n'est pas un objet",
+  "backup.preparingPhotos": "Préparation des photos…",
+  "backup.productSkipped": "Produit n°{n} ignoré : {error}",
+
+  "bulk.addTag": "Ajouter tag",
+  "bulk.alreadyIn": "Déjà dans {list}",
+  "bulk.dupOfLine": "Doublon de la ligne {line}",
+  "bulk.extract": "Extraire & convertir",
+  "bulk.ignored": { one: "{count} lien ignoré", other: "{count} liens ignorés" },
+  "bulk.label": "Collez un message, un post ou un tableau : tous les liens Weidian/Taobao/Tmall/1688 et d'agents seront extraits.",
+  "bulk.moveTo": "Déplacer vers",
+  "bulk.placeholder": "Collez ici le texte contenant les liens...",
+  "bulk.refByRules": "Ref selon les règles",
+  "bulk.refProfile": "Ref {name} ({ref})",
+  "bulk.result": "Résultat",
+  "bulk.rewriteRef": "Réécrire le ref",
+  "bulk.saveAll": "Enregistrer les nouveaux ({count})",
+  "bulk.saveIn": "Enregistrer dans",
+  "bulk.savePicked": "Enregistrer la sélection ({count})",
+  "bulk.saved": { one: "{count} produit ajouté à {list}", other: "{count} produits ajoutés à {list}" },
+  "bulk.selected": { one: "{count} sélectionné", other: "{count} sélectionnés" },
+
+  "card.addQcLink": "Ajouter lien QC https://...",
+  "card.daysIn": { one: "{count} j dans {list}", other: "{count} j dans {list}" },
+  "card.deleteShort": "Suppr",
+  "card.edit": "Éditer",
+  "card.editShort": "Edit",
+  "card.localPhotos": "Photos locales",
+  "card.pasteOrDrop": "(coller ou déposer ici)",
+  "card.total": "Total :",
+
+  "cli.backupRejected": "Sauvegarde refusée : {error}",
+  "cli.badJson": "{path} n'est pas un JSON valide : {error}",
+  "cli.badPort": "Port invalide « {port} ».",
+  "cli.badStore": "{path} n'est pas un fichier de synchronisation.",
+  "cli.duplicate": "doublon ignoré : {input}",
+  "cli.failed": "mulebuy : {error}\n(mulebuy --help pour l'aide)",
+  "cli.importArgs": "import attend un seul fichier de sauvegarde (- = entrée standard).",
+  "cli.imported": { one: "{count} produit · schéma v{version}", other: "{count} produits · schéma v{version}" },
+  "cli.importedIn": { one: "{count} produit dans {list} · schéma v{version}", other: "{count} produits dans {list} · schéma v{version}" },
+  "cli.needsValue": "--{name} attend une valeur.",
+  "cli.noInput": "Aucun lien : passez des URL, --file <fichier> ou l'entrée standard.",
+  "cli.noLinks": "Aucun lien de boutique ou d'agent trouvé.",
+  "cli.noPhoto": "Photo inconnue : {key}",
+  "cli.noToken": "Attention : sans --token, tout appareil du réseau peut lire et modifier les données.",
+  "cli.notFound": "Rien à l'adresse {path}.",
+  "cli.pushTooLarge": "Envoi trop volumineux.",
+  "cli.readFailed": "Lecture impossible ({path}) : {error}",
+  "cli.rejected": "{input} : {error}",
+  "cli.serveArgs": "serve ne prend que des options (--port, --host, --data, --token).",
+  "cli.serving": { one: "Serveur de synchronisation sur {url} · {path} ({count} enregistrement)", other: "Serveur de synchronisation sur {url} · {path} ({count} enregistrements)" },
+  "cli.unauthorized": "Jeton manquant ou invalide.",
+  "cli.unknownCommand": "Commande inconnue « {command} ».",
+  "cli.unknownFormat": "Format inconnu « {format} » ({formats}).",
+  "cli.unknownList": "Liste inconnue « {list} » ({lists}).",
+  "cli.usage": "Usage :\n  mulebuy convert [options] <url...>\n  mulebuy convert [options] --file <fichier|->     (ou liens sur l'entrée standard)\n  mulebuy import <backup.json|-> [--list <liste>] [--format text|json|csv]\n  mulebuy serve [--port 8787] [--host 127.0.0.1] [--data mulebuy-sync.json] [--token <jeton>]\n\nOptions de convert :\n  --file <fichier>      lit les liens dans un fichier texte (- = entrée standard)\n  --format <f>          text (défaut), json (produits), csv (export du site)\n  --ref <id>            ref ponctuel, prioritaire sur les profils\n  --settings <backup>   profils et règles de ref d'une sauvegarde JSON du site\n  --list <liste>        liste des produits en sortie json/csv (défaut : Wishlist)\n\nOptions de serve (serveur de synchronisation de l'app) :\n  --port <n>            port d'écoute (défaut : 8787)\n  --host <adresse>      0.0.0.0 pour l'ouvrir aux autres appareils du réseau (défaut : 127.0.0.1)\n  --data <fichier>      fichier JSON des données synchronisées (défaut : mulebuy-sync.json)\n  --token <jeton>       jeton exigé des appareils (Authorization: Bearer)\n\nCodes de sortie : 0 ok, 1 liens ou produits rejetés, 2 erreur d'utilisation ou de lecture.",
+
+  "common.add": "Ajouter",
+  "common.cancel": "Annuler",
+  "common.choose": "Choisir…",
+  "common.clear": "Vider",
+  "common.close": "Fermer",
+  "common.copy": "Copier",
+  "common.delete": "Supprimer",
+  "common.download": "Télécharger",
+  "common.error": "Erreur : {error}",
+  "common.import": "Importer",
+  "common.none": "aucun",
+  "common.open": "Ouvrir",
+  "common.remove": "Retirer",
+  "common.save": "Enregistrer",
+  "common.selectAll": "Tout sélectionner",
+  "common.selectNone": "Tout désélectionner",
+  "common.untitled": "(sans titre)",
+
+  "convert.action": "Convertir",
+  "convert.bulk": "En masse",
+  "convert.from": "depuis",
+  "convert.heading": "Convertisseur Weidian/Taobao/Tmall/1688 → Mulebuy",
+  "convert.inputLabel": "URL Weidian, Taobao, Tmall, 1688 ou lien d'agent (CNFans, Kakobuy...)",
+  "convert.inputPlaceholder": "https://weidian.com/item.html?itemID=... ou https://cnfans.com/product/?shop_type=...&id=...",
+  "convert.shopLink": "Lien d'origine",
+  "convert.showAgentLinks": "Afficher le lien d'origine et les autres agents",
+  "convert.single": "Lien unique",
+
+  "count.days": { one: "{count} j", other: "{count} j" },
+  "count.duplicates": { one: "{count} doublon", other: "{count} doublons" },
+  "count.errors": { one: "{count} erreur", other: "{count} erreurs" },
+  "count.items": { one: "{count} article", other: "{count} articles" },
+  "count.links": { one: "{count} lien", other: "{count} liens" },
+  "count.parcels": { one: "{count} colis", other: "{count} colis" },
+  "count.photos": { one: "{count} photo", other: "{count} photos" },
+  "count.pieces": { one: "{count} pièce", other: "{count} pièces" },
+  "count.products": { one: "{count} produit", other: "{count} produits" },
+
+  "csv.column": "Colonne {n}",
+  "csv.currency": "Devise (CNY)",
+  "csv.hasHeader": "La première ligne contient les en-têtes",
+  "csv.importable": { one: "{count} / {total} ligne importable", other: "{count} / {total} lignes importables" },
+  "csv.link": "Lien *",
+  "csv.moreRows": { one: "{count} ligne de plus", other: "{count} lignes de plus" },
+  "csv.orPaste": "ou collez le contenu ci-dessous (export Google Sheets / Excel)",
+  "csv.pickFile": "Choisir un fichier",
+  "csv.pickLinkColumn": "Choisissez la colonne contenant les liens.",
+  "csv.price": "Prix",
+  "csv.qty": "Quantité",
+  "csv.repeat": "Doublon dans le fichier",
+  "csv.size": "Taille / variante",
+  "csv.skipExisting": "Ignorer les articles déjà enregistrés",
+  "csv.tags": "Tags (catégorie)",
+
+  "drawer.alreadySaved": "Déjà enregistré dans {list} : {title}",
+  "drawer.copyLink": "Copier le lien vers ce produit",
+  "drawer.generateUrl": "Générer depuis ref/id",
+  "drawer.heading": "Éditer le produit",
+  "drawer.link": "Lien",
+  "drawer.merged": "fusion",
+  "drawer.moveNote": "Note pour le passage en {list} (ex. n° de suivi)",
+  "drawer.note": "note",
+  "drawer.rating": "Note (0-5)",
+  "drawer.referral": "Referral (ref)",
+  "drawer.sellerAndCurrency": "Vendeur / Devise",
+  "drawer.sellerPlaceholder": "vendeur",
+  "drawer.shopAndId": "Shop type / ID",
+  "drawer.timeline": "Historique des listes",
+
+  "duplicates.button": "Doublons",
+  "duplicates.exists": "Cet article existe déjà dans {list} :",
+  "duplicates.merge": "Fusionner",
+  "duplicates.mergeHint": "Tags, liens QC, photos et notes sont réunis.",
+  "duplicates.merged": { one: "{count} doublon fusionné", other: "{count} doublons fusionnés" },
+  "duplicates.none": "Aucun doublon détecté.",
+  "duplicates.openExisting": "Ouvrir l'existant",
+  "duplicates.saveAnyway": "Enregistrer quand même",
+
+  "field.item": "Article",
+  "field.list": "Liste",
+  "field.mulebuyUrl": "URL Mulebuy",
+  "field.notes": "Notes",
+  "field.photos": "Photos",
+  "field.qcLinks": "Liens QC",
+  "field.qcReview": "Revue QC",
+  "field.rating": "Note",
+  "field.ref": "Ref",
+  "field.seller": "Vendeur",
+  "field.tags": "Tags",
+  "field.title": "Titre",
+  "field.variants": "Variantes",
+
+  "haul.actualWeight": "Poids réel :",
+  "haul.addOrdered": "Ajouter un article commandé",
+  "haul.chargeableWeight": "Poids facturé :",
+  "haul.delete": "Supprimer le colis",
+  "haul.deleteConfirm": "Supprimer le colis « {name} » ?",
+  "haul.deletedProduct": "(supprimé)",
+  "haul.dims": "Dimensions L × l × h (cm)",
+  "haul.fee": "Frais de service ({pct}) :",
+  "haul.heading": "Colis & Expédition",
+  "haul.items": "Articles :",
+  "haul.line": "Ligne d'expédition",
+  "haul.missingWeight": "Certains articles n'ont pas de poids : l'estimation est incomplète.",
+  "haul.new": "Nouveau colis",
+  "haul.newLine": "Nouvelle ligne",
+  "haul.noLines": "Aucune ligne d'expédition : ajoutez-en une dans Paramètres → Expédition pour estimer les frais de port.",
+  "haul.none": "Aucun colis.",
+  "haul.packaging": "Emballage (g)",
+  "haul.parcelName": "Colis {n}",
+  "haul.pick": "Sélectionnez ou créez un colis pour y regrouper vos articles « {list} ».",
+  "haul.pieces": "Pièces",
+  "haul.shipping": "Expédition :",
+  "haul.shippingVia": "Expédition ({line}) :",
+  "haul.total": "Total estimé :",
+  "haul.unitWeight": "Poids/u (g)",
+  "haul.volumetricWeight": "Poids volumétrique :",
+
+  "history.date": "Date",
+  "history.empty": "Aucune conversion.",
+  "history.heading": "Historique",
+  "history.info": "Infos",
+  "history.input": "Entrée",
+  "history.output": "Sortie",
+
+  "import.added": { one: "{count} ajouté", other: "{count} ajoutés" },
+  "import.byItem": "Fusionner par article (shop_type + id)",
+  "import.byItemHint": "combine les données de deux appareils",
+  "import.byUid": "Fusionner par uid",
+  "import.byUidHint": "reprend une sauvegarde de ces mêmes données",
+  "import.conflicts": { one: "{count} en conflit", other: "{count} en conflit" },
+  "import.defaultKeep": "Par défaut, garder :",
+  "import.done": "{label} : {added}, {merged}",
+  "import.field": "Champ",
+  "import.inFile": { one: "{count} produit dans le fichier :", other: "{count} produits dans le fichier :" },
+  "import.invalid": "Import invalide : {error}",
+  "import.json": "Importer JSON",
+  "import.label": "Import JSON ({strategy})",
+  "import.merged": { one: "{count} fusionné", other: "{count} fusionnés" },
+  "import.mine": "Le mien",
+  "import.new": { one: "{count} nouveau", other: "{count} nouveaux" },
+  "import.newest": "Le plus récent",
+  "import.replace": "Tout remplacer",
+  "import.replaceHint": "vos produits actuels sont remplacés par ceux du fichier",
+  "import.same": { one: "{count} identique", other: "{count} identiques" },
+  "import.summary": "{added}, {conflicts}, {same}.",
+  "import.theirs": "Le leur",
+  "import.title": "Importer {name}",
+  "import.willRemove": { one: "{count} des vôtres sera supprimé.", other: "{count} des vôtres seront supprimés." },
+  "import.withSettings": "Importer aussi les paramètres",
+
+  "keys.close": "Fermer le panneau",
+  "keys.delete": "Suppr",
+  "keys.deleteSelection": "Supprimer la sélection",
+  "keys.edit": "Modifier le titre",
+  "keys.enter": "Entrée",
+  "keys.esc": "Échap",
+  "keys.general": "Partout",
+  "keys.grid": "Grille des produits",
+  "keys.help": "Cette aide",
+  "keys.move": "Déplacer vers une liste",
+  "keys.next": "Produit suivant",
+  "keys.open": "Ouvrir la fiche",
+  "keys.palette": "Palette de commandes",
+  "keys.previous": "Produit précédent",
+  "keys.redo": "Rétablir",
+  "keys.rows": "Ligne suivante / précédente",
+  "keys.search": "Rechercher",
+  "keys.select": "Sélectionner / désélectionner",
+  "keys.tag": "Ajouter un tag",
+  "keys.title": "Raccourcis clavier",
+  "keys.undo": "Annuler",
+
+  "lines.add": "Ajouter une ligne d'expédition",
+  "lines.currency": "Devise",
+  "lines.divisor": "Diviseur vol.",
+  "lines.divisorHint": "0 = pas de poids volumétrique",
+  "lines.firstPrice": "Prix 1er poids",
+  "lines.firstWeight": "1er poids (g)",
+  "lines.perKg": "Prix / kg suppl.",
+  "lines.step": "Pas (g)",
+
+  "link.agentNoItem": "Lien {agent} : impossible de retrouver l'article (shop_type/id manquant).",
+  "link.badId": "Identifiant {shop} invalide : « {id} ».",
+  "link.invalid": "URL invalide.",
+  "link.missing": "URL manquante.",
+  "link.missingId": "{param} manquant pour {shop} (attendu : {example}).",
+  "link.shortLink": "{shop} (lien court) : ouvrez le lien dans un navigateur puis collez l'URL complète de l'article.",
+  "link.unsupported": "Domaine non supporté (Weidian, Taobao, Tmall, 1688 ou agent connu).",
+
+  "lists.allProducts": "Tous mes produits",
+  "lists.anyDuration": "Toutes durées",
+  "lists.board": "Kanban",
+  "lists.delete": "Supprimer la liste",
+  "lists.deleted": "Liste « {name} » supprimée",
+  "lists.deletedMoved": { one: "Liste « {name} » supprimée, {count} produit déplacé vers {target}", other: "Liste « {name} » supprimée, {count} produits déplacés vers {target}" },
+  "lists.empty": "Aucun produit dans cette vue.",
+  "lists.exists": "La liste « {name} » existe déjà.",
+  "lists.exportCsv": "Exporter CSV",
+  "lists.fixedBySearch": "Liste fixée par la recherche (list:{list})",
+  "lists.grid": "Grille",
+  "lists.heading": "Listes & Produits",
+  "lists.moveItsProducts": { one: "Déplacer son produit vers", other: "Déplacer ses {count} produits vers" },
+  "lists.new": "Nouveau",
+  "lists.newPlaceholder": "Nouvelle liste",
+  "lists.renamed": "Liste « {from} » renommée en « {to} »",
+  "lists.sinceDays": "Depuis ≥ {count} j",
+  "lists.total": "Total ≈",
+
+  "palette.addTag": { one: "Ajouter le tag {tag} au produit", other: "Ajouter le tag {tag} aux {count} produits" },
+  "palette.clipboardFailed": "Presse-papiers illisible : {error}",
+  "palette.convertClipboard": "Convertir le lien du presse-papiers",
+  "palette.delete": { one: "Supprimer le produit", other: "Supprimer les {count} produits" },
+  "palette.duplicates": "Chercher les doublons",
+  "palette.exportBackup": "Exporter une sauvegarde JSON…",
+  "palette.exportCsv": "Exporter {list} en CSV",
+  "palette.goTo": "Aller à l'onglet {tab}",
+  "palette.groupActions": "Actions",
+  "palette.groupGo": "Aller à",
+  "palette.groupSelection": "Sélection",
+  "palette.groupSort": "Tri",
+  "palette.movePlaceholder": "Déplacer vers…",
+  "palette.moveTo": { one: "Déplacer le produit vers {list}", other: "Déplacer les {count} produits vers {list}" },
+  "palette.newProduct": "Nouveau produit",
+  "palette.newTag": { one: "Nouveau tag pour le produit…", other: "Nouveau tag pour les {count} produits…" },
+  "palette.noMatch": "Aucune commande ne correspond.",
+  "palette.openList": "Ouvrir la liste {list}",
+  "palette.placeholder": "Rechercher une commande…",
+  "palette.redo": "Rétablir : {label}",
+  "palette.shortcuts": "Raccourcis clavier",
+  "palette.showBoard": "Afficher le Kanban",
+  "palette.sortBy": "Trier : {sort}",
+  "palette.tagPlaceholder": "Ajouter le tag…",
+  "palette.tagPrompt": "Tag à ajouter",
+  "palette.undo": "Annuler : {label}",
+
+  "photos.encodeFailed": "encodage de l'image impossible",
+  "photos.externalizeFailed": "Impossible de déplacer les photos vers IndexedDB : {error}",
+  "photos.format": "Format",
+  "photos.intro": "Les photos importées, collées ou déposées sont pivotées selon l'appareil, débarrassées de leurs métadonnées EXIF (GPS, modèle, date), réduites et ré-encodées. Les cartes affichent une miniature, la revue QC l'image complète.",
+  "photos.maxSize": "Taille maximale (plus grand côté)",
+  "photos.noneToProcess": "Aucune photo locale à traiter.",
+  "photos.notFound": "Image introuvable",
+  "photos.otherDevice": "Photo restée sur un autre appareil (elle arrivera à sa prochaine synchronisation)",
+  "photos.processing": { one: "Traitement de {count} photo…", other: "Traitement de {count} photos…" },
+  "photos.quality": "Qualité ({quality})",
+  "photos.reprocess": "Retraiter les photos existantes",
+  "photos.reprocessConfirm": { one: "Retraiter {count} photo avec ces réglages ? L'original est remplacé.", other: "Retraiter {count} photos avec ces réglages ? Les originaux sont remplacés." },
+  "photos.reprocessFailed": "Retraitement interrompu : {error}",
+  "photos.reprocessed": { one: "{count} photo retraitée · {saved} Mo gagnés", other: "{count} photos retraitées · {saved} Mo gagnés" },
+  "photos.saveFailed": "Impossible d'enregistrer la photo : {error}",
+  "photos.thumbnails": "Miniatures",
+  "photos.unavailable": "Photo indisponible",
+  "photos.unsupported": "format d'image non pris en charge ({type})",
+
+  "products.added": { one: "Produit ajouté", other: "{count} produits ajoutés" },
+  "products.addedTo": "Produit ajouté à {list}",
+  "products.deleted": { one: "{count} produit supprimé", other: "{count} produits supprimés" },
+  "products.importedCsv": { one: "{count} produit importé depuis CSV", other: "{count} produits importés depuis CSV" },
+  "products.importedInto": { one: "{count} produit importé dans {list}", other: "{count} produits importés dans {list}" },
+  "products.movedTo": { one: "Déplacé vers {list}", other: "{count} produits déplacés vers {list}" },
+  "products.savedIn": "Enregistré dans {list}",
+
+  "qc.addBatch": "+ Lot entrepôt",
+  "qc.annotationPrompt": "Texte de l'annotation :",
+  "qc.batchName": "Lot {n}",
+  "qc.clearMarks": "Tout effacer",
+  "qc.color": "Couleur {color}",
+  "qc.commentLabel": "Commentaire QC",
+  "qc.commentPlaceholder": "Commentaire (défaut, mesure, retour…)",
+  "qc.compare": "Comparer",
+  "qc.decidedOn": "{verdict} le {date}",
+  "qc.deleteSet": "Supprimer le set (les photos redeviennent non classées)",
+  "qc.empty": "Ajoutez des liens d'images QC ou des photos locales sur la fiche du produit.",
+  "qc.glTitle": "Green light : conforme, expédition validée",
+  "qc.keys": "← → naviguer · C comparer · G/R verdict · 1-9 ranger (0 : non classées) · Échap fermer",
+  "qc.listingPhoto": "Photo de l'annonce",
+  "qc.listingPhotoUrl": "URL de la photo de l'annonce",
+  "qc.markAdded": "Annotation QC ajoutée",
+  "qc.markRemoved": "Annotation QC retirée",
+  "qc.marksCleared": "Annotations QC effacées",
+  "qc.newSet": "Nouveau set",
+  "qc.newSetWithPhoto": "Nouveau set (avec la photo affichée)",
+  "qc.noPhoto": "Aucune photo",
+  "qc.open": "Ouvrir la revue QC",
+  "qc.photoMoved": "Photo QC déplacée",
+  "qc.refRemoved": "Photo de référence retirée",
+  "qc.refSet": "Photo de référence définie",
+  "qc.reference": "référence",
+  "qc.rlTitle": "Red light : échange ou retour demandé",
+  "qc.setCreated": "Set QC « {name} » créé",
+  "qc.setDeleted": "Set QC « {name} » supprimé",
+  "qc.setName": "Nom du set",
+  "qc.setRenamed": "Set QC renommé",
+  "qc.theSet": "le set",
+  "qc.toolArrow": "↗ Flèche",
+  "qc.toolCircle": "◯ Cercle",
+  "qc.toolText": "T Texte",
+  "qc.toolView": "Voir",
+  "qc.undoMark": "Annuler l'annotation",
+  "qc.unnamed": "sans nom",
+  "qc.unnamedSet": "(set sans nom)",
+  "qc.unsorted": "Non classée",
+  "qc.unsortedCount": "Non classées ({count})",
+  "qc.useAsRef": "Comme référence",
+  "qc.verdictFor": "{verdict} pour {name}",
+  "qc.verdictRemoved": "Verdict QC retiré",
+
+  "ref.activeForAll": "Profil actif appliqué à tous les liens.",
+  "ref.activeProfile": "Profil actif",
+  "ref.addProfile": "+ Profil",
+  "ref.addRule": "+ Règle",
+  "ref.badFormat": "Un ref Mulebuy ne contient que des chiffres (5 à 12).",
+  "ref.defaultProfile": "Personnel",
+  "ref.empty": "Aucun ref : les liens seront générés sans parrainage.",
+  "ref.if": "Si",
+  "ref.name": "Nom",
+  "ref.none": "sans ref",
+  "ref.oneOff": "ref ponctuel",
+  "ref.oneOffLabel": "Ref ponctuel",
+  "ref.overrides": "Remplace le profil et les règles.",
+  "ref.profile": "Profil referral",
+  "ref.profileName": "Profil {n}",
+  "ref.rewrittenProfile": { one: "Ref réécrit sur {count} produit ({profile})", other: "Ref réécrit sur {count} produits ({profile})" },
+  "ref.rewrittenRules": { one: "Ref réécrit sur {count} produit selon les règles", other: "Ref réécrit sur {count} produits selon les règles" },
+  "ref.ruleShop": "shop {value}",
+  "ref.ruleTag": "tag « {value} »",
+  "ref.rulesIntro": "Règles (la première qui correspond l'emporte, sinon le profil actif) :",
+  "ref.rulesMayApply": { one: "{count} règle par shop/tag peut choisir un autre profil.", other: "{count} règles par shop/tag peuvent choisir un autre profil." },
+  "ref.viaRule": "règle {rule}",
+
+  "search.help": "Syntaxe :\ntag:shoes  -tag:gift  shop:weidian  seller:\"xx store\"\nprice<200  rating>=4  qty>1  days>30 (jours dans la liste)\nlist:any (toutes les listes)  list:Ordered  buyer:nom  title:…  id:…\nqc:gl  qc:rl  qc:pending (photos sans verdict)  qc:none\nMots libres : recherche partout ; \"-\" devant un terme l'exclut.",
+  "search.placeholder": "tag:shoes -tag:gift price<200 seller:\"xx\"",
+  "search.short": "Rechercher...",
+
+  "settings.agentLinks": "Liens des autres agents",
+  "settings.backup": "Sauvegarde & Données",
+  "settings.compactCards": "Cartes compactes",
+  "settings.defaultList": "Liste par défaut",
+  "settings.displayCurrency": "Devise d'affichage",
+  "settings.enable": "Activer",
+  "settings.exportJson": "Exporter JSON",
+  "settings.importCsv": "Importer CSV",
+  "settings.includePhotos": "Inclure les photos locales",
+  "settings.language": "Langue",
+  "settings.languageAuto": "Automatique ({language})",
+  "settings.rates": "Taux de change (en CNY)",
+  "settings.referral": "Referral",
+  "settings.reset": "Réinitialiser",
+  "settings.resetConfirm": "Réinitialiser toutes les données ?",
+  "settings.serviceFee": "Frais de service agent (%)",
+  "settings.shipping": "Expédition",
+  "settings.shortcuts": "Raccourcis",
+  "settings.showAfterConvert": "Afficher après conversion",
+  "settings.storage": "Stockage",
+  "settings.sync": "Synchronisation",
+
+  "share.back": "Retour à mes listes",
+  "share.button": "Partager",
+  "share.close": "Fermer le partage",
+  "share.compressing": "Compression…",
+  "share.copyLink": "Copier le lien",
+  "share.defaultTitle": "Produits partagés",
+  "share.dropped": { one: "{count} élément illisible ignoré", other: "{count} éléments illisibles ignorés" },
+  "share.importCount": "Importer {count}",
+  "share.info": "Lecture seule, sans serveur : tout est dans le lien ({count} caractères). Les photos locales et les acheteurs ne sont pas inclus.",
+  "share.newerVersion": "lien créé par une version plus récente de l'app",
+  "share.noPrice": "Prix ?",
+  "share.ownRef": "Liens avec mon ref",
+  "share.received": "Partage reçu · lecture seule",
+  "share.title": { one: "Partager {count} produit", other: "Partager {count} produits" },
+  "share.tooLong": "Lien très long : certaines messageries risquent de le couper.",
+  "share.unexpected": "contenu inattendu",
+  "share.unreadable": "Lien de partage illisible ({error}).",
+
+  "shortcuts.copyCode": "Copier le code",
+  "shortcuts.intro": "Glissez un bouton dans la barre de favoris, puis cliquez-le sur une page Taobao, Tmall, Weidian ou 1688 :",
+  "shortcuts.mobile": "Sur mobile, installez l'app (menu du navigateur → « Installer l'application » / « Ajouter à l'écran d'accueil ») : elle fonctionne hors ligne et apparaît dans le menu Partager des apps Taobao et Weidian. Un lien peut aussi être ouvert directement :",
+  "shortcuts.openHint": "ouvre la page courante dans le convertisseur",
+  "shortcuts.saveHint": "convertit et enregistre directement dans {list}",
+
+  "sort.inListLongest": "Plus longtemps dans la liste",
+  "sort.inListNewest": "Arrivés récemment dans la liste",
+  "sort.newest": "Plus récent",
+  "sort.oldest": "Plus ancien",
+  "sort.priceAsc": "Prix ↑",
+  "sort.priceDesc": "Prix ↓",
+  "sort.shopType": "Shop type",
+  "sort.titleAsc": "Titre A→Z",
+  "sort.titleDesc": "Titre Z→A",
+
+  "stats.average": "Moyenne :",
+  "stats.averageCol": "Moyenne",
+  "stats.avgRating": "Note moyenne",
+  "stats.byAdded": "date d'ajout",
+  "stats.byOrdered": "date de commande",
+  "stats.heading": "Statistiques",
+  "stats.leadTimes": "Délais {from} → {to}",
+  "stats.max": "Max",
+  "stats.monthBasis": "Selon la {basis}",
+  "stats.noData": "Aucune donnée.",
+  "stats.noLeadTimes": "Aucun produit passé de {from} à {to} avec des dates connues.",
+  "stats.over": { one: "sur {count} produit", other: "sur {count} produits" },
+  "stats.perList": "Par liste",
+  "stats.perMonth": "Dépenses par mois",
+  "stats.perShop": "Par shop",
+  "stats.perTag": "Par tag",
+  "stats.products": "Produits",
+  "stats.rated": { one: "{count} produit noté", other: "{count} produits notés" },
+  "stats.topSellers": "Top vendeurs",
+  "stats.totalValue": "Valeur totale",
+  "stats.unknownSeller": "(vendeur inconnu)",
+
+  "storage.clean": { one: "Supprimer {count} photo inutilisée", other: "Supprimer {count} photos inutilisées" },
+  "storage.cleanConfirm": { one: "Supprimer {count} photo qui n'est plus utilisée ?", other: "Supprimer {count} photos qui ne sont plus utilisées ?" },
+  "storage.failed": "Échec de l'enregistrement local : {error}",
+  "storage.full": "Stockage local plein : la dernière modification n'a pas été enregistrée. Supprimez des photos ou l'historique, ou exportez vos données.",
+  "storage.localStorage": "localStorage (produits, réglages, historique)",
+  "storage.photoStoreError": "Photos (IndexedDB) : {error}",
+  "storage.photos": "Photos (IndexedDB) : {count}",
+  "storage.site": "espace du site :",
+
+  "sync.badChange": "modification n°{n} invalide",
+  "sync.badChanges": "« changes » doit être une liste",
+  "sync.badDevice": "identifiant d'appareil manquant",
+  "sync.badServer": "Ce serveur ne parle pas le protocole de synchronisation de Mulebuy Manager.",
+  "sync.badUrl": "Adresse du serveur de synchronisation invalide.",
+  "sync.device": "Appareil {device}",
+  "sync.enable": "Synchroniser cet appareil",
+  "sync.failed": "Échec de la synchro",
+  "sync.httpError": "Le serveur de synchronisation a répondu {status}.",
+  "sync.intro": "Garde produits, paramètres et historique identiques sur plusieurs appareils via un serveur de synchronisation (mulebuy serve). Les modifications faites hors ligne partent au retour du réseau ; si deux appareils modifient le même élément, la modification la plus récente l'emporte. Les photos locales restent sur chaque appareil.",
+  "sync.lastSync": "Dernière synchro : {date}",
+  "sync.never": "Jamais synchronisé",
+  "sync.now": "Synchroniser maintenant",
+  "sync.offline": "Hors ligne",
+  "sync.pending": { one: "{count} modification en attente", other: "{count} modifications en attente" },
+  "sync.reset": "Tout resynchroniser",
+  "sync.resetConfirm": "Oublier l'état de synchronisation et tout renvoyer au serveur ? Les conflits seront réglés par la modification la plus récente.",
+  "sync.server": "Serveur",
+  "sync.syncing": "Synchronisation…",
+  "sync.token": "Jeton",
+  "sync.tokenPlaceholder": "si le serveur en demande un",
+  "sync.upToDate": "Synchronisé",
+
+  "tabs.convert": "Convertir",
+  "tabs.haul": "Colis",
+  "tabs.lists": "Listes",
+  "tabs.settings": "Paramètres",
+  "tabs.stats": "Stats",
+
+  "tags.added": "Tag « {tag} » ajouté",
+  "tags.all": "Toutes les balises",
+  "tags.newPlaceholder": "nouveau tag",
+
+  "undo.change": "modification",
+  "undo.defaultLabel": "Modification",
+  "undo.redoTitle": "Rétablir (Ctrl+Shift+Z)",
+  "undo.redone": "Rétabli : {label}",
+  "undo.undo": "Annuler",
+  "undo.undoTitle": "Annuler (Ctrl+Z)",
+  "undo.undone": "Annulé : {label}",
+
+  "units.mb": "{n} Mo",
+
+  "variants.add": "Ajouter une variante",
+  "variants.buyer": "Pour",
+  "variants.buyerPlaceholder": "moi",
+  "variants.label": "Couleur / taille",
+  "variants.labelPlaceholder": "noir / M",
+  "variants.qty": "Qté",
+  "variants.unitPrice": "Prix u.",
+
+  "views.defaultName": "Ma vue",
+  "views.delete": "Supprimer la vue",
+  "views.label": "Vues :",
+  "views.namePrompt": "Nom de la vue :",
+  "views.save": "+ Enregistrer la vue",
+};
@@ -0,0 +1,190 @@
+/**
+ * Sync protocol shared by the web app (useSync in App.jsx) and the sync server
+ * (`mulebuy serve`). Products, settings and the conversion history travel as
+ * records (collection + id) stamped with a server revision: a device pushes what it
+ * changed since the revision it last saw and pulls what the others pushed. When two
+ * devices changed the same record, the most recent change wins, ties going to the
+ * larger device id, so every side picks the same version.
+ * Like core.js, keep it free of React, DOM, storage and network access.
+ */
+import { uid } from "./core.js";
+import { t } from "./i18n.js";
+
+export const SYNC_PROTOCOL = 1;
+
+// What travels as records. Parcels stay on the device; photo blobs go up and down
+// on their own (/v1/photos/<key>), the products only carrying their "idb:" refs.
+export const SYNC_COLLECTIONS = ["products", "settings", "history"];
+
+// Settings travel one record per key ({ value }), so edits to different settings on two
+// devices both stand. These are the device's own: each device keeps its language and layout.
+export const DEVICE_SETTINGS = ["language", "compactCards"];
+
+function recordKey(collection, id) { return `${collection}/${id}`; }
+
+function splitKey(key) {
+  const i = key.indexOf("/");
+  return { collection: key.slice(0, i), id: key.slice(i + 1) };
+}
+
+// Key order doesn't make a change: objects are hashed with sorted keys.
+function canonical(v) {
+  if (Array.isArray(v)) return v.map(canonical);
+  if (v && typeof v === "object") return Object.fromEntries(Object.keys(v).sort().map(k => [k, canonical(v[k])]));
+  return v;
+}
+
+// FNV-1a, enough to tell whether a record moved since it was last synced.
+export function hashRecord(data) {
+  const s = JSON.stringify(canonical(data));
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// The change that wins a conflict: latest `at`, then the larger device id.
+export function newerChange(a, b) {
+  if (a.at !== b.at) return a.at > b.at ? a : b;
+  return a.device >= b.device ? a : b;
+}
+
+// ---------------------------- Client --------------------------------------
+// Per-device bookkeeping, persisted by the app:
+// - base: record key → { rev, hash } as last seen on the server (hash "" = deleted)
+// - pending: record key → queued change { collection, id, data (null = delete), hash, base_rev, at }
+// - since: server sequence already pulled
+// - photos: photo key → true once the server has it
+export function newSyncState(patch) {
+  return { url: "", token: "", enabled: false, device: uid(), since: 0, base: {}, pending: {}, photos: {}, lastSync: "", ...patch };
+}
+
+// Forget what the server holds (another server, or one that lost its data): the next
+// sync pulls everything and queues every local record again.
+export function resetSyncState(state) {
+  return { ...state, since: 0, base: {}, pending: {}, photos: {}, lastSync: "" };
+}
+
+// App state → record key → { collection, id, data, at }, `at` being when the record
+// last changed as far as it says (products stamp updated_at, history rows are dated).
+export function localRecords({ products, settings, history }) {
+  const out = {};
+  const add = (collection, id, data, at) => { out[recordKey(collection, id)] = { collection, id, data, at }; };
+  products.forEach(p => add("products", p.uid, p, p.updated_at || p.created_at));
+  Object.entries(settings).forEach(([key, value]) => { if (!DEVICE_SETTINGS.includes(key)) add("settings", key, { value }, ""); });
+  history.forEach(h => add("history", h.id, h, h.ts));
+  return out;
+}
+
+// Local records that differ from their synced version join the queue (replacing an
+// older queued version), records back to it leave the queue, synced records that are
+// gone are queued as deletions. Returns `state` itself when nothing moved.
+export function queueChanges(state, records, now = new Date().toISOString()) {
+  const pending = { ...state.pending };
+  let changed = false;
+  const put = (key, change) => { pending[key] = change; changed = true; };
+  const drop = key => { if (pending[key]) { delete pending[key]; changed = true; } };
+
+  for (const [key, r] of Object.entries(records)) {
+    const hash = hashRecord(r.data);
+    const base = state.base[key];
+    if (base?.hash === hash) drop(key);
+    else if (pending[key]?.hash !== hash) put(key, { collection: r.collection, id: r.id, data: r.data, hash, base_rev: base?.rev || 0, at: r.at || now });
+  }
+  for (const [key, base] of Object.entries(state.base)) {
+    if (records[key] || base.hash === "" || pending[key]?.data === null) continue;
+    put(key, { ...splitKey(key), data: null, hash: "", base_rev: base.rev, at: now });
+  }
+  // created then removed before it ever reached the server
+  for (const key of Object.keys(pending)) if (!records[key] && !state.base[key]) drop(key);
+  return changed ? { ...state, pending } : state;
+}
+
+// Server records (a pull, or the server's version of a change it turned down) against
+// the local state. → { state, apply } where `apply` lists the records the app must
+// write (data null = remove). A queued local change to the same record stays queued
+// when it wins, on top of the server revision, and is dropped when it loses.
+export function receiveRecords(state, records) {
+  const base = { ...state.base };
+  const pending = { ...state.pending };
+  const apply = [];
+  for (const r of records) {
+    const key = recordKey(r.collection, r.id);
+    if ((base[key]?.rev || 0) >= r.rev) continue; // our own push coming back
+    const hash = r.data == null ? "" : hashRecord(r.data);
+    base[key] = { rev: r.rev, hash };
+    const mine = pending[key];
+    if (mine && mine.hash !== hash && newerChange({ ...mine, device: state.device }, r) !== r) {
+      pending[key] = { ...mine, base_rev: r.rev };
+      continue;
+    }
+    delete pending[key];
+    if (!mine || mine.hash !== hash) apply.push(r);
+  }
+  return { state: { ...state, base, pending }, apply };
+}
+
+// After a push of `sent`: accepted changes become the synced version (unless the
+// record changed again meanwhile), refused ones go through receiveRecords() with
+// the server's version. → { state, apply } like receiveRecords().
+export function settlePush(state, sent, results) {
+  const base = { ...state.base };
+  const pending = { ...state.pending };
+  const refused = [];
+  results.forEach((res, i) => {
+    const c = sent[i];
+    const key = recordKey(c.collection, c.id);
+    if (!res.ok) { refused.push(res.record); return; }
+    base[key] = { rev: res.rev, hash: c.hash };
+    if (pending[key]?.hash === c.hash) delete pending[key];
+    else if (pending[key]) pending[key] = { ...pending[key], base_rev: res.rev };
+  });
+  return receiveRecords({ ...state, base, pending }, refused);
+}
+
+// Remote records into a local array: replaced in place, new ones first, deleted ones removed.
+export function applyRecords(list, records, idOf) {
+  const byId = new Map(records.map(r => [r.id, r.data]));
+  const kept = list.flatMap(x => {
+    if (!byId.has(idOf(x))) return [x];
+    const data = byId.get(idOf(x));
+    byId.delete(idOf(x));
+    return data == null ? [] : [data];
+  });
+  return [...[...byId.values()].filter(Boolean), ...kept];
+}
+
+// ---------------------------- Server --------------------------------------
+// The server keeps { protocol, seq, records: { key: record }, photos: { key: content type } },
+// a record being { collection, id, rev, data (null = deleted), at, device }.
+export function newSyncStore() {
+  return { protocol: SYNC_PROTOCOL, seq: 0, records: {}, photos: {} };
+}
+
+export function changesSince(store, since) {
+  return Object.values(store.records).filter(r => r.rev > since).sort((a, b) => a.rev - b.rev);
+}
+
+// Why a push body can't be taken, or "".
+export function pushError(body) {
+  if (!body || typeof body !== "object" || typeof body.device !== "string" || !body.device) return t("sync.badDevice");
+  if (!Array.isArray(body.changes)) return t("sync.badChanges");
+  const bad = body.changes.findIndex(c => !c || !SYNC_COLLECTIONS.includes(c.collection) || typeof c.id !== "string" || !c.id
+    || typeof c.at !== "string" || !Number.isInteger(c.base_rev) || (c.data !== null && typeof c.data !== "object"));
+  return bad < 0 ? "" : t("sync.badChange", { n: bad + 1 });
+}
+
+// A change made on top of the record's current revision is taken. One made on top of
+// an older revision conflicts and is taken only if it is the newer change. Updates
+// `store` in place. → per change { ok: true, rev } | { ok: false, record } (the
+// server's version, which the device should adopt).
+export function acceptPush(store, device, changes) {
+  return changes.map(c => {
+    const key = recordKey(c.collection, c.id);
+    const current = store.records[key];
+    const incoming = { collection: c.collection, id: c.id, data: c.data ?? null, at: c.at, device };
+    if (current && current.rev !== c.base_rev && newerChange(current, incoming) === current) return { ok: false, record: current };
+    const rev = ++store.seq;
+    store.records[key] = { ...incoming, rev };
+    return { ok: true, rev };
+  });
+}
@@ -0,0 +1,46 @@
+// The mulebuy command, run as a child process with English messages.
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const BIN = fileURLToPath(new URL("../bin/mulebuy.js", import.meta.url));
+
+function mulebuy(...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], { encoding: "utf8", env: { ...process.env, LC_ALL: "C", LANG: "C" } });
+  return { status, stdout, stderr };
+}
+
+describe("mulebuy convert", () => {
+  it("prints one Mulebuy link per input", () => {
+    const { status, stdout } = mulebuy("convert", "https://item.taobao.com/item.htm?id=123456", "--ref", "12345");
+    assert.equal(status, 0);
+    assert.equal(stdout.trim(), "https://mulebuy.com/product/?shop_type=taobao&id=123456&ref=12345");
+  });
+
+  it("exits 1 when a link is rejected, still printing the others", () => {
+    const { status, stdout, stderr } = mulebuy("convert", "https://example.com/x", "https://weidian.com/item.html?itemID=42");
+    assert.equal(status, 1);
+    assert.match(stdout, /shop_type=weidian&id=42/);
+    assert.match(stderr, /example\.com/);
+  });
+
+  it("exits 2 on an unknown format", () => {
+    assert.equal(mulebuy("convert", "--format", "xml", "https://weidian.com/item.html?itemID=42").status, 2);
+  });
+});
+
+describe("mulebuy import", () => {
+  it("migrates the products of a backup", () => {
+    const dir = mkdtempSync(join(tmpdir(), "mulebuy-"));
+    const file = join(dir, "backup.json");
+    writeFileSync(file, JSON.stringify([{ shop_type: "weidian", id: "77", title: "Old" }, { tags: "broken" }]));
+    const { status, stdout } = mulebuy("import", file, "--format", "json");
+    assert.equal(status, 1);
+    const products = JSON.parse(stdout);
+    assert.deepEqual(products.map(p => [p.id, p.title]), [["77", "Old"]]);
+  });
+});
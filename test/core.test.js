@@ -0,0 +1,157 @@
+// Headless core: link parsing, schema upgrades, backup and settings import, merges.
+// Run with `npm test` (node:test, no browser needed).
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_REF, DEFAULT_SETTINGS, SCHEMA_VERSION, mergeProducts, newProductFromConv, normalizeBackup,
+  normalizeSettings, parseShopUrl, planImport, toMulebuy, upgradeProduct, upgradeSettings,
+} from "../src/core.js";
+
+describe("parseShopUrl", () => {
+  it("reads the item id from shop links", () => {
+    assert.deepEqual(parseShopUrl("https://item.taobao.com/item.htm?id=123456"), { shop_type: "taobao", id: "123456" });
+    assert.deepEqual(parseShopUrl("https://detail.tmall.com/item.htm?id=987"), { shop_type: "taobao", id: "987" });
+    assert.deepEqual(parseShopUrl("https://weidian.com/item.html?itemID=42"), { shop_type: "weidian", id: "42" });
+    assert.deepEqual(parseShopUrl("https://detail.1688.com/offer/555.html"), { shop_type: "ali_1688", id: "555" });
+  });
+
+  it("rejects other domains", () => {
+    assert.throws(() => parseShopUrl("https://example.com/item.htm?id=1"));
+  });
+});
+
+describe("upgradeProduct", () => {
+  const v2 = { uid: "u1", created_at: "2024-01-02T00:00:00.000Z", list: "Ordered", shop_type: "weidian", id: "1", size: "M", price: "¥ 128,5", _v: 2 };
+
+  it("takes a v2 product to the current schema", () => {
+    const p = upgradeProduct(v2);
+    assert.equal(p._v, SCHEMA_VERSION);
+    assert.equal(p.currency, "EUR"); // v3: v2 prices were typed in euros
+    assert.equal("price" in p, false); // v5: size/price become a variant line
+    assert.equal("size" in p, false);
+    assert.deepEqual(p.variants.map(({ label, qty, price }) => ({ label, qty, price })), [{ label: "M", qty: 1, price: 128.5 }]);
+    assert.deepEqual(p.timeline, [{ list: "Ordered", at: v2.created_at, note: "" }]); // v6
+    assert.deepEqual([p.qc_sets, p.qc_marks, p.ref_photo], [[], {}, ""]); // v7
+  });
+
+  it("gives a product without size or price one empty variant", () => {
+    const p = upgradeProduct({ ...v2, size: "", price: "" });
+    assert.equal(p.variants.length, 1);
+    assert.equal(p.variants[0].price, "");
+  });
+
+  it("keeps what a later version already has", () => {
+    const variants = [{ id: "v", label: "L", qty: 2, price: 10, buyer: "" }];
+    const p = upgradeProduct({ ...v2, _v: 4, currency: "CNY", variants });
+    assert.equal(p.variants, variants);
+    assert.equal(p.currency, "CNY");
+  });
+
+  it("leaves current products alone", () => {
+    const current = upgradeProduct(v2);
+    assert.equal(upgradeProduct(current), current);
+  });
+});
+
+describe("upgradeSettings", () => {
+  it("turns the old single ref into the built-in profile", () => {
+    const s = upgradeSettings({ defaultRef: "12345" });
+    assert.deepEqual(s.refProfiles, [{ id: "default", name: "", ref: "12345" }]);
+    assert.equal(s.activeProfile, "default");
+    assert.equal("defaultRef" in s, false);
+  });
+
+  it("unnames the built-in profile saved under its French name", () => {
+    const s = upgradeSettings({ refProfiles: [{ id: "default", name: "Personnel", ref: "1" }, { id: "x", name: "Personnel", ref: "2" }] });
+    assert.deepEqual(s.refProfiles.map(p => p.name), ["", "Personnel"]);
+  });
+
+  it("returns the same object when there is nothing to do", () => {
+    assert.equal(upgradeSettings(DEFAULT_SETTINGS), DEFAULT_SETTINGS);
+  });
+});
+
+describe("normalizeSettings", () => {
+  it("falls back to the defaults for malformed keys", () => {
+    const s = normalizeSettings({ lists: "Wishlist", refProfiles: "x", rates: 5, savedViews: [null, 3], compactCards: "yes", unknown: 1 });
+    assert.deepEqual(s.lists, DEFAULT_SETTINGS.lists);
+    assert.deepEqual(s.refProfiles, DEFAULT_SETTINGS.refProfiles);
+    assert.deepEqual(s.rates, DEFAULT_SETTINGS.rates);
+    assert.deepEqual(s.savedViews, []);
+    assert.equal(s.compactCards, false);
+    assert.equal("unknown" in s, false);
+  });
+
+  it("keeps well-formed values and drops bad entries", () => {
+    const s = normalizeSettings({
+      lists: [{ id: "a", name: "Mine" }, { id: "b" }],
+      rates: { EUR: "8", USD: -1 },
+      displayCurrency: "XYZ",
+      defaultList: "Gone",
+    });
+    assert.deepEqual(s.lists, [{ id: "a", name: "Mine" }]);
+    assert.equal(s.rates.EUR, 8);
+    assert.equal(s.rates.USD, DEFAULT_SETTINGS.rates.USD);
+    assert.equal(s.displayCurrency, DEFAULT_SETTINGS.displayCurrency);
+    assert.equal(s.defaultList, "Mine");
+  });
+});
+
+describe("normalizeBackup", () => {
+  it("reads a v1 saved array", () => {
+    const { products, errors } = normalizeBackup([{ shop_type: "weidian", id: 77, title: "Old" }]);
+    assert.deepEqual(errors, []);
+    assert.equal(products.length, 1);
+    assert.equal(products[0].id, "77");
+    assert.equal(products[0].ref, DEFAULT_REF);
+    assert.equal(products[0]._v, SCHEMA_VERSION);
+    assert.equal(products[0].mulebuy_url, toMulebuy({ shop_type: "weidian", id: "77", ref: DEFAULT_REF }));
+  });
+
+  it("drops unusable products and says why", () => {
+    const { products, errors } = normalizeBackup({ products: [{ uid: "a", tags: "x" }, 3, { uid: "b", title: "ok", list: "Wishlist" }] });
+    assert.deepEqual(products.map(p => p.uid), ["b"]);
+    assert.equal(errors.length, 2);
+  });
+
+  it("refuses products from a newer schema", () => {
+    const { products, errors } = normalizeBackup([{ uid: "a", list: "Wishlist", _v: SCHEMA_VERSION + 1 }]);
+    assert.equal(products.length, 0);
+    assert.equal(errors.length, 1);
+  });
+
+  it("checks the settings it carries", () => {
+    const { settings } = normalizeBackup({ products: [], settings: { lists: "x", language: "en" } });
+    assert.deepEqual(settings.lists, DEFAULT_SETTINGS.lists);
+    assert.equal(settings.language, "en");
+  });
+
+  it("throws on something that isn't a backup", () => {
+    assert.throws(() => normalizeBackup("hello"));
+    assert.throws(() => normalizeBackup({ products: {} }));
+  });
+});
+
+describe("planImport and mergeProducts", () => {
+  const conv = { shop_type: "taobao", id: "9", ref: DEFAULT_REF, url: toMulebuy({ shop_type: "taobao", id: "9", ref: DEFAULT_REF }) };
+
+  it("splits incoming products into new ones and conflicts", () => {
+    const mine = upgradeProduct(newProductFromConv(conv, "Wishlist"));
+    const same = { ...mine, title: "theirs" };
+    const other = upgradeProduct(newProductFromConv({ ...conv, id: "10" }, "Wishlist"));
+    const plan = planImport([mine], [same, other]);
+    assert.deepEqual(plan.added.map(p => p.id), ["10"]);
+    assert.equal(plan.conflicts.length, 1);
+  });
+
+  it("merges a group into its first product, unioning tags and picking the chosen fields", () => {
+    const a = { ...newProductFromConv(conv, "Wishlist"), title: "a", tags: ["x"] };
+    const b = { ...newProductFromConv(conv, "Ordered"), title: "b", tags: ["x", "y"] };
+    const merged = mergeProducts([a, b], { title: b.uid });
+    assert.equal(merged.uid, a.uid);
+    assert.equal(merged.title, "b");
+    assert.equal(merged.list, "Wishlist");
+    assert.deepEqual(merged.tags, ["x", "y"]);
+    assert.equal(merged.variants, a.variants);
+  });
+});
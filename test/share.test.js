@@ -0,0 +1,60 @@
+// Share links (#share=…): the code round-trips, and a crafted snapshot can't get
+// bogus items or its own ref into the receiver's products.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { SHARE_VERSION, decodeShare, encodeShare, readShareSnapshot, toMulebuy } from "../src/core.js";
+
+const item = {
+  shop_type: "weidian", id: "42", title: "Hoodie", seller: "S", currency: "CNY",
+  variants: [{ label: "M", qty: 2, price: 99 }], rating: 4, notes: "", tags: ["winter"], qc_links: ["https://i.imgur.com/a.jpg"],
+};
+
+describe("share codes", () => {
+  it("round-trip a snapshot", async () => {
+    const snapshot = { v: SHARE_VERSION, title: "Haul", ref: "12345", at: "2025-01-01T00:00:00.000Z", items: [item] };
+    const code = await encodeShare(snapshot);
+    assert.match(code, /^[\w-]+$/);
+    assert.deepEqual(await decodeShare(code), { ...snapshot, dropped: 0 });
+  });
+
+  it("refuse what isn't a share code", async () => {
+    await assert.rejects(decodeShare("not a code"));
+    await assert.rejects(async () => decodeShare(await encodeShare({ items: "x" })));
+    await assert.rejects(async () => decodeShare(await encodeShare({ v: SHARE_VERSION + 1, items: [] })));
+  });
+});
+
+describe("readShareSnapshot", () => {
+  it("drops items without a known shop or a numeric id", () => {
+    const { items, dropped } = readShareSnapshot({
+      items: [item, { ...item, id: "1&ref=999" }, { ...item, shop_type: "amazon" }, { ...item, id: "" }, null, "x"],
+    });
+    assert.deepEqual(items.map(x => x.id), ["42"]);
+    assert.equal(dropped, 5);
+  });
+
+  it("keeps the receiver's ref the only one in the link", () => {
+    const { items } = readShareSnapshot({ items: [{ ...item, id: 42 }] });
+    const url = toMulebuy({ ...items[0], ref: "200084174" });
+    assert.equal(new URL(url).searchParams.getAll("ref").length, 1);
+    assert.equal(new URL(url).searchParams.get("id"), "42");
+  });
+
+  it("forces every field to the shape the viewer expects", () => {
+    const [x] = readShareSnapshot({
+      items: [{ shop_type: "taobao", id: "7", tags: "a", qc_links: ["javascript:alert(1)", 5, "https://x.test/q.png"], variants: { qty: 1 }, rating: "9", currency: "BTC", title: 3 }],
+    }).items;
+    assert.deepEqual(x.tags, []);
+    assert.deepEqual(x.qc_links, ["https://x.test/q.png"]);
+    assert.deepEqual(x.variants, []);
+    assert.equal(x.rating, 5);
+    assert.equal(x.currency, "CNY");
+    assert.equal(x.title, "");
+  });
+
+  it("reads numeric strings in variants and ignores a malformed ref", () => {
+    const snapshot = readShareSnapshot({ ref: "1&x=2", items: [{ ...item, variants: [{ label: "L", qty: "3", price: "12.5" }, 7] }] });
+    assert.equal(snapshot.ref, "");
+    assert.deepEqual(snapshot.items[0].variants, [{ label: "L", qty: 3, price: 12.5 }]);
+  });
+});
@@ -0,0 +1,187 @@
+// Sync protocol: what a device queues, how the server settles concurrent pushes and
+// how each device applies the outcome, so every side ends up with the same records.
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEVICE_SETTINGS, acceptPush, applyRecords, changesSince, hashRecord, localRecords, newSyncState,
+  newSyncStore, newerChange, pushError, queueChanges, receiveRecords, settlePush,
+} from "../src/sync.js";
+
+const product = (uid, title, at) => ({ uid, title, created_at: "2025-01-01T00:00:00.000Z", updated_at: at });
+const records = (products, settings = {}) => localRecords({ products, settings, history: [] });
+
+// One device: its sync state and products, talking to `store` as the app does.
+function device(id) {
+  return {
+    state: newSyncState({ enabled: true, device: id }),
+    products: [],
+    edit(products) {
+      this.products = products;
+      this.state = queueChanges(this.state, records(products));
+    },
+    pull(store) {
+      const { state, apply } = receiveRecords(this.state, changesSince(store, this.state.since));
+      this.state = { ...state, since: store.seq };
+      this.products = applyRecords(this.products, apply, p => p.uid);
+    },
+    push(store) {
+      const sent = Object.values(this.state.pending);
+      const { state, apply } = settlePush(this.state, sent, acceptPush(store, this.state.device, sent));
+      this.state = state;
+      this.products = applyRecords(this.products, apply, p => p.uid);
+    },
+    sync(store) { this.pull(store); this.push(store); },
+  };
+}
+
+describe("records", () => {
+  it("hash the same whatever the key order", () => {
+    assert.equal(hashRecord({ a: 1, b: { c: 2, d: [1, 2] } }), hashRecord({ b: { d: [1, 2], c: 2 }, a: 1 }));
+    assert.notEqual(hashRecord({ a: 1 }), hashRecord({ a: 2 }));
+  });
+
+  it("carry settings one key at a time, without the device's own", () => {
+    const keys = Object.keys(records([], { language: "fr", compactCards: true, rates: { CNY: 1 }, defaultList: "Wishlist" }));
+    assert.deepEqual(keys.sort(), ["settings/defaultList", "settings/rates"]);
+    assert.ok(DEVICE_SETTINGS.includes("language"));
+  });
+});
+
+describe("queueChanges", () => {
+  it("queues new and changed records and forgets those back to their synced version", () => {
+    const store = newSyncStore();
+    const a = device("A");
+    a.edit([product("p1", "one", "2025-01-02")]);
+    assert.deepEqual(Object.keys(a.state.pending), ["products/p1"]);
+    a.push(store);
+    assert.deepEqual(a.state.pending, {});
+
+    a.edit([product("p1", "changed", "2025-01-03")]);
+    assert.equal(a.state.pending["products/p1"].data.title, "changed");
+    a.edit([product("p1", "one", "2025-01-02")]);
+    assert.deepEqual(a.state.pending, {});
+  });
+
+  it("queues a deletion for a synced record that is gone", () => {
+    const store = newSyncStore();
+    const a = device("A");
+    a.edit([product("p1", "one", "2025-01-02")]);
+    a.push(store);
+    a.edit([]);
+    assert.equal(a.state.pending["products/p1"].data, null);
+  });
+
+  it("drops a record created then removed before it was pushed", () => {
+    const a = device("A");
+    a.edit([product("p1", "one", "2025-01-02")]);
+    a.edit([]);
+    assert.deepEqual(a.state.pending, {});
+  });
+
+  it("returns the same state when nothing moved", () => {
+    const a = device("A");
+    a.edit([product("p1", "one", "2025-01-02")]);
+    assert.equal(queueChanges(a.state, records(a.products)), a.state);
+  });
+});
+
+describe("conflicts", () => {
+  // A and B both hold p1 at revision 1, then edit it offline.
+  function setup() {
+    const store = newSyncStore();
+    const a = device("A");
+    const b = device("B");
+    a.edit([product("p1", "base", "2025-01-01T10:00:00.000Z")]);
+    a.sync(store);
+    b.sync(store);
+    assert.deepEqual(b.products.map(p => p.title), ["base"]);
+    return { store, a, b };
+  }
+
+  it("an edit on the current revision is taken", () => {
+    const { store, a, b } = setup();
+    a.edit([product("p1", "from A", "2025-01-01T11:00:00.000Z")]);
+    a.sync(store);
+    b.sync(store);
+    assert.equal(b.products[0].title, "from A");
+    assert.equal(store.records["products/p1"].rev, 2);
+  });
+
+  it("the later edit wins, on every device, whoever pushes first", () => {
+    const { store, a, b } = setup();
+    a.edit([product("p1", "from A", "2025-01-01T12:00:00.000Z")]);
+    b.edit([product("p1", "from B", "2025-01-01T11:00:00.000Z")]);
+    a.sync(store);
+    b.sync(store); // B pulls A's newer edit: its own queued one is dropped
+    a.sync(store);
+    assert.deepEqual([a.products[0].title, b.products[0].title, store.records["products/p1"].data.title], ["from A", "from A", "from A"]);
+    assert.deepEqual(b.state.pending, {});
+  });
+
+  it("a later edit pushed on a stale revision still wins", () => {
+    const { store, a, b } = setup();
+    a.edit([product("p1", "from A", "2025-01-01T11:00:00.000Z")]);
+    b.edit([product("p1", "from B", "2025-01-01T12:00:00.000Z")]);
+    a.sync(store);
+    b.sync(store); // B's queued edit is newer: it stays queued on top of A's revision and goes out
+    a.sync(store);
+    assert.deepEqual([a.products[0].title, b.products[0].title, store.records["products/p1"].data.title], ["from B", "from B", "from B"]);
+  });
+
+  it("an older edit pushed without pulling first is refused, and the device adopts the server's", () => {
+    const { store, a, b } = setup();
+    a.edit([product("p1", "from A", "2025-01-01T12:00:00.000Z")]);
+    b.edit([product("p1", "from B", "2025-01-01T11:00:00.000Z")]);
+    a.push(store);
+    b.push(store);
+    assert.equal(b.products[0].title, "from A");
+    assert.deepEqual(b.state.pending, {});
+    assert.equal(store.records["products/p1"].data.title, "from A");
+  });
+
+  it("a tie goes to the larger device id, the same way on both sides", () => {
+    const at = "2025-01-01T12:00:00.000Z";
+    assert.equal(newerChange({ at, device: "A" }, { at, device: "B" }).device, "B");
+    const { store, a, b } = setup();
+    a.edit([product("p1", "from A", at)]);
+    b.edit([product("p1", "from B", at)]);
+    b.push(store);
+    a.push(store);
+    b.sync(store);
+    assert.deepEqual([a.products[0].title, b.products[0].title], ["from B", "from B"]);
+  });
+
+  it("a deletion reaches the other devices", () => {
+    const { store, a, b } = setup();
+    a.edit([]);
+    a.sync(store);
+    b.sync(store);
+    assert.deepEqual(b.products, []);
+    assert.equal(store.records["products/p1"].data, null);
+  });
+
+  it("a device's own push coming back is not applied again", () => {
+    const { store, a } = setup();
+    a.state = { ...a.state, since: 0 };
+    assert.deepEqual(receiveRecords(a.state, changesSince(store, 0)).apply, []);
+  });
+});
+
+describe("applyRecords", () => {
+  it("replaces in place, puts new records first and removes deleted ones", () => {
+    const list = [{ uid: "a", n: 1 }, { uid: "b", n: 1 }, { uid: "c", n: 1 }];
+    const out = applyRecords(list, [{ id: "b", data: { uid: "b", n: 2 } }, { id: "c", data: null }, { id: "d", data: { uid: "d", n: 1 } }], x => x.uid);
+    assert.deepEqual(out, [{ uid: "d", n: 1 }, { uid: "a", n: 1 }, { uid: "b", n: 2 }]);
+  });
+});
+
+describe("pushError", () => {
+  it("accepts a well-formed push and names what is wrong with the others", () => {
+    const change = { collection: "products", id: "p1", at: "2025-01-01", base_rev: 0, data: {} };
+    assert.equal(pushError({ device: "A", changes: [change] }), "");
+    assert.notEqual(pushError({ changes: [change] }), "");
+    assert.notEqual(pushError({ device: "A", changes: {} }), "");
+    assert.notEqual(pushError({ device: "A", changes: [{ ...change, collection: "parcels" }] }), "");
+    assert.notEqual(pushError({ device: "A", changes: [{ ...change, base_rev: "1" }] }), "");
+  });
+});